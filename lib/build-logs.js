@@ -0,0 +1,91 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { logAndProgress } from './progress.js';
+
+// Number of build log lines kept to explain a failed build.
+export const BUILD_LOG_TAIL_LINES = 40;
+
+/**
+ * Creates a reader that tails the log of a Cloud Build job from its logs bucket,
+ * where Cloud Build writes the output of every step to `log-<build ID>.txt`.
+ * Each call to `poll` forwards the lines written since the previous call to the progress callback.
+ *
+ * @param {object} storage - A `@google-cloud/storage` Storage client.
+ * @param {string} buildId - The Cloud Build job ID.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {{poll: function(string): Promise<void>, lastLines: function(): string[]}} The tailer.
+ * `poll` takes the build's `logsBucket` (e.g. `gs://123.cloudbuild-logs.googleusercontent.com`).
+ */
+export function createBuildLogTailer(storage, buildId, progressCallback) {
+  let offset = 0;
+  let pending = Buffer.alloc(0);
+  const tail = [];
+
+  /**
+   * Reads and forwards the log lines written since the last poll.
+   * The log is not written until the first step starts, and logs stored outside
+   * a bucket the caller can read are skipped silently: tailing is best-effort.
+   * @param {string} logsBucket - The build's logs bucket URL.
+   * @returns {Promise<void>}
+   */
+  async function poll(logsBucket) {
+    if (!logsBucket || !logsBucket.startsWith('gs://')) {
+      return;
+    }
+    const [bucketName, ...prefix] = logsBucket.slice('gs://'.length).split('/');
+    const objectName = [...prefix.filter(Boolean), `log-${buildId}.txt`].join('/');
+
+    let chunk;
+    try {
+      [chunk] = await storage.bucket(bucketName).file(objectName).download({ start: offset, validation: false });
+    } catch (error) {
+      // 404: the log does not exist yet; 416: nothing new since the last poll
+      if (![403, 404, 416].includes(error.code)) {
+        logAndProgress(`Could not read build log: ${error.message}`, progressCallback, 'debug');
+      }
+      return;
+    }
+    if (chunk.length === 0) {
+      return;
+    }
+    offset += chunk.length;
+
+    const data = Buffer.concat([pending, chunk]);
+    const lastNewline = data.lastIndexOf(0x0a);
+    if (lastNewline === -1) {
+      pending = data;
+      return;
+    }
+    pending = data.subarray(lastNewline + 1);
+    const lines = data.subarray(0, lastNewline).toString('utf8').split('\n').map(line => line.replace(/\r$/, ''));
+
+    tail.push(...lines);
+    tail.splice(0, Math.max(0, tail.length - BUILD_LOG_TAIL_LINES));
+    logAndProgress(lines.map(line => `[build] ${line}`).join('\n'), progressCallback);
+  }
+
+  /**
+   * Returns the last lines of the log read so far, including an unterminated last line.
+   * @returns {string[]} Up to `BUILD_LOG_TAIL_LINES` lines.
+   */
+  function lastLines() {
+    const lines = pending.length > 0 ? [...tail, pending.toString('utf8')] : [...tail];
+    return lines.slice(-BUILD_LOG_TAIL_LINES);
+  }
+
+  return { poll, lastLines };
+}
@@ -0,0 +1,1003 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { logAndProgress } from './progress.js';
+import { createBuildLogTailer } from './build-logs.js';
+import { listFolderFiles, isSecretFile } from './source-ignore.js';
+
+// Configuration
+// Images are tagged `src-<source hash>`, and `build-<Cloud Build ID>` by Cloud Build itself
+const SOURCE_TAG_PREFIX = 'src-';
+const BUILD_TAG = 'build-$BUILD_ID';
+// APIs needed to package, build and store images, whatever the deploy target
+const BUILD_APIS = [
+  'iam.googleapis.com',
+  'storage.googleapis.com',
+  'cloudbuild.googleapis.com',
+  'artifactregistry.googleapis.com',
+];
+
+/**
+ * @typedef {object} DeployOptions
+ * @property {string} projectId - The Google Cloud project ID.
+ * @property {string} serviceName - The name of the service to deploy.
+ * @property {string} region - The Google Cloud region for the build, registry and (where applicable) the service.
+ * @property {Array<string|{filename: string, content: Buffer|string}>} files - File paths or file objects to deploy.
+ * @property {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @property {function(string): void} [onStage] - Optional callback called with the name of each pipeline stage
+ * as it starts: 'enable-apis', 'prepare', 'package', 'upload', 'build' and 'deploy'.
+ * @property {AbortSignal} [signal] - Cancels the deployment when aborted, including a running Cloud Build.
+ * Targets may read additional, target-specific options (e.g. `clusterId` for GKE).
+ */
+
+/**
+ * A deploy target receives a container image built by the shared pipeline and runs it.
+ * Targets are plain objects; see `gkeTarget` in gke-deploy.js and `cloudRunTarget` in cloud-run-deploy.js.
+ *
+ * @typedef {object} DeployTarget
+ * @property {string} name - The target identifier (e.g. 'gke').
+ * @property {string[]} requiredApis - APIs the target needs on top of the build APIs.
+ * @property {function(DeployOptions): Promise<{bucketName: string, repositoryId: string}>} prepare -
+ * Validates that the target can accept the deployment, without mutating anything, and returns
+ * where the source archive and image should be stored.
+ * @property {function(DeployOptions): Promise<ImageBuild[]|null>} [listBuilds] - Optional. Returns the images to build
+ * when the sources describe several (e.g. a compose file), or null to build a single image from the source root.
+ * @property {function(DeployOptions, BuiltImage|Object<string, BuiltImage>, object): Promise<object>} apply -
+ * Deploys the built image, or the images keyed by build name when `listBuilds` returned builds.
+ * Receives the value returned by `prepare`.
+ * @property {function(DeployOptions, BuiltImage|Object<string, BuiltImage>, object): Promise<{resources: ResourceChange[], manifests: string}>} plan -
+ * Reports what `apply` would change for the image, without changing anything. The image may not be built yet,
+ * in which case its `digest` is undefined and its `url` uses the tag.
+ * @property {function(DeployOptions): Promise<object|null>} status - Returns the current state of the deployed service, or null if not deployed.
+ * @property {function(DeployOptions, {dryRun?: boolean}=): Promise<string[]>} delete - Deletes the deployed service and returns
+ * the names of the removed resources. With `dryRun`, only returns the names of the resources that would be removed.
+ */
+
+/**
+ * One of several images built from the same sources.
+ * @typedef {object} ImageBuild
+ * @property {string} name - The build name, a DNS label. The image is named `<service>/<name>`.
+ * @property {string} context - The build context, a '/'-separated path relative to the source root ('' for the root).
+ * @property {string} [dockerfile] - The Dockerfile path relative to the context. Defaults to `Dockerfile`, or a
+ * buildpacks build when the context has none.
+ */
+
+/**
+ * @typedef {object} ResourceChange
+ * @property {string} resource - The resource (e.g. 'Deployment default/app').
+ * @property {'create'|'update'|'unchanged'} action - What a deploy would do to it.
+ * @property {string} [diff] - For updates, a YAML diff of the live resource against the dry-run result.
+ */
+
+// Clients, cached per project
+const clientsByProject = new Map();
+
+/**
+ * Returns the Storage, Cloud Build and Artifact Registry clients for a project.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {Promise<{storage: object, cloudBuildClient: object, artifactRegistryClient: object}>} The clients.
+ */
+async function getClients(projectId) {
+  if (!clientsByProject.has(projectId)) {
+    const { Storage } = await import('@google-cloud/storage');
+    const { CloudBuildClient } = await import('@google-cloud/cloudbuild');
+    const { ArtifactRegistryClient } = await import('@google-cloud/artifact-registry');
+    clientsByProject.set(projectId, {
+      storage: new Storage({ projectId }),
+      cloudBuildClient: new CloudBuildClient({ projectId }),
+      artifactRegistryClient: new ArtifactRegistryClient({ projectId }),
+    });
+  }
+  return clientsByProject.get(projectId);
+}
+
+/**
+ * Starts a pipeline stage, or throws the abort reason if the deployment was cancelled.
+ * @param {DeployOptions} options - The deployment options.
+ * @param {string} stage - The stage name.
+ */
+function enterStage({ onStage, signal }, stage) {
+  signal?.throwIfAborted();
+  if (onStage) {
+    onStage(stage);
+  }
+}
+
+/**
+ * Ensures that the specified Google Cloud APIs are enabled for the given project.
+ * If an API is not enabled, it attempts to enable it.
+ * Throws an error if an API cannot be enabled.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string[]} apis - An array of API identifiers to check and enable (e.g., 'run.googleapis.com').
+ * @param {function(string, string=): void} progressCallback - A function to call with progress updates.
+ * The first argument is the message, the optional second argument is the type ('error', 'warning', 'info').
+ * @throws {Error} If an API fails to enable or if there's an issue checking its status.
+ * @returns {Promise<void>} A promise that resolves when all specified APIs are enabled.
+ */
+export async function ensureApisEnabled(projectId, apis, progressCallback) {
+  const { ServiceUsageClient } = await import('@google-cloud/service-usage');
+  const serviceUsageClient = new ServiceUsageClient({ projectId });
+  logAndProgress('Checking and enabling required APIs...', progressCallback);
+
+  for (const api of apis) {
+    const serviceName = `projects/${projectId}/services/${api}`;
+    try {
+      const [service] = await serviceUsageClient.getService({ name: serviceName });
+      if (service.state !== 'ENABLED') {
+        logAndProgress(`API [${api}] is not enabled. Enabling...`, progressCallback);
+        const [operation] = await serviceUsageClient.enableService({ name: serviceName });
+        await operation.promise();
+      }
+    } catch (error) {
+      const errorMessage = `Failed to ensure API [${api}] is enabled. Please check manually.`;
+      console.error(errorMessage, error); 
+      logAndProgress(errorMessage, progressCallback, 'error');
+      throw new Error(errorMessage);
+    }
+  }
+  logAndProgress('All required APIs are enabled.', progressCallback);
+}
+
+/**
+ * Returns the APIs that are not enabled in a project, without enabling them.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string[]} apis - API identifiers (e.g. 'run.googleapis.com').
+ * @returns {Promise<string[]>} The APIs that are not enabled.
+ */
+export async function findDisabledApis(projectId, apis) {
+  const { ServiceUsageClient } = await import('@google-cloud/service-usage');
+  const serviceUsageClient = new ServiceUsageClient({ projectId });
+  const disabled = [];
+  for (const api of apis) {
+    const [service] = await serviceUsageClient.getService({ name: `projects/${projectId}/services/${api}` });
+    if (service.state !== 'ENABLED') {
+      disabled.push(api);
+    }
+  }
+  return disabled;
+}
+
+/**
+ * Ensures that a Google Cloud Storage bucket exists.
+ * If the bucket does not exist, it attempts to create it in the specified location.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID that owns the bucket.
+ * @param {string} bucketName - The name of the storage bucket.
+ * @param {string} [location='us'] - The location to create the bucket in if it doesn't exist. Defaults to 'us'.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<import('@google-cloud/storage').Bucket>} A promise that resolves with the GCS Bucket object.
+ * @throws {Error} If there's an error checking or creating the bucket.
+ */
+export async function ensureStorageBucketExists(projectId, bucketName, location = 'us', progressCallback) {
+  const { storage } = await getClients(projectId);
+  const bucket = storage.bucket(bucketName);
+  try {
+    const [exists] = await bucket.exists();
+    if (exists) {
+      logAndProgress(`Bucket ${bucketName} already exists.`, progressCallback);
+      return bucket; 
+    } else {
+      logAndProgress(`Bucket ${bucketName} does not exist. Creating in location ${location}...`, progressCallback);
+      try {
+        const [createdBucket] = await storage.createBucket(bucketName, {
+          location: location,
+        });
+        logAndProgress(`Storage bucket ${createdBucket.name} created successfully in ${location}.`, progressCallback);
+        return createdBucket; 
+      } catch (createError) {
+        const errorMessage = `Failed to create storage bucket ${bucketName}. Error details: ${createError.message}`;
+        console.error(`Failed to create storage bucket ${bucketName}. Error details:`, createError); 
+        logAndProgress(errorMessage, progressCallback, 'error');
+        throw createError;
+      }
+    }
+  } catch (error) {
+    const errorMessage = `Error checking/creating bucket ${bucketName}: ${error.message}`;
+    console.error(`Error checking/creating bucket ${bucketName}:`, error); 
+    logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Resolves the files to deploy into the list of entries that will be archived.
+ * Folders are filtered with their ignore files, and likely secrets are never included (see source-ignore.js).
+ *
+ * @async
+ * @param {Array<string|{filename: string, content: Buffer|string}>} files - An array of items to deploy.
+ * Each item can be a string representing a file/directory path, or an object
+ * with `filename` and `content` properties for in-memory files.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<Array<{name: string, absolutePath?: string, content?: Buffer|string}>>} The entries, sorted by name.
+ * @throws {Error} If an input file path is not found or an input item has an invalid format.
+ */
+export async function collectSourceFiles(files, progressCallback) {
+  const path = await import('path');
+  const fs = await import('fs');
+
+  const entries = [];
+  const excluded = { count: 0, bytes: 0, directories: [] };
+  for (const file of files) {
+    if (typeof file === 'object' && 'filename' in file && 'content' in file) {
+      if (isSecretFile(file.filename)) {
+        excluded.count += 1;
+        excluded.bytes += Buffer.byteLength(file.content);
+        continue;
+      }
+      entries.push({ name: file.filename, content: file.content });
+    } else if (typeof file === 'string') {
+      let pathInput = file;
+
+      // This is a "hack" to better support WSL on Windows. AI agents tend to send path that start with '/c' in that case. Re-write it to '/mnt/c'
+      if (pathInput.startsWith('/c')) {
+        pathInput = `/mnt${pathInput}`;
+      }
+      const filePath = path.resolve(pathInput);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`File or directory not found: ${filePath}`);
+      }
+
+      const stats = fs.statSync(filePath);
+      if (stats.isDirectory()) {
+        const folder = listFolderFiles(filePath);
+        for (const { absolutePath, relativePath } of folder.files) {
+          entries.push({ name: relativePath, absolutePath });
+        }
+        excluded.count += folder.excluded.count;
+        excluded.bytes += folder.excluded.bytes;
+        excluded.directories.push(...folder.excluded.directories);
+      } else if (isSecretFile(path.basename(filePath))) {
+        excluded.count += 1;
+        excluded.bytes += stats.size;
+      } else {
+        entries.push({ name: path.basename(filePath), absolutePath: filePath });
+      }
+    } else {
+      throw new Error(`Invalid file format: ${JSON.stringify(file)}`);
+    }
+  }
+  if (excluded.count > 0 || excluded.directories.length > 0) {
+    const { directories } = excluded;
+    const folders = directories.length > 0
+      ? ` and ${directories.length} folders (${directories.slice(0, 5).join(', ')}${directories.length > 5 ? ', ...' : ''})`
+      : '';
+    logAndProgress(`Excluded ${excluded.count} files (${excluded.bytes} bytes)${folders} matching .gitignore, .dockerignore, .gcloudignore or the default deny-list (dependencies, VCS metadata, secrets).`, progressCallback);
+  }
+  return entries.sort((x, y) => (x.name < y.name ? -1 : x.name > y.name ? 1 : 0));
+}
+
+/**
+ * Computes a content hash of the source entries: the SHA-256 of every file name and content,
+ * so the same sources always hash the same regardless of file timestamps or input order.
+ *
+ * @async
+ * @param {Array<{name: string, absolutePath?: string, content?: Buffer|string}>} entries - Entries from `collectSourceFiles`.
+ * @returns {Promise<string>} The hex-encoded hash.
+ */
+export async function computeSourceHash(entries) {
+  const { createHash } = await import('crypto');
+  const fs = await import('fs/promises');
+
+  const hash = createHash('sha256');
+  for (const entry of entries) {
+    const content = entry.absolutePath ? await fs.readFile(entry.absolutePath) : entry.content;
+    const fileHash = createHash('sha256').update(content).digest('hex');
+    hash.update(`${entry.name}\0${fileHash}\n`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Creates a zip archive in memory from source entries.
+ *
+ * @param {Array<{name: string, absolutePath?: string, content?: Buffer|string}>} entries - Entries from `collectSourceFiles`.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<Buffer>} A promise that resolves with a Buffer containing the zip data.
+ * @throws {Error} If an archiver error occurs.
+ */
+export async function zipFiles(entries, progressCallback) {
+  const archiver = (await import('archiver')).default;
+
+  return new Promise((resolve, reject) => {
+    logAndProgress('Creating in-memory zip archive...', progressCallback);
+    const chunks = [];
+    const archive = archiver('zip', {
+      zlib: { level: 9 } 
+    });
+
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', () => {
+      logAndProgress(`Files zipped successfully. Total size: ${archive.pointer()} bytes`, progressCallback);
+      resolve(Buffer.concat(chunks));
+    });
+
+    archive.on('warning', (err) => {
+      const warningMessage = `Archiver warning: ${err}`;
+      logAndProgress(warningMessage, progressCallback, 'warn');
+      if (err.code !== 'ENOENT') { // ENOENT is often just a warning, others might be more critical for zip
+        reject(err);
+      }
+    });
+
+    archive.on('error', (err) => {
+      const errorMessage = `Archiver error: ${err.message}`;
+      console.error(errorMessage, err); 
+      logAndProgress(errorMessage, progressCallback, 'error');
+      reject(err);
+    });
+
+    for (const entry of entries) {
+      if (entry.absolutePath) {
+        archive.file(entry.absolutePath, { name: entry.name });
+      } else {
+        archive.append(entry.content, { name: entry.name });
+      }
+    }
+
+    archive.finalize();
+  });
+}
+
+/**
+ * Uploads a buffer to a specified Google Cloud Storage bucket and blob name.
+ *
+ * @async
+ * @param {import('@google-cloud/storage').Bucket} bucket - The Google Cloud Storage bucket object.
+ * @param {Buffer} buffer - The buffer containing the data to upload.
+ * @param {string} destinationBlobName - The name for the blob in the bucket.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<import('@google-cloud/storage').File>} A promise that resolves with the GCS File object representing the uploaded blob.
+ * @throws {Error} If the upload fails.
+ */
+export async function uploadToStorageBucket(bucket, buffer, destinationBlobName, progressCallback) {
+  try {
+    logAndProgress(`Uploading buffer to gs://${bucket.name}/${destinationBlobName}...`, progressCallback);
+    await bucket.file(destinationBlobName).save(buffer);
+    logAndProgress(`File ${destinationBlobName} uploaded successfully to gs://${bucket.name}/${destinationBlobName}.`, progressCallback);
+    return bucket.file(destinationBlobName);
+  } catch (error) {
+    const errorMessage = `Error uploading buffer: ${error.message}`;
+    console.error(`Error uploading buffer:`, error); 
+    logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Ensures that an Artifact Registry repository exists.
+ * If the repository does not exist, it attempts to create it with the specified format.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region for the repository.
+ * @param {string} repositoryId - The ID for the Artifact Registry repository.
+ * @param {string} [format='DOCKER'] - The format of the repository (e.g., 'DOCKER', 'NPM'). Defaults to 'DOCKER'.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the Artifact Registry repository object.
+ * @throws {Error} If there's an error checking or creating the repository.
+ */
+export async function ensureArtifactRegistryRepoExists(projectId, location, repositoryId, format = 'DOCKER', progressCallback) {
+  const { artifactRegistryClient } = await getClients(projectId);
+  const parent = `projects/${projectId}/locations/${location}`;
+  const repoPath = artifactRegistryClient.repositoryPath(projectId, location, repositoryId);
+
+  try {
+    const [repository] = await artifactRegistryClient.getRepository({ name: repoPath });
+    logAndProgress(`Repository ${repositoryId} already exists in ${location}.`, progressCallback);
+    return repository; 
+  } catch (error) {
+    if (error.code === 5) { 
+      logAndProgress(`Repository ${repositoryId} does not exist in ${location}. Creating...`, progressCallback);
+      const repositoryToCreate = {
+        format: format,
+      };
+      try {
+        const [operation] = await artifactRegistryClient.createRepository({
+          parent: parent,
+          repository: repositoryToCreate,
+          repositoryId: repositoryId,
+        });
+        logAndProgress(`Creating Artifact Registry repository ${repositoryId}...`, progressCallback);
+        const [result] = await operation.promise(); 
+        logAndProgress(`Artifact Registry repository ${result.name} created successfully.`, progressCallback);
+        return result;
+      } catch (createError) {
+        const errorMessage = `Failed to create Artifact Registry repository ${repositoryId}. Error details: ${createError.message}`;
+        console.error(`Failed to create Artifact Registry repository ${repositoryId}. Error details:`, createError); 
+        logAndProgress(errorMessage, progressCallback, 'error');
+        throw createError; 
+      }
+    } else {
+      const errorMessage = `Error checking/creating repository ${repositoryId}: ${error.message}`;
+      console.error(`Error checking/creating repository ${repositoryId}:`, error); 
+      logAndProgress(errorMessage, progressCallback, 'error');
+      throw error;
+    }
+  }
+}
+
+/**
+ * Triggers a Google Cloud Build job to build a container image from source code in a GCS bucket.
+ * It uses either a Dockerfile found in the source or Google Cloud Buildpacks if no Dockerfile is present.
+ * Waits for the build to complete and returns the build result.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region for the build.
+ * @param {string} sourceBucketName - The GCS bucket name where the source code (zip) is stored.
+ * @param {string} sourceBlobName - The GCS blob name (the zip file) for the source code.
+ * @param {string} targetRepoName - The name of the target Artifact Registry repository (used for context, not directly in build steps).
+ * @param {string} targetImageUrl - The full Artifact Registry URL for the image to be built (e.g., `location-docker.pkg.dev/project/repo/image:tag`).
+ * The image is additionally tagged `build-<Cloud Build ID>`.
+ * @param {boolean} hasDockerfile - Indicates whether a Dockerfile is present in the source to guide the build process.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {object} [options] - Build options.
+ * @param {AbortSignal} [options.signal] - Cancels the build with `cancelBuild` when aborted.
+ * @param {string} [options.dockerfile] - The Dockerfile path relative to the source root, if not `Dockerfile`.
+ * @returns {Promise<object>} A promise that resolves with the completed Cloud Build object.
+ * @throws {Error} If the Cloud Build job fails, times out, or encounters an error during initiation or execution.
+ */
+export async function triggerCloudBuild(projectId, location, sourceBucketName, sourceBlobName, targetRepoName, targetImageUrl, hasDockerfile, progressCallback, { signal, dockerfile } = {}) {
+  const { cloudBuildClient } = await getClients(projectId);
+  const buildTaggedImageUrl = `${targetImageUrl.slice(0, targetImageUrl.lastIndexOf(':'))}:${BUILD_TAG}`;
+  let buildSteps;
+
+  if (hasDockerfile) {
+    buildSteps = [
+      {
+        name: 'gcr.io/cloud-builders/docker',
+        args: ['build', ...(dockerfile ? ['-f', dockerfile] : []), '-t', targetImageUrl, '-t', buildTaggedImageUrl, '.'],
+        dir: '/workspace',
+      },
+    ];
+  } else {
+    buildSteps = [
+      {
+        name: 'gcr.io/k8s-skaffold/pack',
+        entrypoint: 'pack',
+        args: [
+          'build',
+          targetImageUrl,
+          '--tag',
+          buildTaggedImageUrl,
+          '--builder',
+          'gcr.io/buildpacks/builder:latest',
+        ],
+        dir: '/workspace',
+      },
+    ];
+  }
+
+  const build = {
+    source: {
+      storageSource: {
+        bucket: sourceBucketName,
+        object: sourceBlobName,
+      },
+    },
+    steps: buildSteps,
+    images: [targetImageUrl, buildTaggedImageUrl],
+  };
+
+  try {
+    logAndProgress(`Initiating Cloud Build for gs://${sourceBucketName}/${sourceBlobName} in ${location}...`, progressCallback);
+    const [operation] = await cloudBuildClient.createBuild({
+      projectId: projectId,
+      build: build,
+    });
+
+    const buildId = operation.metadata.build.id;
+    logAndProgress(`Cloud Build job ${buildId} started...`, progressCallback);
+    const { storage } = await getClients(projectId);
+    const buildLog = createBuildLogTailer(storage, buildId, progressCallback);
+    let completedBuild;
+    while (true) {
+      const [getBuildOperation] = await cloudBuildClient.getBuild({ projectId: projectId, id: buildId });
+      await buildLog.poll(getBuildOperation.logsBucket);
+      if (['SUCCESS', 'FAILURE', 'INTERNAL_ERROR', 'TIMEOUT', 'CANCELLED'].includes(getBuildOperation.status)) {
+        completedBuild = getBuildOperation;
+        break;
+      }
+      if (signal?.aborted) {
+        logAndProgress(`Cancelling Cloud Build job ${buildId}...`, progressCallback, 'warn');
+        await cloudBuildClient.cancelBuild({ projectId: projectId, id: buildId });
+        throw signal.reason;
+      }
+      logAndProgress(`Build status: ${getBuildOperation.status}. Waiting...`, progressCallback, 'debug');
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+
+    if (completedBuild.status === 'SUCCESS') {
+      logAndProgress(`Cloud Build job ${buildId} completed successfully.`, progressCallback);
+      logAndProgress(`Image built: ${completedBuild.results.images[0].name}`, progressCallback);
+      return completedBuild;
+    } else {
+       const failureMessage = `Cloud Build job ${buildId} failed with status: ${completedBuild.status}`;
+       logAndProgress(failureMessage, progressCallback, 'error');
+       const logsMessage = `Build logs: ${completedBuild.logUrl}`;
+       logAndProgress(logsMessage, progressCallback); // Log URL is info, failure is error
+       const lastLines = buildLog.lastLines();
+       const logTail = lastLines.length > 0 ? `\nLast ${lastLines.length} build log lines:\n${lastLines.join('\n')}` : '';
+       throw new Error(`Cloud Build failed: ${completedBuild.status}. ${logsMessage}${logTail}`);
+    }
+
+  } catch (error) {
+    const errorMessage = `Error triggering Cloud Build: ${error.message}`;
+    console.error(`Error triggering Cloud Build:`, error); 
+    logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Checks whether the files to deploy include a Dockerfile at their root.
+ *
+ * @async
+ * @param {Array<string|{filename: string, content: Buffer|string}>} files - File paths or file objects to deploy.
+ * @returns {Promise<boolean>} True if a Dockerfile is present.
+ */
+export async function hasDockerfile(files) {
+  const path = await import('path');
+  const fs = await import('fs');
+
+  if (files.length === 1 && typeof files[0] === 'string' && fs.existsSync(files[0]) && fs.statSync(files[0]).isDirectory()) {
+    // Handle folder deployment: check for Dockerfile inside the folder
+    return fs.existsSync(path.join(files[0], 'Dockerfile')) || fs.existsSync(path.join(files[0], 'dockerfile'));
+  }
+  // Handle file list deployment or file content deployment
+  return files.some(file => {
+    const filename = typeof file === 'string' ? file : file && file.filename;
+    return typeof filename === 'string' && path.basename(filename).toLowerCase() === 'dockerfile';
+  });
+}
+
+/**
+ * Looks up an image already built from the same sources, by its `src-<source hash>` tag.
+ * The cache is best-effort: lookup errors are reported and treated as a miss.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The location of the Artifact Registry repository.
+ * @param {string} repositoryId - The ID of the Artifact Registry repository.
+ * @param {string} imageName - The image (package) name within the repository.
+ * @param {string} tag - The tag to look for.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{digest: string, buildId: string|undefined}|null>} The digest of the tagged image
+ * and the ID of the build that produced it, or null if no image has the tag.
+ */
+export async function findBuiltImage(projectId, location, repositoryId, imageName, tag, progressCallback) {
+  const { artifactRegistryClient } = await getClients(projectId);
+  const packagePath = `${artifactRegistryClient.repositoryPath(projectId, location, repositoryId)}/packages/${encodeURIComponent(imageName)}`;
+  try {
+    const [existingTag] = await artifactRegistryClient.getTag({ name: `${packagePath}/tags/${tag}` });
+    const [version] = await artifactRegistryClient.getVersion({ name: existingTag.version, view: 'FULL' });
+    const buildTag = (version.relatedTags || [])
+      .map(relatedTag => relatedTag.name.split('/').pop())
+      .find(name => name.startsWith('build-'));
+    return {
+      digest: existingTag.version.split('/').pop(),
+      buildId: buildTag ? buildTag.slice('build-'.length) : undefined,
+    };
+  } catch (error) {
+    if (error.code !== 5) {
+      logAndProgress(`Could not look up existing image ${imageName}:${tag}, building it: ${error.message}`, progressCallback, 'warn');
+    }
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} BuiltImage
+ * @property {string} url - The image URL pinned to its digest (`<repository>/<service>@sha256:...`).
+ * @property {string} tag - The content-addressed tag (`src-<source hash>`).
+ * @property {string} digest - The image digest.
+ * @property {string} sourceHash - The hash of the deployed sources.
+ * @property {string} buildId - The ID of the Cloud Build job that built the image.
+ * @property {boolean} reused - True if the image had already been built from the same sources.
+ */
+
+/**
+ * Selects the source entries of a build context, with names relative to the context.
+ * @param {Array<{name: string}>} entries - Entries from `collectSourceFiles`.
+ * @param {string} context - The context path relative to the source root, '' for the root.
+ * @returns {Array<object>} The entries of the context.
+ */
+function contextEntries(entries, context) {
+  if (!context) {
+    return entries;
+  }
+  return entries
+    .filter(entry => entry.name.startsWith(`${context}/`))
+    .map(entry => ({ ...entry, name: entry.name.slice(context.length + 1) }));
+}
+
+/**
+ * Resolves the sources, package name and content-addressed tag of an image.
+ * @param {string} serviceName - The service name.
+ * @param {Array<object>} allEntries - Entries from `collectSourceFiles`.
+ * @param {ImageBuild} [build] - The build, for one of several images. Defaults to a single image built from the source root.
+ * @returns {Promise<{entries: Array<object>, packageName: string, sourceHash: string, dockerfile: string|undefined}>}
+ * The context entries, the image (package) name, the hash of the sources and the Dockerfile path.
+ * @throws {Error} If the build context is empty.
+ */
+async function resolveImageSources(serviceName, allEntries, build) {
+  if (!build) {
+    return { entries: allEntries, packageName: serviceName, sourceHash: await computeSourceHash(allEntries), dockerfile: undefined };
+  }
+  const entries = contextEntries(allEntries, build.context);
+  if (entries.length === 0) {
+    throw new Error(`The build context ${build.context || '.'} of ${build.name} contains no files.`);
+  }
+  // The Dockerfile used is part of what the image is built from
+  const hashed = build.dockerfile ? [...entries, { name: '\0dockerfile', content: build.dockerfile }] : entries;
+  return { entries, packageName: `${serviceName}/${build.name}`, sourceHash: await computeSourceHash(hashed), dockerfile: build.dockerfile };
+}
+
+/**
+ * Packages the source files, uploads them and builds a container image with Cloud Build.
+ * The source archive is stored as `<service>/<source hash>.zip` and the image is tagged with the
+ * source hash and the Cloud Build ID, so concurrent deploys never overwrite each other.
+ * If an image was already built from the same sources, the upload and the build are skipped.
+ *
+ * @async
+ * @param {DeployOptions} options - The deployment options.
+ * @param {{bucketName: string, repositoryId: string}} destination - Where to store the source archive and the image.
+ * @param {ImageBuild} [build] - The build, for one of several images. Only its context is archived, as
+ * `<service>/<build name>/<source hash>.zip`. Defaults to a single image built from the source root.
+ * @returns {Promise<BuiltImage>} A promise that resolves with the built image.
+ * @throws {Error} If packaging, uploading or building fails.
+ */
+export async function buildImage(options, { bucketName, repositoryId }, build) {
+  const { projectId, serviceName, region, files, progressCallback, signal } = options;
+  enterStage(options, 'package');
+  const allEntries = await collectSourceFiles(files, progressCallback);
+  const { entries, packageName, sourceHash, dockerfile: dockerfilePath } = await resolveImageSources(serviceName, allEntries, build);
+  const dockerfile = build
+    ? Boolean(dockerfilePath) || entries.some(entry => entry.name.toLowerCase() === 'dockerfile')
+    : await hasDockerfile(files);
+  logAndProgress(`${build ? `Image ${build.name}: ` : ''}Dockerfile: ${dockerfile}`, progressCallback);
+  logAndProgress(`Source hash: ${sourceHash}`, progressCallback);
+
+  const imageName = `${region}-docker.pkg.dev/${projectId}/${repositoryId}/${packageName}`;
+  const tag = `${SOURCE_TAG_PREFIX}${sourceHash}`;
+  const cached = await findBuiltImage(projectId, region, repositoryId, packageName, tag, progressCallback);
+  if (cached) {
+    logAndProgress(`Reused image ${imageName}:${tag} (${cached.digest}), built from the same sources. Skipping upload and build.`, progressCallback);
+    return {
+      url: `${imageName}@${cached.digest}`,
+      tag,
+      digest: cached.digest,
+      sourceHash,
+      buildId: cached.buildId,
+      reused: true,
+    };
+  }
+
+  enterStage(options, 'upload');
+  const bucket = await ensureStorageBucketExists(projectId, bucketName, region, progressCallback);
+
+  const archiveName = `${packageName}/${sourceHash}.zip`;
+  const zipBuffer = await zipFiles(entries, progressCallback);
+  await uploadToStorageBucket(bucket, zipBuffer, archiveName, progressCallback);
+  logAndProgress('Source code uploaded successfully', progressCallback);
+
+  enterStage(options, 'build');
+  await ensureArtifactRegistryRepoExists(projectId, region, repositoryId, 'DOCKER', progressCallback);
+
+  const buildResult = await triggerCloudBuild(projectId, region, bucketName, archiveName, repositoryId, `${imageName}:${tag}`, dockerfile, progressCallback, { signal, dockerfile: dockerfilePath });
+  if (!buildResult || buildResult.status !== 'SUCCESS') {
+    const buildFailedError = 'Cloud Build did not complete successfully.';
+    logAndProgress(buildFailedError, progressCallback, 'error');
+    throw new Error(buildFailedError);
+  }
+  const builtImage = buildResult.results.images.find(image => image.name === `${imageName}:${tag}`) || buildResult.results.images[0];
+
+  return {
+    url: `${imageName}@${builtImage.digest}`,
+    tag,
+    digest: builtImage.digest,
+    sourceHash,
+    buildId: buildResult.id,
+    reused: false,
+  };
+}
+
+/**
+ * Runs an existence check for a plan, reporting null when it cannot be answered
+ * (typically because the API it needs is not enabled yet).
+ * @param {function(): Promise<boolean>} check - The check.
+ * @returns {Promise<boolean|null>} The answer, or null if unknown.
+ */
+async function checkExists(check) {
+  try {
+    return await check();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reports what deploying source files to a target would do, without changing anything:
+ * the APIs that would be enabled, whether the bucket and repository would be created, whether
+ * an image built from the same sources can be reused (`image`, or `images` keyed by build name when the target
+ * builds several), and the target's own plan (for GKE, the
+ * rendered manifests and a server-side dry-run diff against the live objects).
+ *
+ * @async
+ * @param {DeployTarget} target - The deploy target.
+ * @param {DeployOptions} options - The deployment options.
+ * @returns {Promise<object>} The plan.
+ * @throws {Error} If required configuration is missing or the target cannot accept the deployment.
+ */
+export async function planDeployment(target, options) {
+  const { projectId, serviceName, region, files, progressCallback } = options;
+  validateDeployOptions(options);
+
+  const disabledApis = await findDisabledApis(projectId, [...BUILD_APIS, ...target.requiredApis]);
+  const { bucketName, repositoryId } = await target.prepare(options);
+  const { storage, artifactRegistryClient } = await getClients(projectId);
+
+  const entries = await collectSourceFiles(files, progressCallback);
+  const planImage = async (build) => {
+    const { packageName, sourceHash } = await resolveImageSources(serviceName, entries, build);
+    const imageName = `${region}-docker.pkg.dev/${projectId}/${repositoryId}/${packageName}`;
+    const tag = `${SOURCE_TAG_PREFIX}${sourceHash}`;
+    const cached = await findBuiltImage(projectId, region, repositoryId, packageName, tag, progressCallback);
+    return {
+      url: cached ? `${imageName}@${cached.digest}` : `${imageName}:${tag}`,
+      tag,
+      digest: cached ? cached.digest : undefined,
+      sourceHash,
+      buildId: cached ? cached.buildId : undefined,
+      reused: Boolean(cached),
+    };
+  };
+  const builds = target.listBuilds ? await target.listBuilds(options) : null;
+  let image;
+  if (builds) {
+    image = {};
+    for (const build of builds) {
+      image[build.name] = await planImage(build);
+    }
+  } else {
+    image = await planImage();
+  }
+
+  const bucketExists = await checkExists(async () => (await storage.bucket(bucketName).exists())[0]);
+  const repositoryExists = await checkExists(async () => {
+    try {
+      await artifactRegistryClient.getRepository({ name: artifactRegistryClient.repositoryPath(projectId, region, repositoryId) });
+      return true;
+    } catch (error) {
+      if (error.code === 5) {
+        return false;
+      }
+      throw error;
+    }
+  });
+
+  const targetPlan = await target.plan(options, image, { bucketName, repositoryId });
+  return {
+    target: target.name,
+    disabledApis,
+    bucket: { name: bucketName, exists: bucketExists },
+    repository: { id: repositoryId, exists: repositoryExists },
+    sourceFiles: entries.length,
+    ...(builds ? { images: image } : { image }),
+    ...targetPlan,
+  };
+}
+
+/**
+ * Checks the options every deployment needs.
+ * @param {DeployOptions} options - The deployment options.
+ * @throws {Error} If the project or the files are missing.
+ */
+function validateDeployOptions({ projectId, files, progressCallback }) {
+  if (!projectId) {
+    const errorMsg = 'Error: projectId is required in the configuration object.';
+    logAndProgress(errorMsg, progressCallback, 'error');
+    throw new Error(errorMsg);
+  }
+  if (!files || !Array.isArray(files) || files.length === 0) {
+    const errorMsg = 'Error: files array is required in the configuration object.';
+    logAndProgress(errorMsg, progressCallback, 'error');
+    throw new Error(errorMsg);
+  }
+}
+
+/**
+ * Deploys source files to a target: enables the required APIs, lets the target validate the
+ * request, builds the container image through the shared pipeline and hands it to the target.
+ *
+ * @async
+ * @param {DeployTarget} target - The deploy target.
+ * @param {DeployOptions} options - The deployment options.
+ * @returns {Promise<object>} A promise that resolves with the result of `target.apply`.
+ * @throws {Error} If deployment fails or required configuration is missing.
+ */
+export async function runDeployment(target, options) {
+  const { projectId, serviceName, region, files, progressCallback } = options;
+  validateDeployOptions(options);
+
+  try {
+    logAndProgress(`Project: ${projectId}`, progressCallback);
+    logAndProgress(`Region: ${region}`, progressCallback);
+    logAndProgress(`Service Name: ${serviceName}`, progressCallback);
+    logAndProgress(`Target: ${target.name}`, progressCallback);
+    logAndProgress(`Files to deploy: ${files.length}`, progressCallback);
+
+    enterStage(options, 'enable-apis');
+    await ensureApisEnabled(projectId, [...BUILD_APIS, ...target.requiredApis], progressCallback);
+
+    enterStage(options, 'prepare');
+    const prepared = await target.prepare(options);
+    const builds = target.listBuilds ? await target.listBuilds(options) : null;
+    let image;
+    if (builds) {
+      image = {};
+      for (const build of builds) {
+        image[build.name] = await buildImage(options, prepared, build);
+      }
+    } else {
+      image = await buildImage(options, prepared);
+    }
+    enterStage(options, 'deploy');
+    const result = await target.apply(options, image, prepared);
+
+    logAndProgress(`Deployment Completed Successfully`, progressCallback);
+    return result;
+  } catch (error) {
+    const deployFailedMessage = `Deployment Failed: ${error.message}`;
+    console.error(`Deployment Failed`, error);
+    logAndProgress(deployFailedMessage, progressCallback, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Finds the build artifacts of a service: its images in Artifact Registry and its source archives in Cloud Storage.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The location of the Artifact Registry repository.
+ * @param {string} serviceName - The service name, which is also the image name and the archive prefix.
+ * Images of multi-image services are named `<service>/<build name>`.
+ * @param {{bucketName: string, repositoryId: string}} destination - Where the target stores archives and images.
+ * @returns {Promise<{imageCount: number, packages: string[], archives: string[]}>} The number of image versions,
+ * the resource names of the image packages and the archive names.
+ */
+export async function findServiceArtifacts(projectId, location, serviceName, { bucketName, repositoryId }) {
+  const { storage, artifactRegistryClient } = await getClients(projectId);
+  const repoPath = artifactRegistryClient.repositoryPath(projectId, location, repositoryId);
+
+  let imageCount = 0;
+  const packages = [];
+  try {
+    const [repoPackages] = await artifactRegistryClient.listPackages({ parent: repoPath });
+    for (const { name } of repoPackages) {
+      const imageName = decodeURIComponent(name.split('/packages/')[1]);
+      if (imageName === serviceName || imageName.startsWith(`${serviceName}/`)) {
+        const [versions] = await artifactRegistryClient.listVersions({ parent: name });
+        imageCount += versions.length;
+        packages.push(name);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 5) {
+      throw error;
+    }
+  }
+
+  let archives = [];
+  try {
+    const [files] = await storage.bucket(bucketName).getFiles({ prefix: `${serviceName}/` });
+    archives = files.map(file => `gs://${bucketName}/${file.name}`);
+  } catch (error) {
+    if (error.code !== 404) {
+      throw error;
+    }
+  }
+  return { imageCount, packages, archives };
+}
+
+/**
+ * Deletes the build artifacts of a service found by `findServiceArtifacts`.
+ * The repository itself is deleted once it holds no other images.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The location of the Artifact Registry repository.
+ * @param {string} serviceName - The service name.
+ * @param {{bucketName: string, repositoryId: string}} destination - Where the target stores archives and images.
+ * @param {object} what - What to delete.
+ * @param {boolean} [what.images=false] - Delete the service's images.
+ * @param {boolean} [what.sources=false] - Delete the service's source archives.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<string[]>} Descriptions of the removed resources.
+ */
+export async function deleteServiceArtifacts(projectId, location, serviceName, { bucketName, repositoryId }, { images = false, sources = false }, progressCallback) {
+  const { storage, artifactRegistryClient } = await getClients(projectId);
+  const { imageCount, packages, archives } = await findServiceArtifacts(projectId, location, serviceName, { bucketName, repositoryId });
+  const removed = [];
+
+  if (images && imageCount > 0) {
+    const repoPath = artifactRegistryClient.repositoryPath(projectId, location, repositoryId);
+    for (const name of packages) {
+      const [deletePackage] = await artifactRegistryClient.deletePackage({ name });
+      await deletePackage.promise();
+    }
+    removed.push(`${imageCount} image versions of ${serviceName} in Artifact Registry repository ${repositoryId}`);
+    logAndProgress(`Deleted images of ${serviceName} from repository ${repositoryId}.`, progressCallback);
+
+    const [remaining] = await artifactRegistryClient.listPackages({ parent: repoPath });
+    if (remaining.length === 0) {
+      const [deleteRepository] = await artifactRegistryClient.deleteRepository({ name: repoPath });
+      await deleteRepository.promise();
+      removed.push(`Artifact Registry repository ${repositoryId}`);
+      logAndProgress(`Deleted empty repository ${repositoryId}.`, progressCallback);
+    }
+  }
+
+  if (sources && archives.length > 0) {
+    await storage.bucket(bucketName).deleteFiles({ prefix: `${serviceName}/` });
+    removed.push(...archives);
+    logAndProgress(`Deleted ${archives.length} source archives of ${serviceName}.`, progressCallback);
+  }
+  return removed;
+}
+
+/**
+ * Deletes a deployed service from a target, and optionally its images and source archives.
+ * With `dryRun`, nothing is deleted and the resources that would be removed are returned.
+ *
+ * @async
+ * @param {DeployTarget} target - The deploy target.
+ * @param {DeployOptions} options - The options identifying the service (`files` is not needed).
+ * @param {object} [deletion] - What to delete.
+ * @param {boolean} [deletion.dryRun=false] - Only list what would be deleted.
+ * @param {boolean} [deletion.purgeImages=false] - Also delete the service's images.
+ * @param {boolean} [deletion.purgeSource=false] - Also delete the service's source archives.
+ * @returns {Promise<string[]>} Descriptions of the removed (or to be removed) resources.
+ */
+export async function runDeletion(target, options, { dryRun = false, purgeImages = false, purgeSource = false } = {}) {
+  const { projectId, serviceName, region, progressCallback } = options;
+  const destination = await target.prepare(options);
+
+  const resources = await target.delete(options, { dryRun });
+  if (dryRun) {
+    if (purgeImages || purgeSource) {
+      const { imageCount, archives } = await findServiceArtifacts(projectId, region, serviceName, destination);
+      if (purgeImages && imageCount > 0) {
+        resources.push(`${imageCount} image versions of ${serviceName} in Artifact Registry repository ${destination.repositoryId} (and the repository, if it holds no other images)`);
+      }
+      if (purgeSource) {
+        resources.push(...archives);
+      }
+    }
+    return resources;
+  }
+
+  if (purgeImages || purgeSource) {
+    resources.push(...await deleteServiceArtifacts(projectId, region, serviceName, destination, { images: purgeImages, sources: purgeSource }, progressCallback));
+  }
+  return resources;
+}
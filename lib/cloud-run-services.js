@@ -17,13 +17,43 @@ limitations under the License.
 let runClient;
 
 /**
- * Lists all Cloud Run services in a given project and location.
+ * @typedef {object} ServiceSummary
+ * @property {string} name - The service name.
+ * @property {string} region - The region of the service.
+ * @property {string} [url] - The URL of the service.
+ * @property {string} [latestReadyRevision] - The latest revision ready to serve traffic.
+ * @property {string} [updateTime] - When the service was last modified, as an ISO 8601 timestamp.
+ * @property {Object<string, string>} labels - The labels of the service.
+ */
+
+/**
+ * Summarizes a service returned by the Cloud Run API.
+ * @param {object} service - The service.
+ * @returns {ServiceSummary} The summary.
+ */
+export function summarizeService(service) {
+  const [, , , region, , name] = service.name.split('/');
+  const { updateTime } = service;
+  return {
+    name,
+    region,
+    url: service.uri || undefined,
+    latestReadyRevision: service.latestReadyRevision ? service.latestReadyRevision.split('/').pop() : undefined,
+    updateTime: updateTime && updateTime.seconds ? new Date(Number(updateTime.seconds) * 1000).toISOString() : undefined,
+    labels: { ...service.labels },
+  };
+}
+
+/**
+ * Lists Cloud Run services in a given project and location, one page at a time.
  * @param {string} projectId - The Google Cloud project ID.
- * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
- * @returns {Promise<Array<object>>} - A promise that resolves to an array of service objects.
+ * @param {string} [location='-'] - The Google Cloud location (e.g., 'europe-west1'). Defaults to '-', which lists services from all locations.
+ * @param {object} [options] - Pagination options.
+ * @param {number} [options.pageSize=50] - Maximum number of services to return.
+ * @param {string} [options.pageToken] - The `nextPageToken` of the previous page.
+ * @returns {Promise<{services: ServiceSummary[], nextPageToken?: string}>} - A page of services, and the token of the next page if there is one.
  */
-export async function listServices(projectId, location) {
-  // TODO make location optional, if not provided, list all services from all regions
+export async function listServices(projectId, location = '-', { pageSize = 50, pageToken } = {}) {
   if (!runClient) {
     const { v2 } = await import('@google-cloud/run');
     const { ServicesClient } = v2;
@@ -32,9 +62,12 @@ export async function listServices(projectId, location) {
   const parent = runClient.locationPath(projectId, location);
 
   try {
-    console.log(`Listing Cloud Run services in project ${projectId}, location ${location}...`);
-    const [services] = await runClient.listServices({ parent });
-    return services;
+    console.log(`Listing Cloud Run services in project ${projectId}, location ${location === '-' ? 'all' : location}...`);
+    const [services, , response] = await runClient.listServices({ parent, pageSize, pageToken }, { autoPaginate: false });
+    return {
+      services: services.map(summarizeService),
+      nextPageToken: (response && response.nextPageToken) || undefined,
+    };
   } catch (error) {
     console.error(`Error listing Cloud Run services:`, error);
     throw error;
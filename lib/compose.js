@@ -0,0 +1,521 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import path from 'path';
+import YAML from 'yaml';
+import { SERVICE_LABEL, COMPONENT_LABEL } from './gke-manifests.js';
+
+// Compose file names, in the order `docker compose` looks for them.
+export const COMPOSE_FILE_NAMES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'];
+
+// Service keys translated to Kubernetes objects.
+const TRANSLATED_KEYS = ['image', 'build', 'ports', 'expose', 'environment', 'env_file', 'command', 'entrypoint', 'depends_on', 'volumes', 'deploy', 'working_dir'];
+// Service keys with no Kubernetes equivalent that matters here, dropped silently.
+const DROPPED_KEYS = ['container_name', 'restart', 'networks', 'labels', 'logging', 'hostname', 'stdin_open', 'tty'];
+
+// Ports of images commonly run without `ports` or `expose`, reachable in Compose because
+// every container port is open on the project network. Kubernetes needs a Service for them.
+const WELL_KNOWN_PORTS = {
+  redis: 6379,
+  postgres: 5432,
+  mysql: 3306,
+  mariadb: 3306,
+  mongo: 27017,
+  memcached: 11211,
+  rabbitmq: 5672,
+  elasticsearch: 9200,
+  nats: 4222,
+};
+
+// Image waiting for the Services a container depends on.
+const WAIT_IMAGE = 'busybox:1.36';
+const DEFAULT_VOLUME_SIZE = '1Gi';
+// ConfigMaps are stored in etcd, which limits objects to about 1 MiB.
+const MAX_CONFIG_MAP_BYTES = 1000 * 1000;
+const DNS_LABEL_REGEX = /^[a-z0-9]([-a-z0-9]{0,61}[a-z0-9])?$/;
+
+/**
+ * @typedef {object} ComposeService
+ * @property {string} name - The Compose service name, also the name of its Deployment and Service.
+ * @property {string} [image] - The image to run, when it is not built.
+ * @property {import('./build-pipeline.js').ImageBuild} [build] - How to build its image.
+ * @property {Array<{target: number, published?: number, protocol: string}>} ports - Container ports, published or not.
+ * @property {Object<string, string>} environment - Environment variables, including those of env files.
+ * @property {string[]} [command] - The Compose `entrypoint`.
+ * @property {string[]} [args] - The Compose `command`.
+ * @property {string} [workingDir] - The working directory.
+ * @property {string[]} dependsOn - The services it depends on.
+ * @property {Array<{type: 'volume'|'bind'|'tmpfs', source?: string, target: string, readOnly: boolean}>} volumes - Its mounts.
+ * @property {number} [replicas] - The number of replicas.
+ * @property {{limits: object, requests: object}} resources - Resource limits and reservations, as Kubernetes quantities.
+ */
+
+/**
+ * Finds the Compose file at the root of the deployed files.
+ * @param {Array<{name: string}>} entries - Source entries from `collectSourceFiles`.
+ * @returns {string|null} The file name, or null if there is none.
+ */
+export function findComposeFile(entries) {
+  return COMPOSE_FILE_NAMES.find(name => entries.some(entry => entry.name === name)) || null;
+}
+
+/**
+ * Interpolates the variables of a Compose file. Only defaults can be resolved, since the environment
+ * of the user's shell is not available: `${VAR:-default}` and `${VAR-default}` become the default and
+ * other variables become empty, as `docker compose` does for unset variables.
+ * @param {string} text - The Compose file content.
+ * @param {string[]} warnings - Receives a warning per unresolved variable.
+ * @returns {string} The interpolated text.
+ */
+function interpolate(text, warnings) {
+  const unresolved = new Set();
+  const result = text.replace(/\$\$|\$\{([A-Za-z_][A-Za-z0-9_]*)(?::?-([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g, (match, braced, fallback, bare) => {
+    if (match === '$$') {
+      return '$';
+    }
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    unresolved.add(braced || bare);
+    return '';
+  });
+  if (unresolved.size > 0) {
+    warnings.push(`The variables ${[...unresolved].join(', ')} are not set and default to an empty string. Use literal values or defaults (\${VAR:-value}) in the compose file.`);
+  }
+  return result;
+}
+
+/**
+ * Splits a command string into arguments as Compose does, honoring single and double quotes.
+ * @param {string|string[]} command - The command.
+ * @returns {string[]} The arguments.
+ */
+function splitCommand(command) {
+  if (Array.isArray(command)) {
+    return command.map(String);
+  }
+  const args = [];
+  const pattern = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(command)) !== null) {
+    args.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return args;
+}
+
+/**
+ * Resolves a path of the Compose file to a path relative to the source root.
+ * @param {string} value - The path, relative to the Compose file.
+ * @param {string} what - What the path is, for error messages.
+ * @returns {string} The '/'-separated path, '' for the root.
+ * @throws {Error} If the path points outside the deployed files.
+ */
+function resolveSourcePath(value, what) {
+  const resolved = path.posix.normalize(String(value));
+  if (path.posix.isAbsolute(resolved) || resolved === '..' || resolved.startsWith('../') || resolved.startsWith('~')) {
+    throw new Error(`${what} ${value} is outside the deployed files. Only paths inside the deployed folder are supported.`);
+  }
+  return resolved === '.' ? '' : resolved.replace(/\/$/, '');
+}
+
+/**
+ * Parses a Compose port: `80`, `"8080:80"`, `"127.0.0.1:8080:80/udp"` or the long syntax.
+ * @param {string|number|object} port - The port.
+ * @param {string} serviceName - The service, for error messages.
+ * @returns {{target: number, published?: number, protocol: string}} The port.
+ * @throws {Error} If the port is a range or invalid.
+ */
+function parsePort(port, serviceName) {
+  if (typeof port === 'object') {
+    return { target: Number(port.target), published: port.published ? Number(port.published) : undefined, protocol: (port.protocol || 'tcp').toUpperCase() };
+  }
+  const [mapping, protocol = 'tcp'] = String(port).split('/');
+  const parts = mapping.split(':');
+  const target = parts[parts.length - 1];
+  const published = parts.length > 1 ? parts[parts.length - 2] : undefined;
+  if (!/^\d+$/.test(target) || (published && !/^\d+$/.test(published))) {
+    throw new Error(`Unsupported port ${port} of service ${serviceName}: port ranges are not supported.`);
+  }
+  return { target: Number(target), published: published ? Number(published) : undefined, protocol: protocol.toUpperCase() };
+}
+
+/**
+ * Parses a Compose volume mount, short (`source:target:ro`) or long syntax.
+ * @param {string|object} volume - The mount.
+ * @returns {{type: string, source?: string, target: string, readOnly: boolean}} The mount.
+ */
+function parseVolume(volume) {
+  if (typeof volume === 'object') {
+    return { type: volume.type || 'volume', source: volume.source, target: volume.target, readOnly: Boolean(volume.read_only) };
+  }
+  const parts = String(volume).split(':');
+  if (parts.length === 1) {
+    return { type: 'tmpfs', target: parts[0], readOnly: false };
+  }
+  const [source, target, mode = ''] = parts;
+  const isBind = /^[./~]/.test(source);
+  return { type: isBind ? 'bind' : 'volume', source, target, readOnly: mode.split(',').includes('ro') };
+}
+
+/**
+ * Converts a Compose memory size (`512m`, `1g`, `1024k`, bytes) to a Kubernetes quantity.
+ * @param {string|number} size - The size.
+ * @returns {string} The quantity.
+ */
+function toMemoryQuantity(size) {
+  const match = /^(\d+(?:\.\d+)?)\s*([bkmg])?b?$/i.exec(String(size).trim());
+  if (!match) {
+    return String(size);
+  }
+  const unit = { b: '', k: 'Ki', m: 'Mi', g: 'Gi' }[(match[2] || 'b').toLowerCase()];
+  return `${match[1]}${unit}`;
+}
+
+/**
+ * Parses the lines of an env file (`KEY=value`, comments and blank lines ignored).
+ * @param {string} text - The file content.
+ * @returns {Object<string, string>} The variables.
+ */
+function parseEnvFile(text) {
+  const variables = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/.exec(line);
+    if (match) {
+      variables[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+  return variables;
+}
+
+/**
+ * Parses a Compose file into the services to deploy.
+ *
+ * @async
+ * @param {string} text - The Compose file content.
+ * @param {function(string): Promise<string|null>} readFile - Returns the content of a deployed file (for env files), or null.
+ * @returns {Promise<{services: ComposeService[], warnings: string[]}>} The services, and warnings about what was not translated.
+ * @throws {Error} If the file is invalid or uses features that cannot be deployed.
+ */
+export async function parseCompose(text, readFile) {
+  const warnings = [];
+  let compose;
+  try {
+    compose = YAML.parse(interpolate(text, warnings), { merge: true });
+  } catch (error) {
+    throw new Error(`Invalid compose file: ${error.message}`);
+  }
+  if (!compose || typeof compose.services !== 'object' || Object.keys(compose.services).length === 0) {
+    throw new Error('The compose file defines no services.');
+  }
+
+  const services = [];
+  for (const [name, definition = {}] of Object.entries(compose.services)) {
+    if (!DNS_LABEL_REGEX.test(name)) {
+      throw new Error(`Compose service name "${name}" is not a valid Kubernetes name (lowercase letters, digits and '-'). Rename it in the compose file.`);
+    }
+    const ignored = Object.keys(definition).filter(key => !TRANSLATED_KEYS.includes(key) && !DROPPED_KEYS.includes(key) && !key.startsWith('x-'));
+    if (ignored.length > 0) {
+      warnings.push(`Service ${name}: ${ignored.join(', ')} ${ignored.length > 1 ? 'are' : 'is'} not supported and ignored.`);
+    }
+
+    let build;
+    if (definition.build) {
+      const spec = typeof definition.build === 'string' ? { context: definition.build } : definition.build;
+      if (spec.args) {
+        warnings.push(`Service ${name}: build args are not supported and ignored.`);
+      }
+      build = { name, context: resolveSourcePath(spec.context || '.', `Build context of ${name}`), dockerfile: spec.dockerfile };
+    } else if (!definition.image) {
+      throw new Error(`Service ${name} has neither an image nor a build.`);
+    }
+
+    const ports = [
+      ...(definition.ports || []).map(port => parsePort(port, name)),
+      ...(definition.expose || []).map(port => parsePort(port, name)),
+    ];
+    const imageName = definition.image ? definition.image.split('@')[0].split(':')[0].split('/').pop() : undefined;
+    if (ports.length === 0 && WELL_KNOWN_PORTS[imageName]) {
+      ports.push({ target: WELL_KNOWN_PORTS[imageName], protocol: 'TCP' });
+    }
+
+    const environment = {};
+    for (const envFile of [].concat(definition.env_file || [])) {
+      const envPath = typeof envFile === 'object' ? envFile.path : envFile;
+      const content = await readFile(resolveSourcePath(envPath, `Env file of ${name}`));
+      if (content === null) {
+        warnings.push(`Service ${name}: env file ${envPath} is not among the deployed files (files such as .env are never uploaded). Set its variables with environment instead.`);
+      } else {
+        Object.assign(environment, parseEnvFile(content));
+      }
+    }
+    if (Array.isArray(definition.environment)) {
+      for (const item of definition.environment) {
+        const [key, ...value] = String(item).split('=');
+        if (value.length === 0) {
+          warnings.push(`Service ${name}: ${key} takes its value from the host environment, which is not available. It is not set.`);
+        } else {
+          environment[key] = value.join('=');
+        }
+      }
+    } else {
+      for (const [key, value] of Object.entries(definition.environment || {})) {
+        environment[key] = value === null ? '' : String(value);
+      }
+    }
+
+    const deploy = definition.deploy || {};
+    const limits = (deploy.resources && deploy.resources.limits) || {};
+    const reservations = (deploy.resources && deploy.resources.reservations) || {};
+    const toResources = ({ cpus, memory }) => ({
+      ...(cpus !== undefined ? { cpu: String(cpus) } : {}),
+      ...(memory !== undefined ? { memory: toMemoryQuantity(memory) } : {}),
+    });
+
+    services.push({
+      name,
+      image: definition.image,
+      build,
+      ports,
+      environment,
+      command: definition.entrypoint !== undefined ? splitCommand(definition.entrypoint) : undefined,
+      args: definition.command !== undefined ? splitCommand(definition.command) : undefined,
+      workingDir: definition.working_dir,
+      dependsOn: Array.isArray(definition.depends_on) ? definition.depends_on : Object.keys(definition.depends_on || {}),
+      volumes: (definition.volumes || []).map(parseVolume),
+      replicas: deploy.replicas,
+      resources: { limits: toResources(limits), requests: toResources(reservations) },
+    });
+  }
+
+  for (const service of services) {
+    const missing = service.dependsOn.filter(dependency => !services.some(s => s.name === dependency));
+    if (missing.length > 0) {
+      throw new Error(`Service ${service.name} depends on undefined services: ${missing.join(', ')}`);
+    }
+  }
+  return { services, warnings };
+}
+
+/**
+ * Lists the images to build for a Compose file: one per service with a `build`.
+ * @param {ComposeService[]} services - The parsed services.
+ * @returns {import('./build-pipeline.js').ImageBuild[]} The builds.
+ */
+export function composeBuilds(services) {
+  return services.filter(service => service.build).map(service => service.build);
+}
+
+/**
+ * Orders services so that each comes after the services it depends on.
+ * @param {ComposeService[]} services - The services.
+ * @returns {ComposeService[]} The sorted services.
+ * @throws {Error} If the dependencies form a cycle.
+ */
+function sortByDependencies(services) {
+  const sorted = [];
+  const visiting = new Set();
+  const visit = (service) => {
+    if (sorted.includes(service)) {
+      return;
+    }
+    if (visiting.has(service.name)) {
+      throw new Error(`The depends_on of the compose services form a cycle through ${service.name}.`);
+    }
+    visiting.add(service.name);
+    for (const dependency of service.dependsOn) {
+      visit(services.find(s => s.name === dependency));
+    }
+    visiting.delete(service.name);
+    sorted.push(service);
+  };
+  services.forEach(visit);
+  return sorted;
+}
+
+/**
+ * Translates parsed Compose services into Kubernetes objects deployed as one group:
+ * a Deployment per service, a Service per service with ports (LoadBalancer when a port is published),
+ * a ConfigMap for the environment and for each bind-mounted file or folder, and a PersistentVolumeClaim
+ * per named volume. `depends_on` becomes init containers waiting for the dependencies' ports, and every
+ * object is labeled with the group (`gke-mcp/service`) and its Compose service (`gke-mcp/component`).
+ *
+ * @param {ComposeService[]} services - The parsed services.
+ * @param {object} options - Translation options.
+ * @param {string} options.group - The deployed service name, shared by all the objects.
+ * @param {string} options.namespace - The namespace of the objects.
+ * @param {Object<string, string>} options.images - The built image URL of each service with a `build`.
+ * @param {Array<{name: string}>} options.entries - Source entries, for bind mounts.
+ * @param {function(object): Promise<Buffer>} options.readEntry - Reads the content of an entry.
+ * @returns {Promise<object[]>} The objects, in apply order.
+ * @throws {Error} If a bind mount is not among the deployed files or is too large for a ConfigMap, or a named volume
+ * is mounted by several services.
+ */
+export async function buildComposeManifests(services, { group, namespace, images, entries, readEntry }) {
+  const labelsOf = (component) => ({ 'created-by': 'gke-mcp', [SERVICE_LABEL]: group, [COMPONENT_LABEL]: component });
+  const metadataOf = (name, component) => ({ name, namespace, labels: labelsOf(component) });
+  const configMaps = [];
+  const claims = new Map();
+  const kubernetesServices = [];
+  const deployments = [];
+
+  for (const service of sortByDependencies(services)) {
+    const container = {
+      name: service.name,
+      image: service.build ? images[service.name] : service.image,
+      volumeMounts: [],
+    };
+    if (service.ports.length > 0) container.ports = service.ports.map(port => ({ containerPort: port.target, protocol: port.protocol }));
+    if (service.command) container.command = service.command;
+    if (service.args) container.args = service.args;
+    if (service.workingDir) container.workingDir = service.workingDir;
+    const resources = {};
+    if (Object.keys(service.resources.limits).length > 0) resources.limits = service.resources.limits;
+    if (Object.keys(service.resources.requests).length > 0) resources.requests = service.resources.requests;
+    if (Object.keys(resources).length > 0) container.resources = resources;
+
+    if (Object.keys(service.environment).length > 0) {
+      const name = `${service.name}-env`;
+      configMaps.push({ apiVersion: 'v1', kind: 'ConfigMap', metadata: metadataOf(name, service.name), data: service.environment });
+      container.envFrom = [{ configMapRef: { name } }];
+    }
+
+    const volumes = [];
+    for (const [index, mount] of service.volumes.entries()) {
+      const volumeName = `volume-${index}`;
+      if (mount.type === 'tmpfs' || (mount.type === 'volume' && !mount.source)) {
+        volumes.push({ name: volumeName, emptyDir: {} });
+      } else if (mount.type === 'volume') {
+        const claimName = `${group}-${mount.source}`.toLowerCase().replace(/[^-a-z0-9]/g, '-');
+        const owner = claims.has(claimName) && claims.get(claimName).metadata.labels[COMPONENT_LABEL];
+        if (owner && owner !== service.name) {
+          // Volumes are ReadWriteOnce disks, which pods on different nodes cannot mount at the same time
+          throw new Error(`Named volume ${mount.source} is mounted by services ${owner} and ${service.name}. On GKE a volume can only be shared by pods on the same node: give each service its own volume, or share the data through a service instead.`);
+        }
+        claims.set(claimName, {
+          apiVersion: 'v1',
+          kind: 'PersistentVolumeClaim',
+          metadata: metadataOf(claimName, service.name),
+          spec: { accessModes: ['ReadWriteOnce'], resources: { requests: { storage: DEFAULT_VOLUME_SIZE } } },
+        });
+        volumes.push({ name: volumeName, persistentVolumeClaim: { claimName } });
+      } else if (mount.type === 'bind') {
+        const source = resolveSourcePath(mount.source, `Bind mount of ${service.name}`);
+        if (service.build && source === service.build.context) {
+          continue; // Mounts the sources for live reload; the image already contains them
+        }
+        const file = entries.find(entry => entry.name === source);
+        const files = file ? [file] : entries.filter(entry => source === '' || entry.name.startsWith(`${source}/`));
+        if (files.length === 0) {
+          throw new Error(`Bind mount ${mount.source} of service ${service.name} is not among the deployed files.`);
+        }
+        const configMap = { apiVersion: 'v1', kind: 'ConfigMap', metadata: metadataOf(`${service.name}-files-${index}`, service.name), data: {}, binaryData: {} };
+        const items = [];
+        let size = 0;
+        for (const [fileIndex, entry] of files.entries()) {
+          const content = await readEntry(entry);
+          size += content.length;
+          const key = `file-${fileIndex}`;
+          const text = content.toString('utf8');
+          if (Buffer.from(text, 'utf8').equals(content)) {
+            configMap.data[key] = text;
+          } else {
+            configMap.binaryData[key] = content.toString('base64');
+          }
+          items.push({ key, path: file ? path.posix.basename(entry.name) : entry.name.slice(source ? source.length + 1 : 0) });
+        }
+        if (size > MAX_CONFIG_MAP_BYTES) {
+          throw new Error(`Bind mount ${mount.source} of service ${service.name} holds ${size} bytes, more than a ConfigMap can store. Copy the files into the image instead.`);
+        }
+        configMaps.push(configMap);
+        volumes.push({ name: volumeName, configMap: { name: configMap.metadata.name, items } });
+        if (file) {
+          container.volumeMounts.push({ name: volumeName, mountPath: mount.target, subPath: items[0].path, readOnly: true });
+          continue;
+        }
+        mount.readOnly = true; // ConfigMap volumes are read-only
+      }
+      container.volumeMounts.push({ name: volumeName, mountPath: mount.target, ...(mount.readOnly ? { readOnly: true } : {}) });
+    }
+    if (container.volumeMounts.length === 0) {
+      delete container.volumeMounts;
+    }
+
+    // Compose starts dependencies first; in Kubernetes, wait for their ports to accept connections
+    const initContainers = [];
+    for (const dependency of service.dependsOn.map(name => services.find(s => s.name === name))) {
+      if (dependency.ports.length > 0) {
+        const port = dependency.ports[0].target;
+        initContainers.push({
+          name: `wait-for-${dependency.name}`,
+          image: WAIT_IMAGE,
+          command: ['sh', '-c', `until nc -z ${dependency.name} ${port}; do echo waiting for ${dependency.name}; sleep 2; done`],
+        });
+      }
+    }
+
+    const selector = { app: service.name, [SERVICE_LABEL]: group };
+    deployments.push({
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: metadataOf(service.name, service.name),
+      spec: {
+        replicas: service.replicas ?? 1,
+        // A rolling update would start the new pod while the old one still holds the ReadWriteOnce volume
+        ...(volumes.some(volume => volume.persistentVolumeClaim) ? { strategy: { type: 'Recreate' } } : {}),
+        selector: { matchLabels: { ...selector } },
+        template: {
+          metadata: { labels: { ...selector, 'created-by': 'gke-mcp', [COMPONENT_LABEL]: service.name } },
+          spec: {
+            ...(initContainers.length > 0 ? { initContainers } : {}),
+            containers: [container],
+            ...(volumes.length > 0 ? { volumes } : {}),
+          },
+        },
+      },
+    });
+
+    if (service.ports.length > 0) {
+      // Other services reach it on its container ports, as on a Compose network; published ports face the internet
+      const ports = [];
+      for (const port of service.ports) {
+        for (const servicePort of new Set([port.published, port.target].filter(Boolean))) {
+          if (!ports.some(p => p.port === servicePort && p.protocol === port.protocol)) {
+            ports.push({ name: `${port.protocol.toLowerCase()}-${servicePort}`, port: servicePort, targetPort: port.target, protocol: port.protocol });
+          }
+        }
+      }
+      kubernetesServices.push({
+        apiVersion: 'v1',
+        kind: 'Service',
+        metadata: metadataOf(service.name, service.name),
+        spec: {
+          type: service.ports.some(port => port.published) ? 'LoadBalancer' : 'ClusterIP',
+          ports,
+          selector: { ...selector },
+        },
+      });
+    }
+  }
+
+  for (const configMap of configMaps) {
+    for (const field of ['data', 'binaryData']) {
+      if (configMap[field] && Object.keys(configMap[field]).length === 0) {
+        delete configMap[field];
+      }
+    }
+  }
+  return [...configMaps, ...claims.values(), ...kubernetesServices, ...deployments];
+}
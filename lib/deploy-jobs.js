@@ -0,0 +1,243 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { deployTo } from './deploy-targets.js';
+
+// Number of progress messages kept per job.
+const MAX_JOB_LOG_LINES = 200;
+// Number of finished jobs kept by the job stores.
+const MAX_FINISHED_JOBS = 100;
+// How long `cancel` waits for a job to stop before returning its current state.
+const CANCEL_WAIT_MS = 15000;
+
+/**
+ * @typedef {object} DeployJob
+ * @property {string} id - The job ID.
+ * @property {string} target - The deploy target name.
+ * @property {string} projectId - The Google Cloud project ID.
+ * @property {string} serviceName - The deployed service.
+ * @property {'running'|'succeeded'|'failed'|'cancelled'|'interrupted'} status - The job status.
+ * 'interrupted' means the server stopped while the job was running.
+ * @property {string|null} stage - The current (or last) pipeline stage.
+ * @property {Array<{name: string, startedAt: string}>} stages - The stages started so far.
+ * @property {Array<{time: string, level: string, message: string}>} logs - The most recent progress messages.
+ * @property {object|null} result - The deploy result, once succeeded.
+ * @property {string|null} error - The error message, once failed or cancelled.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {string} updatedAt - ISO timestamp.
+ */
+
+/**
+ * Creates a job store keeping jobs in memory. Jobs are lost when the server stops, and only the
+ * `MAX_FINISHED_JOBS` most recently finished jobs are kept.
+ * @returns {{save: function(DeployJob): void, load: function(string): DeployJob|null}} The store.
+ */
+export function createMemoryJobStore() {
+  // Ordered by last save, so the first finished jobs are the oldest
+  const jobs = new Map();
+  return {
+    save(job) {
+      jobs.delete(job.id);
+      jobs.set(job.id, structuredClone(job));
+      const finished = [...jobs.values()].filter(j => j.status !== 'running');
+      for (const old of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+        jobs.delete(old.id);
+      }
+    },
+    load(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+  };
+}
+
+/**
+ * Creates a job store keeping each job as a JSON file in a directory, so job status
+ * survives server restarts. Only the `MAX_FINISHED_JOBS` most recently finished jobs are kept.
+ * @param {string} dir - The directory to store jobs in. Created if missing.
+ * @returns {{save: function(DeployJob): void, load: function(string): DeployJob|null}} The store.
+ */
+export function createFileJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jobPath = (id) => path.join(dir, `${path.basename(id)}.json`);
+
+  // Removes the files of the oldest finished jobs beyond MAX_FINISHED_JOBS
+  const removeOldJobs = () => {
+    const finished = [];
+    for (const name of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+      try {
+        const { status, updatedAt } = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        if (status !== 'running') {
+          finished.push({ name, updatedAt: updatedAt || '' });
+        }
+      } catch {
+        // Skip files removed or being written concurrently
+      }
+    }
+    finished.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    for (const { name } of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  };
+
+  return {
+    save(job) {
+      const file = jobPath(job.id);
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+      // Jobs only become removable when they finish, so there is nothing to remove before
+      if (job.status !== 'running') {
+        removeOldJobs();
+      }
+    },
+    load(id) {
+      try {
+        return JSON.parse(fs.readFileSync(jobPath(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Creates a registry running deployments as background jobs and tracking their progress.
+ * @param {{save: function(DeployJob): void, load: function(string): DeployJob|null}} store - Where jobs are kept.
+ * @returns {{start: function, get: function, cancel: function}} The registry.
+ */
+export function createJobRegistry(store) {
+  // Jobs, abort controllers and completion promises of the jobs running in this process
+  const running = new Map();
+
+  /**
+   * Starts a deployment job.
+   * @param {string} target - The deploy target name.
+   * @param {import('./build-pipeline.js').DeployOptions} options - The deployment options. Progress
+   * messages are recorded in the job and also passed to `options.progressCallback`.
+   * @returns {{job: DeployJob, done: Promise<DeployJob>}} The new job, and a promise resolving with the job once it ends.
+   */
+  function start(target, options) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      target,
+      projectId: options.projectId,
+      serviceName: options.serviceName,
+      status: 'running',
+      stage: null,
+      stages: [],
+      logs: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    // A failed save must not fail the deployment: the job stays up to date in memory
+    const update = (changes) => {
+      Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+      try {
+        store.save(job);
+      } catch (error) {
+        console.error(`Failed to save deployment job ${job.id}:`, error);
+      }
+    };
+    store.save(job);
+
+    const controller = new AbortController();
+    const progressCallback = ({ level, data }) => {
+      job.logs.push({ time: new Date().toISOString(), level, message: data });
+      job.logs.splice(0, Math.max(0, job.logs.length - MAX_JOB_LOG_LINES));
+      update({});
+      if (options.progressCallback) {
+        options.progressCallback({ level, data });
+      }
+    };
+    const onStage = (stage) => {
+      job.stages.push({ name: stage, startedAt: new Date().toISOString() });
+      update({ stage });
+    };
+
+    const done = deployTo(target, { ...options, progressCallback, onStage, signal: controller.signal })
+      .then((result) => update({ status: 'succeeded', result }))
+      .catch((error) => update({
+        status: controller.signal.aborted ? 'cancelled' : 'failed',
+        error: error.message || String(error),
+      }))
+      .then(() => structuredClone(job))
+      .finally(() => running.delete(job.id));
+    running.set(job.id, { job, controller, done });
+
+    return { job: structuredClone(job), done };
+  }
+
+  /**
+   * Returns a job. Jobs running in this process are read from memory, so they stay current even
+   * if saving them failed. Jobs recorded as running that are not running in this process
+   * (the server restarted) are reported as interrupted.
+   * @param {string} id - The job ID.
+   * @returns {DeployJob|null} The job, or null if unknown.
+   */
+  function get(id) {
+    const entry = running.get(id);
+    if (entry) {
+      return structuredClone(entry.job);
+    }
+    const job = store.load(id);
+    if (job && job.status === 'running' && !running.has(id)) {
+      job.status = 'interrupted';
+    }
+    return job;
+  }
+
+  /**
+   * Cancels a running job: stops the pipeline before its next stage and cancels its Cloud Build, if any.
+   * Steps that cannot be interrupted (e.g. a Cloud Run revision rollout) run to completion first.
+   * @param {string} id - The job ID.
+   * @returns {Promise<DeployJob|null>} The job once it has stopped, or as it is after a short wait; null if unknown.
+   * @throws {Error} If the job is not running.
+   */
+  async function cancel(id) {
+    const entry = running.get(id);
+    if (!entry) {
+      const job = get(id);
+      if (job) {
+        throw new Error(`Deployment job ${id} is not running (status: ${job.status}).`);
+      }
+      return null;
+    }
+    entry.controller.abort(new Error('Deployment cancelled.'));
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, CANCEL_WAIT_MS);
+    });
+    const job = await Promise.race([entry.done, timeout]);
+    clearTimeout(timer);
+    return job || get(id);
+  }
+
+  return { start, get, cancel };
+}
+
+// Jobs are kept in memory, or as files in $GKE_MCP_JOBS_DIR when it is set.
+export const deployJobs = createJobRegistry(
+  process.env.GKE_MCP_JOBS_DIR ? createFileJobStore(process.env.GKE_MCP_JOBS_DIR) : createMemoryJobStore()
+);
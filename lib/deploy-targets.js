@@ -0,0 +1,101 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { runDeployment, runDeletion, planDeployment } from './build-pipeline.js';
+import { gkeTarget } from './gke-deploy.js';
+import { cloudRunTarget } from './cloud-run-deploy.js';
+
+const targets = new Map();
+
+/**
+ * Registers a deploy target so it can be selected by name.
+ * @param {import('./build-pipeline.js').DeployTarget} target - The target to register.
+ * @throws {Error} If the target does not implement the target interface.
+ */
+export function registerDeployTarget(target) {
+  for (const method of ['prepare', 'apply', 'plan', 'status', 'delete']) {
+    if (typeof target[method] !== 'function') {
+      throw new Error(`Deploy target ${target.name} must implement ${method}()`);
+    }
+  }
+  targets.set(target.name, target);
+}
+
+/**
+ * Returns a registered deploy target.
+ * @param {string} name - The target name (e.g. 'gke' or 'cloud-run').
+ * @returns {import('./build-pipeline.js').DeployTarget} The target.
+ * @throws {Error} If no target is registered under that name.
+ */
+export function getDeployTarget(name) {
+  const target = targets.get(name);
+  if (!target) {
+    throw new Error(`Unknown deploy target "${name}". Available targets: ${listDeployTargets().join(', ')}`);
+  }
+  return target;
+}
+
+/**
+ * Lists the names of the registered deploy targets.
+ * @returns {string[]} The target names.
+ */
+export function listDeployTargets() {
+  return [...targets.keys()];
+}
+
+/**
+ * Deploys source files to the named target through the shared build pipeline.
+ * @param {string} targetName - The target name.
+ * @param {import('./build-pipeline.js').DeployOptions} options - The deployment options.
+ * @returns {Promise<object>} The result of the target's `apply`.
+ */
+export async function deployTo(targetName, options) {
+  return await runDeployment(getDeployTarget(targetName), options);
+}
+
+/**
+ * Reports what deploying source files to the named target would change, without building or applying anything.
+ * @param {string} targetName - The target name.
+ * @param {import('./build-pipeline.js').DeployOptions} options - The deployment options.
+ * @returns {Promise<object>} The plan, see `planDeployment`.
+ */
+export async function planDeployTo(targetName, options) {
+  return await planDeployment(getDeployTarget(targetName), options);
+}
+
+/**
+ * Returns the current state of a service deployed to the named target.
+ * @param {string} targetName - The target name.
+ * @param {import('./build-pipeline.js').DeployOptions} options - The options identifying the service.
+ * @returns {Promise<object|null>} The result of the target's `status`, or null if the service is not deployed.
+ */
+export async function statusOf(targetName, options) {
+  return await getDeployTarget(targetName).status(options);
+}
+
+/**
+ * Deletes a service from the named target, and optionally its images and source archives.
+ * @param {string} targetName - The target name.
+ * @param {import('./build-pipeline.js').DeployOptions} options - The options identifying the service.
+ * @param {{dryRun?: boolean, purgeImages?: boolean, purgeSource?: boolean}} [deletion] - What to delete.
+ * @returns {Promise<string[]>} Descriptions of the removed (or, with `dryRun`, to be removed) resources.
+ */
+export async function deleteFrom(targetName, options, deletion) {
+  return await runDeletion(getDeployTarget(targetName), options, deletion);
+}
+
+registerDeployTarget(gkeTarget);
+registerDeployTarget(cloudRunTarget);
@@ -14,21 +14,96 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { ContainerClient } from '@google-cloud/container';
+import { ClusterManagerClient } from '@google-cloud/container';
+import { logAndProgress } from './progress.js';
+
+// Cluster statuses, as reported by the GKE API.
+export const CLUSTER_STATUSES = ['PROVISIONING', 'RUNNING', 'RECONCILING', 'STOPPING', 'ERROR', 'DEGRADED'];
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * @typedef {object} ClusterSummary
+ * @property {string} name - The cluster name.
+ * @property {string} location - The region or zone of the cluster.
+ * @property {'regional'|'zonal'} locationType - Whether the control plane is replicated across the zones of a region.
+ * @property {boolean} autopilot - Whether the cluster is an Autopilot cluster.
+ * @property {string} status - The cluster status (e.g. 'RUNNING').
+ * @property {string} [version] - The GKE version of the control plane.
+ * @property {string} [releaseChannel] - The release channel (e.g. 'REGULAR'), unless the cluster is on none.
+ * @property {string} [endpoint] - The IP address of the control plane.
+ * @property {number} nodeCount - The number of nodes.
+ * @property {{name: string, machineType?: string, nodeCount: number, autoscaling?: {minNodeCount: number, maxNodeCount: number}}[]} nodePools
+ * - The node pools. `nodeCount` is the initial number of nodes per zone.
+ * @property {Object<string, string>} labels - The resource labels of the cluster.
+ * @property {string} [workloadPool] - The Workload Identity pool, if enabled.
+ */
+
+/**
+ * Summarizes a cluster returned by the GKE API.
+ * @param {object} cluster - The cluster.
+ * @returns {ClusterSummary} The summary.
+ */
+export function summarizeCluster(cluster) {
+  const channel = cluster.releaseChannel && cluster.releaseChannel.channel;
+  return {
+    name: cluster.name,
+    location: cluster.location,
+    // Zones are regions with a zone letter suffix (europe-west1 vs. europe-west1-b)
+    locationType: cluster.location.split('-').length > 2 ? 'zonal' : 'regional',
+    autopilot: Boolean(cluster.autopilot && cluster.autopilot.enabled),
+    status: String(cluster.status),
+    version: cluster.currentMasterVersion || undefined,
+    releaseChannel: channel && channel !== 'UNSPECIFIED' ? String(channel) : undefined,
+    endpoint: cluster.endpoint || undefined,
+    nodeCount: cluster.currentNodeCount || 0,
+    nodePools: (cluster.nodePools || []).map(pool => ({
+      name: pool.name,
+      machineType: (pool.config && pool.config.machineType) || undefined,
+      nodeCount: pool.initialNodeCount || 0,
+      autoscaling: pool.autoscaling && pool.autoscaling.enabled
+        ? { minNodeCount: pool.autoscaling.minNodeCount || 0, maxNodeCount: pool.autoscaling.maxNodeCount || 0 }
+        : undefined,
+    })),
+    labels: { ...cluster.resourceLabels },
+    workloadPool: (cluster.workloadIdentityConfig && cluster.workloadIdentityConfig.workloadPool) || undefined,
+  };
+}
 
 /**
- * Lists GKE clusters in a given project and region.
+ * Lists GKE clusters in a given project, in one location or in all of them.
+ * The GKE API returns all clusters at once; they are sorted by location and name and paginated here.
  * @param {string} projectId - The Google Cloud project ID.
- * @param {string} location - The Google Cloud region where the clusters are located.
- * @returns {Promise<Array>} A promise that resolves to an array of cluster objects.
+ * @param {string} [location='-'] - The region or zone of the clusters. Defaults to '-', which lists clusters from all locations.
+ * @param {object} [options] - Filtering and pagination options.
+ * @param {Object<string, string>} [options.labels] - Only list clusters with all these resource labels.
+ * @param {string} [options.status] - Only list clusters with this status (one of `CLUSTER_STATUSES`).
+ * @param {number} [options.pageSize=50] - Maximum number of clusters to return.
+ * @param {string} [options.pageToken] - The `nextPageToken` of the previous page.
+ * @returns {Promise<{clusters: ClusterSummary[], nextPageToken?: string, unreachableLocations: string[]}>} A page of clusters,
+ * the token of the next page if there is one, and the zones whose clusters could not be listed.
+ * @throws {Error} If the page token is invalid or the clusters cannot be listed.
  */
-export async function listClusters(projectId, location) {
-  const client = new ContainerClient({ projectId });
-  const parent = client.locationPath(projectId, location);
-  
+export async function listClusters(projectId, location = '-', { labels = {}, status, pageSize = DEFAULT_PAGE_SIZE, pageToken } = {}) {
+  const offset = pageToken ? Number(pageToken) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid page token "${pageToken}". Use the nextPageToken of the previous page.`);
+  }
+  const client = new ClusterManagerClient({ projectId });
+  const parent = `projects/${projectId}/locations/${location}`;
+
   try {
-    const [clusters] = await client.listClusters({ parent });
-    return clusters;
+    const [response] = await client.listClusters({ parent });
+    const clusters = (response.clusters || [])
+      .map(summarizeCluster)
+      .filter(c => !status || c.status === status)
+      .filter(c => Object.entries(labels).every(([key, value]) => c.labels[key] === value))
+      .sort((a, b) => a.location.localeCompare(b.location) || a.name.localeCompare(b.name));
+    const end = offset + pageSize;
+    return {
+      clusters: clusters.slice(offset, end),
+      nextPageToken: end < clusters.length ? String(end) : undefined,
+      unreachableLocations: response.missingZones || [],
+    };
   } catch (error) {
     console.error('Error listing GKE clusters:', error);
     throw error;
@@ -43,8 +118,8 @@ export async function listClusters(projectId, location) {
  * @returns {Promise<Object>} A promise that resolves to the cluster object.
  */
 export async function getCluster(projectId, location, clusterId) {
-  const client = new ContainerClient({ projectId });
-  const name = client.clusterPath(projectId, location, clusterId);
+  const client = new ClusterManagerClient({ projectId });
+  const name = `projects/${projectId}/locations/${location}/clusters/${clusterId}`;
   
   try {
     const [cluster] = await client.getCluster({ name });
@@ -58,50 +133,135 @@ export async function getCluster(projectId, location, clusterId) {
   }
 }
 
+// Cluster operations usually take 5 to 15 minutes.
+const OPERATION_POLL_INTERVAL_MS = 10000;
+const OPERATION_TIMEOUT_MS = 45 * 60 * 1000;
+// Control plane range of private Standard clusters, unless one is given.
+const DEFAULT_MASTER_CIDR = '172.16.0.32/28';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @typedef {object} ClusterOptions
+ * @property {boolean} [autopilot=false] - Create an Autopilot cluster, whose nodes are managed by GKE.
+ * @property {number} [nodeCount=1] - Standard only. Number of nodes per zone.
+ * @property {string} [machineType='e2-medium'] - Standard only. Machine type of the nodes.
+ * @property {number} [diskSizeGb=100] - Standard only. Boot disk size of the nodes.
+ * @property {'RAPID'|'REGULAR'|'STABLE'} [releaseChannel='REGULAR'] - Release channel for GKE version upgrades.
+ * @property {boolean} [privateNodes=false] - Give the nodes internal IP addresses only.
+ * @property {string} [masterIpv4CidrBlock] - Standard with private nodes only. The /28 range of the control plane.
+ * @property {string} [network='default'] - The VPC network.
+ * @property {string} [subnetwork='default'] - The subnetwork.
+ * @property {number} [maxPodsPerNode=110] - Standard only. Maximum pods per node.
+ */
+
 /**
- * Creates a new GKE cluster.
+ * Waits for a GKE operation to finish, reporting its progress.
+ * The container API returns its own Operation resources, which have to be polled.
+ * @param {object} client - The ClusterManagerClient.
  * @param {string} projectId - The Google Cloud project ID.
- * @param {string} location - The Google Cloud region where the cluster should be created.
+ * @param {string} location - The location of the operation.
+ * @param {object} operation - The operation returned by the API.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} The finished operation.
+ * @throws {Error} If the operation fails or does not finish in time.
+ */
+async function waitForOperation(client, projectId, location, operation, progressCallback) {
+  const name = `projects/${projectId}/locations/${location}/operations/${operation.name}`;
+  const description = `${operation.operationType === 'DELETE_CLUSTER' ? 'Deletion' : 'Creation'} of cluster ${operation.targetLink ? operation.targetLink.split('/').pop() : ''}`.trim();
+  const deadline = Date.now() + OPERATION_TIMEOUT_MS;
+  const startTime = Date.now();
+  let lastMessage;
+
+  while (operation.status !== 'DONE') {
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for operation ${operation.name}. ${description} may still complete, check it in the Cloud Console.`);
+    }
+    await sleep(OPERATION_POLL_INTERVAL_MS);
+    [operation] = await client.getOperation({ name });
+    const stage = operation.progress && operation.progress.stages && operation.progress.stages.find(s => s.status === 'RUNNING');
+    const message = `${description}: ${operation.status}${stage && stage.name ? ` (${stage.name.toLowerCase().replace(/_/g, ' ')})` : ''}`;
+    if (message !== lastMessage) {
+      logAndProgress(message, progressCallback);
+      lastMessage = message;
+    } else {
+      logAndProgress(`${message}, ${Math.round((Date.now() - startTime) / 1000)}s elapsed...`, progressCallback, 'debug');
+    }
+  }
+  if (operation.error && operation.error.message) {
+    throw new Error(`${description} failed: ${operation.error.message}`);
+  }
+  if (operation.statusMessage) {
+    throw new Error(`${description} failed: ${operation.statusMessage}`);
+  }
+  return operation;
+}
+
+/**
+ * Creates a new GKE cluster and waits until it is running.
+ * Standard clusters get Workload Identity and the Gateway API; Autopilot clusters have both by default.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region (or zone) where the cluster should be created.
  * @param {string} clusterId - The ID for the new GKE cluster.
- * @param {Object} options - Additional options for cluster creation.
+ * @param {ClusterOptions} [options] - Additional options for cluster creation.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
  * @returns {Promise<Object>} A promise that resolves to the created cluster object.
  */
-export async function createCluster(projectId, location, clusterId, options = {}) {
-  const client = new ContainerClient({ projectId });
-  const parent = client.locationPath(projectId, location);
-  
+export async function createCluster(projectId, location, clusterId, options = {}, progressCallback) {
+  const client = new ClusterManagerClient({ projectId });
+  const parent = `projects/${projectId}/locations/${location}`;
+
   const cluster = {
     name: clusterId,
-    initialNodeCount: options.nodeCount || 1,
-    nodeConfig: {
-      machineType: options.machineType || 'e2-medium',
-      diskSizeGb: options.diskSizeGb || 100,
-    },
-    masterAuth: {
-      clientCertificateConfig: {
-        issueClientCertificate: true,
-      },
-    },
     network: options.network || 'default',
     subnetwork: options.subnetwork || 'default',
     ipAllocationPolicy: {
       useIpAliases: true,
     },
-    defaultMaxPodsConstraint: {
-      maxPodsPerNode: options.maxPodsPerNode || 110,
-    },
     releaseChannel: {
       channel: options.releaseChannel || 'REGULAR',
     },
+    resourceLabels: {
+      'created-by': 'gke-mcp',
+    },
   };
+  if (options.autopilot) {
+    cluster.autopilot = { enabled: true };
+  } else {
+    Object.assign(cluster, {
+      initialNodeCount: options.nodeCount || 1,
+      nodeConfig: {
+        machineType: options.machineType || 'e2-medium',
+        diskSizeGb: options.diskSizeGb || 100,
+        workloadMetadataConfig: { mode: 'GKE_METADATA' },
+      },
+      defaultMaxPodsConstraint: {
+        maxPodsPerNode: options.maxPodsPerNode || 110,
+      },
+      workloadIdentityConfig: {
+        workloadPool: `${projectId}.svc.id.goog`,
+      },
+      networkConfig: {
+        gatewayApiConfig: { channel: 'CHANNEL_STANDARD' },
+      },
+    });
+  }
+  if (options.privateNodes) {
+    cluster.privateClusterConfig = {
+      enablePrivateNodes: true,
+      ...(options.autopilot ? {} : { masterIpv4CidrBlock: options.masterIpv4CidrBlock || DEFAULT_MASTER_CIDR }),
+    };
+  }
 
   try {
+    logAndProgress(`Creating ${options.autopilot ? 'Autopilot' : 'Standard'} GKE cluster ${clusterId} in ${location}. This usually takes 5 to 15 minutes...`, progressCallback);
     const [operation] = await client.createCluster({
       parent,
       cluster,
     });
-    const [createdCluster] = await operation.promise();
-    return createdCluster;
+    await waitForOperation(client, projectId, location, operation, progressCallback);
+    logAndProgress(`GKE cluster ${clusterId} is running.`, progressCallback);
+    return await getCluster(projectId, location, clusterId);
   } catch (error) {
     console.error('Error creating GKE cluster:', error);
     throw error;
@@ -109,21 +269,24 @@ export async function createCluster(projectId, location, clusterId, options = {}
 }
 
 /**
- * Deletes a GKE cluster.
+ * Deletes a GKE cluster, with all its workloads, and waits until it is gone.
  * @param {string} projectId - The Google Cloud project ID.
  * @param {string} location - The Google Cloud region where the cluster is located.
  * @param {string} clusterId - The ID of the GKE cluster to delete.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
  * @returns {Promise<void>} A promise that resolves when the cluster is deleted.
  */
-export async function deleteCluster(projectId, location, clusterId) {
-  const client = new ContainerClient({ projectId });
-  const name = client.clusterPath(projectId, location, clusterId);
-  
+export async function deleteCluster(projectId, location, clusterId, progressCallback) {
+  const client = new ClusterManagerClient({ projectId });
+  const name = `projects/${projectId}/locations/${location}/clusters/${clusterId}`;
+
   try {
+    logAndProgress(`Deleting GKE cluster ${clusterId} in ${location}...`, progressCallback);
     const [operation] = await client.deleteCluster({ name });
-    await operation.promise();
+    await waitForOperation(client, projectId, location, operation, progressCallback);
+    logAndProgress(`GKE cluster ${clusterId} deleted.`, progressCallback);
   } catch (error) {
     console.error('Error deleting GKE cluster:', error);
     throw error;
   }
-} 
\ No newline at end of file
+}
@@ -14,196 +14,425 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
+import { createCluster, getCluster } from './gke-clusters.js';
+import { connectToCluster, createKubernetesClient, resourcePath } from './k8s-client.js';
+import { logAndProgress } from './progress.js';
+import { collectSourceFiles, ensureApisEnabled, runDeployment } from './build-pipeline.js';
+import { buildAutoscalerManifest, buildDeploymentManifest, buildServiceManifest, buildNamespaceManifest, buildImageAnnotations, validateAutoscaling, DEFAULT_NAMESPACE, SERVICE_LABEL } from './gke-manifests.js';
+import { waitForRollout, waitForExternalAddress, DEFAULT_ROLLOUT_TIMEOUT_SECONDS } from './gke-rollout.js';
+import { buildHttpRouteManifest, buildIngressManifests, checkDomainRecord, ensureGatewayCertificate, ensureSharedGateway, findExposedAddress } from './gke-exposure.js';
+import { historyConfigMapName, listRevisions, nextRevisionNumber, recordRevision } from './gke-history.js';
+import { describeAutoscaler, findAutoscaler } from './gke-scale.js';
+import { buildSecretManifest, mountSecrets, redactSecret, resolveSecrets, secretBindings } from './gke-secrets.js';
+import { buildServiceAccountManifest, deleteServiceAccount, ensureWorkloadIdentity, requireWorkloadPool, serviceAccountOf } from './gke-workload-identity.js';
+import { diffYaml, toYaml, withoutServerFields } from './yaml-diff.js';
+import { detectManifestSource, readEntry, renderUserManifests } from './user-manifests.js';
+import { buildComposeManifests, composeBuilds, findComposeFile, parseCompose } from './compose.js';
+
 // Configuration
 const REPO_NAME = 'mcp-gke-deployments';
-const ZIP_FILE_NAME = 'source.zip';
-const IMAGE_TAG = 'latest';
-const REQUIRED_APIS = [
-  'iam.googleapis.com',
-  'storage.googleapis.com',
-  'cloudbuild.googleapis.com',
-  'artifactregistry.googleapis.com',
-  'container.googleapis.com',
-];
-
-// Initialize Clients
-let storage;
-let cloudBuildClient;
-let artifactRegistryClient;
-let containerClient;
 
 /**
- * Helper function to log a message and call the progress callback.
- * @param {string} message - The message to log.
+ * Ensures that a Kubernetes namespace exists, creating it with the `created-by: gke-mcp` label if missing.
+ *
+ * @async
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace name.
  * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
- * @param {'debug' | 'info' | 'warn' | 'error'} [severity='info'] - The severity level of the message.
+ * @returns {Promise<void>} A promise that resolves once the namespace exists.
  */
-function logAndProgress(message, progressCallback, severity = 'info') {
-  switch (severity) {
-    case 'error':
-      console.error(message);
-      break;
-    case 'warn':
-    case 'info':
-    case 'debug':
-    default:
-      console.log(message);
-      break;
+async function ensureNamespaceExists(k8s, namespace, progressCallback) {
+  const existing = await k8s.get(resourcePath('v1', 'Namespace', undefined, namespace));
+  if (existing) {
+    logAndProgress(`Namespace ${namespace} already exists.`, progressCallback, 'debug');
+    return;
   }
-  if (progressCallback) {
-    progressCallback({ level: severity, data: message });
+  logAndProgress(`Namespace ${namespace} does not exist. Creating...`, progressCallback);
+  await k8s.apply(buildNamespaceManifest(namespace));
+}
+
+/**
+ * Reads and parses the Compose file of the deployed files, unless user-supplied manifests take precedence.
+ * @param {Array<object>} entries - Source entries from `collectSourceFiles`.
+ * @returns {Promise<{fileName: string, services: import('./compose.js').ComposeService[], warnings: string[]}|null>}
+ * The parsed Compose file, or null if there is none.
+ */
+async function loadCompose(entries) {
+  const fileName = findComposeFile(entries);
+  if (!fileName || detectManifestSource(entries)) {
+    return null;
   }
+  const readFile = async (name) => {
+    const entry = entries.find(e => e.name === name);
+    return entry ? (await readEntry(entry)).toString('utf8') : null;
+  };
+  return { fileName, ...await parseCompose(await readFile(fileName), readFile) };
 }
 
 /**
- * Ensures that the specified Google Cloud APIs are enabled for the given project.
+ * Sums up the image (or, for Compose deployments, the images) of a deployment for results and the history.
+ * @param {import('./build-pipeline.js').BuiltImage|Object<string, import('./build-pipeline.js').BuiltImage>} image - The image, or the images by Compose service.
+ * @returns {{url: string, reused: boolean, sourceHash?: string, tag?: string, buildId?: string, images?: Object<string, string>}} The summary.
  */
-async function ensureApisEnabled(projectId, apis, progressCallback) {
-  const { ServiceUsageClient } = await import('@google-cloud/service-usage');
-  const serviceUsageClient = new ServiceUsageClient({ projectId });
-  logAndProgress('Checking and enabling required APIs...', progressCallback);
+function summarizeImage(image) {
+  if (typeof image.url === 'string') {
+    return image;
+  }
+  const images = Object.fromEntries(Object.entries(image).map(([name, built]) => [name, built.url]));
+  return {
+    url: Object.entries(images).map(([name, url]) => `${name}=${url}`).join(', ') || 'none built',
+    reused: Object.values(image).every(built => built.reused),
+    images,
+  };
+}
 
-  for (const api of apis) {
-    const serviceName = `projects/${projectId}/services/${api}`;
-    try {
-      const [service] = await serviceUsageClient.getService({ name: serviceName });
-      if (service.state !== 'ENABLED') {
-        logAndProgress(`API [${api}] is not enabled. Enabling...`, progressCallback);
-        const [operation] = await serviceUsageClient.enableService({ name: serviceName });
-        await operation.promise();
+/**
+ * Renders the manifests of a deployment: the user-supplied manifests, Kustomize overlay or Helm chart
+ * found in the source files, the translation of their Compose file, or else the generated Deployment
+ * and Service. Deployments get the image annotations and the revision number.
+ *
+ * @async
+ * @param {Array<object>} entries - Source entries from `collectSourceFiles`.
+ * @param {object} options - Rendering options.
+ * @param {string} options.serviceName - The service name.
+ * @param {string} options.namespace - The namespace of the service.
+ * @param {import('./gke-manifests.js').WorkloadSpec} [options.workload] - The workload of the generated manifests.
+ * @param {import('./gke-exposure.js').Exposure} [options.exposure] - How the generated manifests expose the service.
+ * @param {import('./build-pipeline.js').BuiltImage|Object<string, import('./build-pipeline.js').BuiltImage>} options.image -
+ * The image to deploy, or for a Compose file the images built for its services.
+ * @param {number} options.revision - The revision being deployed.
+ * @param {function(object): void} [options.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{source: string, manifests: object[]}>} Where the manifests come from ('generated', 'manifests',
+ * 'kustomize', 'helm' or 'compose') and the manifests, in apply order.
+ */
+async function renderSourceManifests(entries, { serviceName, namespace, workload = {}, exposure = {}, image, revision, progressCallback }) {
+  const revisionAnnotation = { 'gke-mcp/revision': String(revision) };
+  const source = detectManifestSource(entries);
+  const compose = await loadCompose(entries);
+  const mode = exposure.mode || 'loadbalancer';
+  if (!source && !compose) {
+    const deployment = buildDeploymentManifest(serviceName, namespace, image.url, workload, { ...buildImageAnnotations(image), ...revisionAnnotation });
+    const service = buildServiceManifest(serviceName, namespace, workload, mode === 'loadbalancer' ? 'LoadBalancer' : 'ClusterIP');
+    const backend = { name: service.metadata.name, port: service.spec.ports[0].port };
+    const manifests = [deployment, service];
+    const autoscaler = buildAutoscalerManifest(serviceName, namespace, workload);
+    if (autoscaler) {
+      manifests.splice(1, 0, autoscaler);
+      if (autoscaler.spec.metrics.some(m => m.type === 'Resource') && !workload.cpuRequest) {
+        logAndProgress('CPU-based autoscaling needs a CPU request: set cpuRequest unless the cluster sets default requests (e.g. Autopilot).', progressCallback, 'warn');
       }
-    } catch (error) {
-      const errorMessage = `Failed to ensure API [${api}] is enabled. Please check manually.`;
-      console.error(errorMessage, error);
-      logAndProgress(errorMessage, progressCallback, 'error');
-      throw new Error(errorMessage);
     }
+    if (mode === 'ingress') {
+      manifests.push(...buildIngressManifests(serviceName, namespace, backend, exposure));
+    } else if (mode === 'gateway') {
+      manifests.push(buildHttpRouteManifest(serviceName, namespace, backend, exposure));
+    }
+    return { source: 'generated', manifests };
+  }
+  const definedBy = source ? `the ${source.type} in ${source.dir || 'the source root'}` : compose.fileName;
+  if (Object.keys(workload).length > 0) {
+    logAndProgress(`The workload options are ignored: ${definedBy} defines the workload.`, progressCallback, 'warn');
+  }
+  if (mode !== 'loadbalancer') {
+    logAndProgress(`The expose, domain and path options are ignored: ${definedBy} defines how the service is exposed.`, progressCallback, 'warn');
+  }
+
+  if (compose) {
+    logAndProgress(`Translating ${compose.fileName} (${compose.services.map(s => s.name).join(', ')})...`, progressCallback);
+    for (const warning of compose.warnings) {
+      logAndProgress(warning, progressCallback, 'warn');
+    }
+    const images = Object.fromEntries(Object.entries(image).map(([name, built]) => [name, built.url]));
+    const manifests = await buildComposeManifests(compose.services, { group: serviceName, namespace, images, entries, readEntry });
+    for (const manifest of manifests.filter(m => m.kind === 'Deployment')) {
+      const built = image[manifest.metadata.name];
+      manifest.metadata.annotations = { ...(built ? buildImageAnnotations(built) : {}), ...revisionAnnotation };
+    }
+    return { source: 'compose', manifests };
+  }
+
+  const manifests = await renderUserManifests(entries, source, { serviceName, namespace, imageUrl: image.url, progressCallback });
+  for (const manifest of manifests.filter(m => m.kind === 'Deployment')) {
+    manifest.metadata.annotations = { ...manifest.metadata.annotations, ...buildImageAnnotations(image), ...revisionAnnotation };
   }
-  logAndProgress('All required APIs are enabled.', progressCallback);
+  return { source: source.type, manifests };
 }
 
 /**
- * Checks if a GKE cluster exists.
+ * Renders the manifests of a deployment, see `renderSourceManifests`, preceded by the Secret holding the
+ * secrets of the service, read from Secret Manager, and with Workload Identity by the Kubernetes ServiceAccount
+ * of the service. The generated Deployment reads the secrets as environment variables and files and runs as
+ * the ServiceAccount; user-supplied manifests and Compose files must reference them themselves.
+ *
+ * @async
+ * @param {Array<object>} entries - Source entries from `collectSourceFiles`.
+ * @param {object} options - Rendering options, see `renderSourceManifests`.
+ * @param {string} options.projectId - The Google Cloud project ID, also the project of secret references without one.
+ * @param {import('./gke-secrets.js').SecretMappings} [options.secrets] - The secrets of the service.
+ * @param {import('./gke-workload-identity.js').WorkloadIdentity} [options.workloadIdentity] - Runs the service as its Google service account.
+ * @returns {Promise<{source: string, manifests: object[]}>} The source and the manifests, in apply order.
  */
-async function checkGkeClusterExists(projectId, location, clusterId, progressCallback) {
-  const parent = containerClient.locationPath(projectId, location);
-  try {
-    await containerClient.getCluster({ name: `${parent}/clusters/${clusterId}` });
-    logAndProgress(`GKE cluster ${clusterId} exists.`, progressCallback);
-    return true;
-  } catch (error) {
-    if (error.code === 5) {
-      logAndProgress(`GKE cluster ${clusterId} does not exist.`, progressCallback);
-      return false;
+async function renderManifests(entries, { projectId, secrets = {}, workloadIdentity, ...options }) {
+  const { serviceName, namespace, progressCallback } = options;
+  const rendered = await renderSourceManifests(entries, options);
+  const deployment = rendered.source === 'generated' ? rendered.manifests.find(m => m.kind === 'Deployment') : null;
+  const manifests = [...rendered.manifests];
+
+  if (workloadIdentity) {
+    const serviceAccount = buildServiceAccountManifest(serviceName, namespace, serviceAccountOf(projectId, namespace, serviceName).email);
+    manifests.unshift(serviceAccount);
+    if (deployment) {
+      deployment.spec.template.spec.serviceAccountName = serviceAccount.metadata.name;
+    } else {
+      logAndProgress(`The ${rendered.source} manifests are not changed: set serviceAccountName: ${serviceAccount.metadata.name} in their pod specs to run as the Google service account.`, progressCallback, 'warn');
     }
-    const errorMessage = `Error checking GKE cluster ${clusterId}: ${error.message}`;
-    console.error(`Error checking GKE cluster ${clusterId}:`, error);
-    logAndProgress(errorMessage, progressCallback, 'error');
-    throw error;
   }
+
+  const bindings = secretBindings(secrets, projectId);
+  if (bindings.length > 0) {
+    const { values, versions } = await resolveSecrets(projectId, bindings, progressCallback);
+    const secret = buildSecretManifest(serviceName, namespace, values);
+    manifests.unshift(secret);
+    if (deployment) {
+      mountSecrets(deployment, secret, bindings, versions);
+    } else {
+      logAndProgress(`Secret ${secret.metadata.name} holds the keys ${bindings.map(b => b.key).join(', ')}. The ${rendered.source} manifests are not changed: reference the Secret from them.`, progressCallback, 'warn');
+    }
+  }
+  return { source: rendered.source, manifests };
 }
 
 /**
- * Deploys or updates a deployment in GKE.
+ * Describes a manifest for progress messages and tool responses.
+ * @param {object} manifest - The manifest.
+ * @returns {string} e.g. `Deployment default/app`.
  */
-async function deployToGke(projectId, location, clusterId, deploymentName, imgUrl, progressCallback) {
-  const parent = containerClient.locationPath(projectId, location);
-  const clusterPath = `${parent}/clusters/${clusterId}`;
+function describeManifest({ kind, metadata }) {
+  return metadata.namespace ? `${kind} ${metadata.namespace}/${metadata.name}` : `${kind} ${metadata.name}`;
+}
 
+/**
+ * Applies the manifests of a service and waits for every Deployment to roll out and every
+ * LoadBalancer Service and Ingress to get an external address. All manifests are first validated with a
+ * server-side dry run, so an invalid object fails the deployment before anything is changed.
+ *
+ * @async
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {object[]} manifests - The manifests, in apply order. Cluster-scoped objects lose their namespace.
+ * @param {object} options - Wait options, see `waitForRollout`.
+ * @returns {Promise<{url?: string, address?: string, readyReplicas: number, desiredReplicas: number, applied: string[]}>}
+ * The URL and address of the first LoadBalancer Service or Ingress, the replica counts summed over the Deployments and the applied objects.
+ * @throws {Error} If an object is invalid or the rollout fails.
+ */
+async function applyAndWait(k8s, manifests, { deadline, progressCallback, signal }) {
+  for (const manifest of manifests) {
+    const { namespaced } = await k8s.resolveResource(manifest.apiVersion, manifest.kind);
+    if (!namespaced) {
+      delete manifest.metadata.namespace;
+    }
+  }
+
+  // Never take over an object deployed by gke-mcp for another service (e.g. a `redis` of another Compose project)
+  for (const manifest of manifests) {
+    const { apiVersion, kind, metadata } = manifest;
+    const live = await k8s.get(await k8s.objectPath(apiVersion, kind, metadata.namespace, metadata.name));
+    const owner = live && live.metadata.labels && live.metadata.labels['created-by'] === 'gke-mcp' ? live.metadata.labels[SERVICE_LABEL] : undefined;
+    if (owner && metadata.labels && owner !== metadata.labels[SERVICE_LABEL]) {
+      throw new Error(`${describeManifest(manifest)} already belongs to service ${owner}. Deploy into another namespace, or rename the object.`);
+    }
+  }
+
+  // Objects in a namespace created by the same manifests cannot be dry-run before it exists
+  const createdNamespaces = new Set(manifests.filter(m => m.kind === 'Namespace').map(m => m.metadata.name));
+  for (const manifest of manifests) {
+    if (createdNamespaces.has(manifest.metadata.namespace)) {
+      continue;
+    }
+    try {
+      await k8s.apply(manifest, { dryRun: true });
+    } catch (error) {
+      throw new Error(`Validation of ${describeManifest(manifest)} failed: ${error.message}`);
+    }
+  }
+
+  const applied = [];
+  for (const manifest of manifests) {
+    signal?.throwIfAborted();
+    await k8s.apply(manifest);
+    applied.push(describeManifest(manifest));
+    logAndProgress(`Applied ${describeManifest(manifest)}.`, progressCallback);
+  }
+
+  // Wait for the pods to become ready and the load balancers to get an address
+  let readyReplicas = 0;
+  let desiredReplicas = 0;
+  for (const deployment of manifests.filter(m => m.kind === 'Deployment')) {
+    const { namespace, name } = deployment.metadata;
+    const matchLabels = (deployment.spec.selector && deployment.spec.selector.matchLabels) || { app: name };
+    const podSelector = Object.entries(matchLabels).map(([key, value]) => `${key}=${value}`).join(',');
+    const rollout = await waitForRollout(k8s, namespace, name, { deadline, progressCallback, signal, podSelector });
+    readyReplicas += rollout.readyReplicas;
+    desiredReplicas += rollout.desiredReplicas;
+  }
+  let url;
+  let address;
+  for (const exposed of manifests.filter(m => (m.kind === 'Service' && m.spec && m.spec.type === 'LoadBalancer') || m.kind === 'Ingress')) {
+    const externalAddress = await waitForExternalAddress(k8s, exposed, { deadline, progressCallback, signal });
+    const port = exposed.kind === 'Service' ? exposed.spec.ports[0].port : 80;
+    address = address || externalAddress;
+    url = url || (port === 80 ? `http://${externalAddress}` : `http://${externalAddress}:${port}`);
+  }
+  return { url, address, readyReplicas, desiredReplicas, applied };
+}
+
+/**
+ * Deletes the HorizontalPodAutoscaler created by gke-mcp for a service, so that a deploy without
+ * autoscaling options gets back the replica count it asks for.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves once the autoscaler is gone.
+ */
+async function removeAutoscaler(k8s, namespace, serviceName, progressCallback) {
+  const path = resourcePath('autoscaling/v2', 'HorizontalPodAutoscaler', namespace, serviceName);
+  const autoscaler = await k8s.get(path);
+  if (autoscaler && autoscaler.metadata.labels && autoscaler.metadata.labels['created-by'] === 'gke-mcp') {
+    await k8s.remove(path);
+    logAndProgress(`Removed HorizontalPodAutoscaler ${namespace}/${serviceName}, autoscaling is disabled.`, progressCallback);
+  }
+}
+
+/**
+ * Sets the replica count of an autoscaled Deployment among the manifests to its live count, within the bounds of
+ * its HorizontalPodAutoscaler. Server-side apply would otherwise reset the count the autoscaler chose, or reset
+ * it to 1 if the field were left out, scaling the service down until the autoscaler reacts.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {object[]} manifests - The manifests to apply, modified in place.
+ * @returns {Promise<void>}
+ */
+async function keepLiveReplicas(k8s, manifests) {
+  const autoscaler = manifests.find(m => m.kind === 'HorizontalPodAutoscaler');
+  if (!autoscaler) {
+    return;
+  }
+  const deployment = manifests.find(m => m.kind === 'Deployment' && m.metadata.name === autoscaler.spec.scaleTargetRef.name);
+  const live = deployment && await k8s.get(resourcePath('apps/v1', 'Deployment', deployment.metadata.namespace, deployment.metadata.name));
+  if (live) {
+    const { minReplicas = 1, maxReplicas } = autoscaler.spec;
+    deployment.spec.replicas = Math.min(Math.max(live.spec.replicas ?? 1, minReplicas), maxReplicas);
+  }
+}
+
+/**
+ * Returns the URL of a service exposed through an Ingress or the shared Gateway.
+ * @param {import('./gke-exposure.js').Exposure} exposure - The exposure options.
+ * @param {string} [address] - The IP address of the load balancer, used when there is no domain.
+ * @returns {string} `https://<domain><path>` with a domain, `http://<address><path>` otherwise.
+ */
+function exposedUrl({ domain, path = '/' }, address) {
+  const suffix = path === '/' ? '' : path;
+  return domain ? `https://${domain}${suffix}` : `http://${address}${suffix}`;
+}
+
+/**
+ * Deploys or updates a deployment in GKE.
+ * The manifests (user-supplied, or a generated Deployment and Service) are created or patched with
+ * server-side apply through an in-process Kubernetes API client, so gcloud and kubectl are not required.
+ * Deployments run the image pinned to its digest and record the build in their annotations.
+ * The service is exposed by its own LoadBalancer Service, its own Ingress or a route on the shared Gateway;
+ * with a domain, a Google-managed certificate serves it over HTTPS.
+ * Secrets are read from Secret Manager into a Kubernetes Secret, which is not recorded in the history.
+ * With Workload Identity, the pods run as a Google service account of the service.
+ * Resolves once the rollout has completed and the service has an external address, and records
+ * the deployment as a new revision in the service history.
+ */
+async function deployToGke(projectId, location, clusterId, deploymentName, image, { entries, namespace = DEFAULT_NAMESPACE, workload = {}, exposure = {}, secrets = {}, workloadIdentity, rolloutTimeoutSeconds = DEFAULT_ROLLOUT_TIMEOUT_SECONDS, deployedBy = {}, signal } = {}, progressCallback) {
+  const startTime = Date.now();
+  const deadline = startTime + rolloutTimeoutSeconds * 1000;
   try {
-    const exists = await checkGkeClusterExists(projectId, location, clusterId, progressCallback);
-    if (!exists) {
-      throw new Error(`GKE cluster ${clusterId} does not exist. Please create it first.`);
-    }
-
-    // Create deployment manifest
-    const deployment = {
-      apiVersion: 'apps/v1',
-      kind: 'Deployment',
-      metadata: {
-        name: deploymentName,
-        labels: {
-          'created-by': 'gke-mcp',
-        },
-      },
-      spec: {
-        replicas: 1,
-        selector: {
-          matchLabels: {
-            app: deploymentName,
-          },
-        },
-        template: {
-          metadata: {
-            labels: {
-              app: deploymentName,
-            },
-          },
-          spec: {
-            containers: [
-              {
-                name: deploymentName,
-                image: imgUrl,
-                ports: [
-                  {
-                    containerPort: 8080,
-                  },
-                ],
-              },
-            ],
-          },
-        },
-      },
-    };
+    // Connect to the cluster API server
+    logAndProgress(`Connecting to cluster ${clusterId}...`, progressCallback);
+    const k8s = await connectToCluster(projectId, location, clusterId);
 
-    // Create service manifest
-    const service = {
-      apiVersion: 'v1',
-      kind: 'Service',
-      metadata: {
-        name: `${deploymentName}-service`,
-        labels: {
-          'created-by': 'gke-mcp',
-        },
-      },
-      spec: {
-        type: 'LoadBalancer',
-        ports: [
-          {
-            port: 80,
-            targetPort: 8080,
-          },
-        ],
-        selector: {
-          app: deploymentName,
-        },
-      },
-    };
+    await ensureNamespaceExists(k8s, namespace, progressCallback);
 
-    // Apply manifests using kubectl
-    const { exec } = await import('child_process');
-    const util = await import('util');
-    const execPromise = util.promisify(exec);
-
-    // Get cluster credentials
-    logAndProgress(`Getting credentials for cluster ${clusterId}...`, progressCallback);
-    await execPromise(`gcloud container clusters get-credentials ${clusterId} --zone ${location} --project ${projectId}`);
-
-    // Apply deployment
-    logAndProgress(`Deploying ${deploymentName} to GKE...`, progressCallback);
-    const deploymentYaml = JSON.stringify(deployment);
-    const serviceYaml = JSON.stringify(service);
-    
-    await execPromise(`echo '${deploymentYaml}' | kubectl apply -f -`);
-    await execPromise(`echo '${serviceYaml}' | kubectl apply -f -`);
-
-    // Get service external IP
-    const { stdout } = await execPromise(`kubectl get service ${deploymentName}-service -o jsonpath='{.status.loadBalancer.ingress[0].ip}'`);
-    
-    logAndProgress(`Deployment successful! Service available at: http://${stdout}`, progressCallback);
+    // Render the manifests
+    const revisions = await listRevisions(k8s, namespace, deploymentName);
+    const revision = nextRevisionNumber(revisions);
+    if (Object.keys(secrets).length > 0) {
+      await ensureApisEnabled(projectId, ['secretmanager.googleapis.com'], progressCallback);
+    }
+    if (workloadIdentity) {
+      await ensureApisEnabled(projectId, ['iam.googleapis.com', 'cloudresourcemanager.googleapis.com'], progressCallback);
+      const workloadPool = requireWorkloadPool(await getCluster(projectId, location, clusterId), projectId);
+      await ensureWorkloadIdentity(projectId, workloadPool, { serviceName: deploymentName, namespace, roles: workloadIdentity.roles, progressCallback });
+    }
+    const { source, manifests } = await renderManifests(entries, { projectId, secrets, workloadIdentity, serviceName: deploymentName, namespace, workload, exposure, image, revision, progressCallback });
+    const mode = source === 'generated' ? exposure.mode || 'loadbalancer' : 'loadbalancer';
+
+    let gateway;
+    if (mode === 'gateway') {
+      if (exposure.domain) {
+        await ensureApisEnabled(projectId, ['certificatemanager.googleapis.com'], progressCallback);
+        await ensureGatewayCertificate(projectId, exposure.domain, progressCallback);
+      }
+      gateway = await ensureSharedGateway(k8s, { https: Boolean(exposure.domain), progressCallback });
+    }
+    if (source === 'generated' && !manifests.some(m => m.kind === 'HorizontalPodAutoscaler')) {
+      await removeAutoscaler(k8s, namespace, deploymentName, progressCallback);
+    }
+    await keepLiveReplicas(k8s, manifests);
+
+    // Apply the manifests
+    logAndProgress(`Deploying ${deploymentName} (revision ${revision}, ${manifests.length} objects from ${source} manifests) to GKE namespace ${namespace}...`, progressCallback);
+    let { url, address, readyReplicas, desiredReplicas, applied } = await applyAndWait(k8s, manifests, { deadline, progressCallback, signal });
+
+    let dnsInstructions;
+    if (mode !== 'loadbalancer') {
+      if (gateway) {
+        address = await waitForExternalAddress(k8s, gateway, { deadline, progressCallback, signal });
+      }
+      url = exposedUrl(exposure, address);
+      if (exposure.domain) {
+        dnsInstructions = await checkDomainRecord(exposure.domain, address) || undefined;
+        if (dnsInstructions) {
+          logAndProgress(dnsInstructions, progressCallback, 'warn');
+        }
+      }
+    }
+    const elapsedSeconds = Math.round((Date.now() - startTime) / 1000);
+
+    const summary = summarizeImage(image);
+    await recordRevision(k8s, namespace, deploymentName, revisions, {
+      revision,
+      deployedAt: new Date().toISOString(),
+      image: summary.url,
+      images: summary.images,
+      sourceHash: summary.sourceHash,
+      imageTag: summary.tag,
+      buildId: summary.buildId,
+      // Environment values may hold credentials and are shown by list_deployment_revisions: only their names are recorded
+      parameters: { clusterId, namespace, workload: workload.env ? { ...workload, env: Object.keys(workload.env) } : workload, exposure, secrets, workloadIdentity, source },
+      deployedBy,
+      // The history is a ConfigMap, so secret values are never recorded: rollbacks keep the current Secrets
+      manifests: manifests.filter(m => m.kind !== 'Secret'),
+    }, progressCallback);
+
+    logAndProgress(url ? `Deployment successful! Service available at: ${url}` : 'Deployment successful!', progressCallback);
     return {
       name: deploymentName,
-      url: `http://${stdout}`,
+      namespace,
+      url,
+      dnsInstructions,
+      image: summary.url,
+      reusedImage: summary.reused,
+      revision,
+      source,
+      applied,
+      readyReplicas,
+      desiredReplicas,
+      elapsedSeconds,
     };
   } catch (error) {
     const errorMessage = `Error deploying to GKE: ${error.message}`;
@@ -213,50 +442,395 @@ async function deployToGke(projectId, location, clusterId, deploymentName, imgUr
   }
 }
 
+// Kinds of the objects gke-mcp creates for a service, in deletion order: the LoadBalancer first, so it stops billing.
+const SERVICE_OBJECT_KINDS = [
+  ['autoscaling/v2', 'HorizontalPodAutoscaler'],
+  ['v1', 'Service'],
+  ['apps/v1', 'Deployment'],
+  ['v1', 'ConfigMap'],
+  ['v1', 'Secret'],
+  ['v1', 'ServiceAccount'],
+  ['v1', 'PersistentVolumeClaim'],
+];
+
 /**
- * Main deployment function
+ * Finds the Kubernetes objects created by gke-mcp for a service: objects labeled with `created-by: gke-mcp`
+ * and the service name, the objects of its latest recorded revision (user-supplied manifests may use any kind),
+ * plus the Deployment and Service of deployments made before that label existed.
+ *
+ * @async
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @returns {Promise<Array<{path: string, description: string}>>} The objects, in deletion order.
  */
-export async function deploy({ projectId, serviceName = 'app', region = 'europe-west1', clusterId = 'default-cluster', files, progressCallback }) {
-  try {
-    // Initialize clients
-    const { Storage } = await import('@google-cloud/storage');
-    const { CloudBuildClient } = await import('@google-cloud/cloudbuild');
-    const { ArtifactRegistryClient } = await import('@google-cloud/artifact-registry');
-    const { ContainerClient } = await import('@google-cloud/container');
+async function findServiceObjects(k8s, namespace, serviceName) {
+  const selector = encodeURIComponent(`created-by=gke-mcp,${SERVICE_LABEL}=${serviceName}`);
+  const legacyNames = { Service: `${serviceName}-service`, Deployment: serviceName };
+  const objects = [];
 
-    storage = new Storage({ projectId });
-    cloudBuildClient = new CloudBuildClient({ projectId });
-    artifactRegistryClient = new ArtifactRegistryClient({ projectId });
-    containerClient = new ContainerClient({ projectId });
+  for (const [apiVersion, kind] of SERVICE_OBJECT_KINDS) {
+    const list = await k8s.get(`${resourcePath(apiVersion, kind, namespace)}?labelSelector=${selector}`);
+    const names = new Set(((list && list.items) || []).map(item => item.metadata.name));
+    if (legacyNames[kind] && !names.has(legacyNames[kind])) {
+      const legacy = await k8s.get(resourcePath(apiVersion, kind, namespace, legacyNames[kind]));
+      if (legacy && legacy.metadata.labels && legacy.metadata.labels['created-by'] === 'gke-mcp') {
+        names.add(legacyNames[kind]);
+      }
+    }
+    for (const name of names) {
+      objects.push({
+        path: resourcePath(apiVersion, kind, namespace, name),
+        description: `${kind} ${namespace}/${name}`,
+      });
+    }
+  }
 
-    // Enable required APIs
-    await ensureApisEnabled(projectId, REQUIRED_APIS, progressCallback);
+  const revisions = await listRevisions(k8s, namespace, serviceName);
+  const latest = revisions[revisions.length - 1];
+  for (const manifest of (latest && latest.manifests) || []) {
+    const { apiVersion, kind, metadata } = manifest;
+    if (kind === 'Namespace') {
+      continue; // Never delete a namespace, it may hold more than this service
+    }
+    let path;
+    try {
+      path = await k8s.objectPath(apiVersion, kind, metadata.namespace, metadata.name);
+    } catch {
+      continue; // The kind is no longer served, e.g. its CRD was removed
+    }
+    if (!objects.some(object => object.path === path) && await k8s.get(path)) {
+      objects.push({ path, description: describeManifest(manifest) });
+    }
+  }
+  return objects;
+}
+
+/**
+ * Deletes the objects of a service that are not among the manifests of a revision, such as an autoscaler or
+ * an Ingress added by a later deploy, so that rolling back to the revision restores its exact set of objects.
+ * Secrets, whose values are not recorded in the history, and the history itself are kept.
+ *
+ * @async
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @param {object[]} manifests - The manifests of the revision.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<string[]>} Descriptions of the deleted objects.
+ */
+async function removeObjectsMissingFrom(k8s, namespace, serviceName, manifests, progressCallback) {
+  const kept = new Set([resourcePath('v1', 'ConfigMap', namespace, historyConfigMapName(serviceName))]);
+  for (const { apiVersion, kind, metadata } of manifests) {
+    try {
+      kept.add(await k8s.objectPath(apiVersion, kind, metadata.namespace, metadata.name));
+    } catch {
+      // The kind is no longer served; applying the revision will report it
+    }
+  }
+  const removed = [];
+  for (const object of await findServiceObjects(k8s, namespace, serviceName)) {
+    if (!kept.has(object.path) && !object.description.startsWith('Secret ') && await k8s.remove(object.path)) {
+      removed.push(object.description);
+    }
+  }
+  if (removed.length > 0) {
+    logAndProgress(`Removed ${removed.join(', ')}, not part of the revision.`, progressCallback);
+  }
+  return removed;
+}
 
-    // Create storage bucket
-    const bucketName = `${projectId}-${REPO_NAME}`;
-    const bucket = await ensureStorageBucketExists(bucketName, region, progressCallback);
+/**
+ * Deploy target running the built image as a Deployment behind a LoadBalancer Service, an Ingress or the shared Gateway in GKE.
+ * Reads the `clusterId`, `namespace`, `workload`, `exposure`, `secrets`, `workloadIdentity`, `createClusterIfMissing`,
+ * `rolloutTimeoutSeconds` and `deployedBy` deploy options.
+ * @type {import('./build-pipeline.js').DeployTarget}
+ */
+export const gkeTarget = {
+  name: 'gke',
+  requiredApis: ['container.googleapis.com'],
 
-    // Zip and upload files
-    const zipBuffer = await zipFiles(files, progressCallback);
-    await uploadToStorageBucket(bucket, zipBuffer, ZIP_FILE_NAME, progressCallback);
+  async prepare({ projectId, serviceName, region, clusterId = 'default-cluster', workload = {}, exposure = {}, secrets = {}, workloadIdentity, createClusterIfMissing = false, progressCallback }) {
+    validateAutoscaling(workload);
+    secretBindings(secrets, projectId);
+    if (exposure.domain && !['ingress', 'gateway'].includes(exposure.mode)) {
+      throw new Error('A domain requires exposing the service through an Ingress or the Gateway (expose: "ingress" or "gateway").');
+    }
+    const cluster = await getCluster(projectId, region, clusterId);
+    if (!cluster && createClusterIfMissing) {
+      logAndProgress(`GKE cluster ${clusterId} does not exist. It will be created as an Autopilot cluster before deploying.`, progressCallback);
+    } else if (!cluster) {
+      logAndProgress(`GKE cluster ${clusterId} does not exist.`, progressCallback);
+      throw new Error(`GKE cluster ${clusterId} does not exist in ${region}. Create it with create_cluster, or deploy with createClusterIfMissing to create an Autopilot cluster.`);
+    } else {
+      logAndProgress(`GKE cluster ${clusterId} exists.`, progressCallback);
+      if (workloadIdentity) {
+        requireWorkloadPool(cluster, projectId);
+      }
+    }
+    return {
+      bucketName: `${projectId}-${REPO_NAME}`,
+      repositoryId: `${serviceName}-repo`,
+    };
+  },
 
-    // Create Artifact Registry repository
-    const repoName = `${serviceName}-repo`;
-    const targetRepoName = await ensureArtifactRegistryRepoExists(projectId, region, repoName, 'DOCKER', progressCallback);
+  async listBuilds({ files }) {
+    const compose = await loadCompose(await collectSourceFiles(files));
+    return compose ? composeBuilds(compose.services) : null;
+  },
 
-    // Build and push container image
-    const targetImageUrl = `${targetRepoName}/${serviceName}:${IMAGE_TAG}`;
-    const hasDockerfile = files.some(file => file.toLowerCase().endsWith('dockerfile'));
-    await triggerCloudBuild(projectId, region, bucketName, ZIP_FILE_NAME, targetRepoName, targetImageUrl, hasDockerfile, progressCallback);
+  async apply({ projectId, serviceName, region, clusterId = 'default-cluster', files, namespace, workload, exposure, secrets, workloadIdentity, createClusterIfMissing, rolloutTimeoutSeconds, deployedBy, signal, progressCallback }, image) {
+    const entries = await collectSourceFiles(files);
+    if (createClusterIfMissing && !(await getCluster(projectId, region, clusterId))) {
+      await createCluster(projectId, region, clusterId, { autopilot: true }, progressCallback);
+    }
+    return await deployToGke(projectId, region, clusterId, serviceName, image, { entries, namespace, workload, exposure, secrets, workloadIdentity, rolloutTimeoutSeconds, deployedBy, signal }, progressCallback);
+  },
 
-    // Deploy to GKE
-    const result = await deployToGke(projectId, region, clusterId, serviceName, targetImageUrl, progressCallback);
+  async plan({ projectId, serviceName, region, clusterId = 'default-cluster', files, namespace = DEFAULT_NAMESPACE, workload = {}, exposure = {}, secrets, workloadIdentity, progressCallback }, image) {
+    const cluster = await getCluster(projectId, region, clusterId);
+    const entries = await collectSourceFiles(files);
+    if (!cluster) {
+      // Only reached with createClusterIfMissing, see prepare
+      const { manifests } = await renderManifests(entries, { projectId, secrets, workloadIdentity, serviceName, namespace, workload, exposure, image, revision: 1, progressCallback });
+      return {
+        resources: [
+          { resource: `GKE cluster ${clusterId} (Autopilot)`, action: 'create' },
+          ...(namespace === DEFAULT_NAMESPACE ? [] : [{ resource: `Namespace ${namespace}`, action: 'create' }]),
+          ...manifests.map(manifest => ({ resource: describeManifest(manifest), action: 'create' })),
+        ],
+        manifests: toYaml(manifests.map(redactSecret)),
+      };
+    }
+    const k8s = createKubernetesClient(cluster);
+    const revisions = await listRevisions(k8s, namespace, serviceName);
+    const { manifests } = await renderManifests(entries, { projectId, secrets, workloadIdentity, serviceName, namespace, workload, exposure, image, revision: nextRevisionNumber(revisions), progressCallback });
+    await keepLiveReplicas(k8s, manifests);
 
-    return result;
-  } catch (error) {
-    const errorMessage = `Deployment failed: ${error.message}`;
-    console.error('Deployment failed:', error);
-    logAndProgress(errorMessage, progressCallback, 'error');
-    throw error;
+    const resources = [];
+    const namespaceExists = Boolean(await k8s.get(resourcePath('v1', 'Namespace', undefined, namespace)));
+    if (!namespaceExists) {
+      resources.push({ resource: `Namespace ${namespace}`, action: 'create' });
+    }
+    for (const manifest of manifests) {
+      const { apiVersion, kind, metadata } = manifest;
+      if (!(await k8s.resolveResource(apiVersion, kind)).namespaced) {
+        delete metadata.namespace;
+      }
+      const resource = describeManifest(manifest);
+      const inNewNamespace = metadata.namespace === namespace && !namespaceExists;
+      const live = inNewNamespace ? null : await k8s.get(await k8s.objectPath(apiVersion, kind, metadata.namespace, metadata.name));
+      if (!live) {
+        resources.push({ resource, action: 'create' });
+        continue;
+      }
+      if (kind === 'Secret') {
+        // Compare the values without showing them
+        const changed = JSON.stringify(live.data || {}) !== JSON.stringify(manifest.data || {});
+        resources.push({ resource: `${resource} (values not shown)`, action: changed ? 'update' : 'unchanged' });
+        continue;
+      }
+      // Let the API server apply its defaults and admission, so the diff only shows real changes
+      const dryRun = await k8s.apply(manifest, { dryRun: true });
+      const diff = diffYaml(withoutServerFields(live), withoutServerFields(dryRun));
+      resources.push(diff ? { resource, action: 'update', diff } : { resource, action: 'unchanged' });
+    }
+    return { resources, manifests: toYaml(manifests.map(redactSecret)) };
+  },
+
+  async status({ projectId, serviceName, region, clusterId = 'default-cluster', namespace = DEFAULT_NAMESPACE }) {
+    const k8s = await connectToCluster(projectId, region, clusterId);
+    const selector = encodeURIComponent(`created-by=gke-mcp,${SERVICE_LABEL}=${serviceName}`);
+    // User-supplied manifests may name their objects differently from the service
+    const findLabeled = async (apiVersion, kind) => {
+      const list = await k8s.get(`${resourcePath(apiVersion, kind, namespace)}?labelSelector=${selector}`);
+      return list && list.items && list.items[0];
+    };
+    const deployment = await k8s.get(resourcePath('apps/v1', 'Deployment', namespace, serviceName)) || await findLabeled('apps/v1', 'Deployment');
+    if (!deployment) {
+      return null;
+    }
+    const service = await k8s.get(resourcePath('v1', 'Service', namespace, `${serviceName}-service`)) || await findLabeled('v1', 'Service');
+    const ingress = (service && service.status && service.status.loadBalancer && service.status.loadBalancer.ingress) || [];
+    // Services exposed through an Ingress or the Gateway have no address of their own
+    const [latest] = (await listRevisions(k8s, namespace, serviceName)).slice(-1);
+    const exposure = (latest && latest.parameters && latest.parameters.exposure) || {};
+    const mode = latest && latest.parameters && latest.parameters.source === 'generated' ? exposure.mode || 'loadbalancer' : 'loadbalancer';
+    let url = ingress.length > 0 ? `http://${ingress[0].ip || ingress[0].hostname}` : undefined;
+    if (mode !== 'loadbalancer') {
+      const address = exposure.domain ? undefined : await findExposedAddress(k8s, namespace, serviceName, mode);
+      url = exposure.domain || address ? exposedUrl(exposure, address) : undefined;
+    }
+    const autoscaler = await findAutoscaler(k8s, namespace, deployment.metadata.name);
+    const status = deployment.status || {};
+    const annotations = deployment.metadata.annotations || {};
+    return {
+      name: serviceName,
+      namespace,
+      image: deployment.spec.template.spec.containers[0].image,
+      imageTag: annotations['gke-mcp/image-tag'],
+      sourceHash: annotations['gke-mcp/source-hash'],
+      buildId: annotations['gke-mcp/build-id'],
+      desiredReplicas: deployment.spec.replicas ?? 1,
+      currentReplicas: status.replicas || 0,
+      updatedReplicas: status.updatedReplicas || 0,
+      readyReplicas: status.readyReplicas || 0,
+      availableReplicas: status.availableReplicas || 0,
+      autoscaler: autoscaler ? describeAutoscaler(autoscaler) : undefined,
+      url,
+    };
+  },
+
+  async delete({ projectId, serviceName, region, clusterId = 'default-cluster', namespace = DEFAULT_NAMESPACE, progressCallback }, { dryRun = false } = {}) {
+    const k8s = await connectToCluster(projectId, region, clusterId);
+    const objects = await findServiceObjects(k8s, namespace, serviceName);
+    // Services deployed with Workload Identity have a Kubernetes ServiceAccount named after them
+    const withIdentity = objects.some(object => object.description === `ServiceAccount ${namespace}/${serviceName}`);
+    if (dryRun) {
+      const account = withIdentity && await deleteServiceAccount(projectId, namespace, serviceName, { dryRun: true });
+      return [...objects.map(object => object.description), ...(account ? [account] : [])];
+    }
+    const removed = [];
+    for (const object of objects) {
+      if (await k8s.remove(object.path)) {
+        removed.push(object.description);
+      }
+    }
+    const account = withIdentity && await deleteServiceAccount(projectId, namespace, serviceName);
+    if (account) {
+      removed.push(account);
+    }
+    logAndProgress(`Deleted ${removed.length > 0 ? removed.join(', ') : 'nothing'} for service ${serviceName}.`, progressCallback);
+    return removed;
+  },
+};
+
+/**
+ * Main deployment function
+ * @param {object} config - The deployment configuration.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} [config.serviceName='app'] - The name of the service to deploy.
+ * @param {string} [config.region='europe-west1'] - The location of the cluster, also used for the build and registry.
+ * @param {string} [config.clusterId='default-cluster'] - The GKE cluster to deploy to.
+ * @param {boolean} [config.createClusterIfMissing=false] - Create the cluster as an Autopilot cluster if it does not exist.
+ * @param {string} [config.namespace='default'] - The Kubernetes namespace to deploy into. Created if missing.
+ * @param {Array<string|{filename: string, content: Buffer|string}>} config.files - An array of file paths or file objects to deploy.
+ * A Helm chart (`Chart.yaml`), a kustomization or manifests in `k8s/` among them are applied instead of the generated
+ * Deployment and Service, with `${IMAGE}` replaced by the built image.
+ * @param {import('./gke-manifests.js').WorkloadSpec} [config.workload] - Replicas, ports, resources, env, probes and command of the generated workload.
+ * @param {import('./gke-exposure.js').Exposure} [config.exposure] - Exposes the generated Service through an Ingress or the shared Gateway, optionally on a domain.
+ * @param {import('./gke-secrets.js').SecretMappings} [config.secrets] - Secret Manager secrets exposed to the service as environment variables or files.
+ * @param {import('./gke-workload-identity.js').WorkloadIdentity} [config.workloadIdentity] - Runs the pods as a Google service account of the service, granted these roles.
+ * @param {number} [config.rolloutTimeoutSeconds] - Maximum time to wait for the rollout and the external IP.
+ * @param {{client?: string, sessionId?: string}} [config.deployedBy] - The MCP client and session deploying, recorded in the history.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{name: string, url?: string, dnsInstructions?: string, image: string, revision: number, source: string, applied: string[], readyReplicas: number, desiredReplicas: number, elapsedSeconds: number}>} The rollout result.
+ */
+export async function deploy({ serviceName = 'app', region = 'europe-west1', clusterId = 'default-cluster', ...options }) {
+  return await runDeployment(gkeTarget, { ...options, serviceName, region, clusterId });
+}
+
+/**
+ * Lists the recorded revisions of a service deployed to GKE.
+ * @param {object} config - The service to look up.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} [config.serviceName='app'] - The service name.
+ * @param {string} [config.region='europe-west1'] - The location of the cluster.
+ * @param {string} [config.clusterId='default-cluster'] - The GKE cluster.
+ * @param {string} [config.namespace='default'] - The namespace of the service.
+ * @returns {Promise<import('./gke-history.js').Revision[]>} The revisions, oldest first.
+ */
+export async function listDeploymentRevisions({ projectId, serviceName = 'app', region = 'europe-west1', clusterId = 'default-cluster', namespace = DEFAULT_NAMESPACE }) {
+  const k8s = await connectToCluster(projectId, region, clusterId);
+  return await listRevisions(k8s, namespace, serviceName);
+}
+
+/**
+ * Rolls a service back to a previous revision by re-applying the manifests recorded for it, after deleting
+ * the objects of the service missing from them, and waits for the rollout. The rollback is itself recorded as a new revision.
+ * @param {object} config - The rollback configuration.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} [config.serviceName='app'] - The service name.
+ * @param {string} [config.region='europe-west1'] - The location of the cluster.
+ * @param {string} [config.clusterId='default-cluster'] - The GKE cluster.
+ * @param {string} [config.namespace='default'] - The namespace of the service.
+ * @param {number} [config.revision] - The revision to roll back to. Defaults to the one before the latest.
+ * @param {number} [config.rolloutTimeoutSeconds] - Maximum time to wait for the rollout and the external IP.
+ * @param {{client?: string, sessionId?: string}} [config.deployedBy] - The MCP client and session rolling back.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{name: string, namespace: string, url?: string, image: string, revision: number, rollbackOf: number, applied: string[], readyReplicas: number, desiredReplicas: number, elapsedSeconds: number}>} The rollout result.
+ * @throws {Error} If there is no such revision or the rollout fails.
+ */
+export async function rollback({ projectId, serviceName = 'app', region = 'europe-west1', clusterId = 'default-cluster', namespace = DEFAULT_NAMESPACE, revision, rolloutTimeoutSeconds = DEFAULT_ROLLOUT_TIMEOUT_SECONDS, deployedBy = {}, progressCallback }) {
+  const startTime = Date.now();
+  const deadline = startTime + rolloutTimeoutSeconds * 1000;
+
+  const k8s = await connectToCluster(projectId, region, clusterId);
+  const revisions = await listRevisions(k8s, namespace, serviceName);
+  if (revisions.length === 0) {
+    throw new Error(`No deployment history for service ${serviceName} in namespace ${namespace}.`);
+  }
+  let target;
+  if (revision !== undefined) {
+    target = revisions.find(r => r.revision === revision);
+    if (!target) {
+      throw new Error(`Revision ${revision} of service ${serviceName} not found. Available revisions: ${revisions.map(r => r.revision).join(', ')}`);
+    }
+  } else {
+    if (revisions.length < 2) {
+      throw new Error(`Service ${serviceName} has no previous revision to roll back to.`);
+    }
+    target = revisions[revisions.length - 2];
   }
-} 
\ No newline at end of file
+
+  if (!target.manifests) {
+    throw new Error(`Revision ${target.revision} of service ${serviceName} was recorded without its manifests, which were too large for the history, and cannot be rolled back to.`);
+  }
+
+  const newRevision = nextRevisionNumber(revisions);
+  const manifests = structuredClone(target.manifests);
+  for (const deployment of manifests.filter(m => m.kind === 'Deployment')) {
+    deployment.metadata.annotations = {
+      ...deployment.metadata.annotations,
+      'gke-mcp/revision': String(newRevision),
+      'gke-mcp/rollback-of': String(target.revision),
+    };
+  }
+
+  logAndProgress(`Rolling back ${serviceName} to revision ${target.revision} (${target.image})...`, progressCallback);
+  // Removed first, so that an autoscaler added since does not override the replicas of the revision
+  await removeObjectsMissingFrom(k8s, namespace, serviceName, manifests, progressCallback);
+  await keepLiveReplicas(k8s, manifests);
+  let { url, address, readyReplicas, desiredReplicas, applied } = await applyAndWait(k8s, manifests, { deadline, progressCallback });
+  const exposure = (target.parameters && target.parameters.exposure) || {};
+  const mode = target.parameters && target.parameters.source === 'generated' ? exposure.mode || 'loadbalancer' : 'loadbalancer';
+  if (mode !== 'loadbalancer') {
+    // applyAndWait only waits for the address of an Ingress, the shared Gateway already has one
+    address = exposure.domain ? undefined : address || await findExposedAddress(k8s, namespace, serviceName, mode);
+    url = exposure.domain || address ? exposedUrl(exposure, address) : undefined;
+  }
+  const elapsedSeconds = Math.round((Date.now() - startTime) / 1000);
+
+  await recordRevision(k8s, namespace, serviceName, revisions, {
+    ...target,
+    revision: newRevision,
+    deployedAt: new Date().toISOString(),
+    deployedBy,
+    rollbackOf: target.revision,
+    manifests,
+  }, progressCallback);
+
+  logAndProgress(url ? `Rollback successful! Service available at: ${url}` : 'Rollback successful!', progressCallback);
+  return {
+    name: serviceName,
+    namespace,
+    url,
+    image: target.image,
+    revision: newRevision,
+    rollbackOf: target.revision,
+    applied,
+    readyReplicas,
+    desiredReplicas,
+    elapsedSeconds,
+  };
+}
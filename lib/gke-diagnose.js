@@ -0,0 +1,354 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { connectToCluster, resourcePath } from './k8s-client.js';
+import { DEFAULT_NAMESPACE, DEFAULT_CONTAINER_PORT } from './gke-manifests.js';
+
+// Log lines announcing the port an app listens on, e.g. "Listening on http://0.0.0.0:3000" or "running on port 5000".
+const LISTENING_PORT_REGEX = /(?:listen|running|serving|started|bound)[^\n]*?(?:port[^\d\n]{0,3}|:)(\d{2,5})\b/gi;
+
+/**
+ * @typedef {object} Finding
+ * @property {string} cause - The likely cause, in one sentence.
+ * @property {string[]} evidence - What in the cluster state points to it.
+ * @property {string} suggestion - What to change, in terms of deploy tool parameters where possible.
+ * @property {number} score - Confidence and impact, from 0 to 100. Findings are ranked by score.
+ */
+
+/**
+ * @typedef {object} ServiceState
+ * @property {object|null} deployment - The Deployment.
+ * @property {object[]} replicaSets - The ReplicaSets of the Deployment.
+ * @property {object[]} pods - The pods selected by `app: <service>`.
+ * @property {object[]} events - Events about any of the above objects or the Service, oldest first.
+ * @property {object|null} service - The `<service>-service` Service.
+ * @property {object|null} endpoints - The Endpoints of the Service.
+ * @property {Array<{pod: string, text: string}>} logs - Recent logs of the main container of each pod, the first one of the Deployment.
+ */
+
+/**
+ * Gathers the state of a service deployed to GKE by `deployToGke`.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @returns {Promise<ServiceState>} The state.
+ */
+export async function gatherServiceState(k8s, namespace, serviceName) {
+  const selector = `labelSelector=${encodeURIComponent(`app=${serviceName}`)}`;
+  const deployment = await k8s.get(resourcePath('apps/v1', 'Deployment', namespace, serviceName));
+  const replicaSets = ((await k8s.get(`${resourcePath('apps/v1', 'ReplicaSet', namespace)}?${selector}`)) || {}).items || [];
+  const pods = ((await k8s.get(`${resourcePath('v1', 'Pod', namespace)}?${selector}`)) || {}).items || [];
+  const service = await k8s.get(resourcePath('v1', 'Service', namespace, `${serviceName}-service`));
+  const endpoints = await k8s.get(resourcePath('v1', 'Endpoints', namespace, `${serviceName}-service`));
+
+  const names = new Set([serviceName, `${serviceName}-service`, ...replicaSets.map(rs => rs.metadata.name), ...pods.map(pod => pod.metadata.name)]);
+  const allEvents = ((await k8s.get(resourcePath('v1', 'Event', namespace))) || {}).items || [];
+  const events = allEvents
+    .filter(event => event.involvedObject && names.has(event.involvedObject.name))
+    .sort((a, b) => String(a.lastTimestamp || a.eventTime).localeCompare(String(b.lastTimestamp || b.eventTime)));
+
+  // Sidecars log their own ports, so only the logs of the main container are read
+  const containerName = deployment ? deployment.spec.template.spec.containers[0].name : undefined;
+  const logs = [];
+  for (const pod of pods) {
+    const statuses = (pod.status && pod.status.containerStatuses) || [];
+    const containerStatus = statuses.find(status => status.name === containerName) || statuses[0];
+    if (!containerStatus || !(containerStatus.state.running || containerStatus.lastState.terminated)) {
+      continue;
+    }
+    const previous = !containerStatus.state.running;
+    try {
+      const text = await k8s.request('GET', `${resourcePath('v1', 'Pod', namespace, pod.metadata.name)}/log?container=${encodeURIComponent(containerStatus.name)}&tailLines=200${previous ? '&previous=true' : ''}`, { raw: true });
+      logs.push({ pod: pod.metadata.name, text });
+    } catch {
+      // Logs are optional evidence
+    }
+  }
+
+  return { deployment, replicaSets, pods, events, service, endpoints, logs };
+}
+
+/**
+ * Returns the container statuses of all pods, with the pod name.
+ * @param {ServiceState} state - The service state.
+ * @returns {Array<{pod: string, status: object}>} The statuses.
+ */
+function containerStatuses(state) {
+  return state.pods.flatMap(pod => ((pod.status && pod.status.containerStatuses) || []).map(status => ({ pod: pod.metadata.name, status })));
+}
+
+/**
+ * Returns the spec of the first container of the Deployment.
+ * @param {ServiceState} state - The service state.
+ * @returns {object} The container spec, or an empty object.
+ */
+function mainContainer(state) {
+  return (state.deployment && state.deployment.spec.template.spec.containers[0]) || {};
+}
+
+/**
+ * Returns the port the Deployment expects the container to listen on.
+ * @param {ServiceState} state - The service state.
+ * @returns {number} The container port.
+ */
+function expectedPort(state) {
+  const ports = mainContainer(state).ports || [];
+  return ports.length > 0 ? ports[0].containerPort : DEFAULT_CONTAINER_PORT;
+}
+
+/**
+ * Returns the messages of the events with the given reason.
+ * @param {ServiceState} state - The service state.
+ * @param {string} reason - The event reason (e.g. 'Unhealthy').
+ * @returns {string[]} The distinct messages.
+ */
+function eventMessages(state, reason) {
+  return [...new Set(state.events.filter(event => event.reason === reason).map(event => event.message))];
+}
+
+/**
+ * Doubles a memory quantity such as '512Mi', for suggestions.
+ * @param {string} [quantity] - The current quantity.
+ * @returns {string} The doubled quantity, or '1Gi' if it cannot be parsed.
+ */
+function doubleMemory(quantity) {
+  const match = /^(\d+)(Mi|Gi)$/.exec(quantity || '');
+  return match ? `${Number(match[1]) * 2}${match[2]}` : '1Gi';
+}
+
+// Each rule inspects the service state and returns a finding, or null if it does not apply.
+const DIAGNOSTIC_RULES = [
+  function missingDeployment(state) {
+    if (state.deployment) {
+      return null;
+    }
+    return {
+      cause: 'The Deployment does not exist.',
+      evidence: ['No Deployment with the service name was found in the namespace.'],
+      suggestion: 'Check the service, namespace and cluster parameters, or deploy the service first.',
+      score: 100,
+    };
+  },
+
+  function imagePull(state) {
+    const failing = containerStatuses(state).filter(({ status }) => status.state.waiting && ['ImagePullBackOff', 'ErrImagePull', 'InvalidImageName'].includes(status.state.waiting.reason));
+    if (failing.length === 0) {
+      return null;
+    }
+    return {
+      cause: 'The container image cannot be pulled.',
+      evidence: [...new Set(failing.map(({ pod, status }) => `Pod ${pod}: ${status.state.waiting.reason}${status.state.waiting.message ? ` (${status.state.waiting.message})` : ''}`))],
+      suggestion: 'Redeploy the service to rebuild and push the image. If the image exists, grant the cluster node service account the Artifact Registry Reader role (roles/artifactregistry.reader) on the project.',
+      score: 95,
+    };
+  },
+
+  function missingConfig(state) {
+    const failing = containerStatuses(state).filter(({ status }) => status.state.waiting && status.state.waiting.reason === 'CreateContainerConfigError');
+    if (failing.length === 0) {
+      return null;
+    }
+    return {
+      cause: 'The container configuration references a missing Secret or ConfigMap.',
+      evidence: [...new Set(failing.map(({ pod, status }) => `Pod ${pod}: ${status.state.waiting.message}`))],
+      suggestion: 'Create the missing Secret or ConfigMap, or redeploy without referencing it.',
+      score: 90,
+    };
+  },
+
+  function outOfMemory(state) {
+    const killed = containerStatuses(state).filter(({ status }) => status.lastState.terminated && status.lastState.terminated.reason === 'OOMKilled');
+    if (killed.length === 0) {
+      return null;
+    }
+    const limit = ((mainContainer(state).resources || {}).limits || {}).memory;
+    return {
+      cause: 'The container runs out of memory and is killed.',
+      evidence: killed.map(({ pod, status }) => `Pod ${pod} container ${status.name} was OOMKilled (${status.restartCount} restarts).`),
+      suggestion: `Redeploy with a higher memoryLimit and memoryRequest (e.g. memoryLimit: "${doubleMemory(limit)}")${limit ? `; the current limit is ${limit}` : ''}.`,
+      score: 90,
+    };
+  },
+
+  function portMismatch(state) {
+    const port = expectedPort(state);
+    // Apps often announce several ports (metrics, debugger): only a mismatch if none of them is the expected one
+    const announced = state.logs
+      .map(({ pod, text }) => {
+        const matches = [...text.matchAll(LISTENING_PORT_REGEX)];
+        if (matches.length === 0 || matches.some(match => Number(match[1]) === port)) {
+          return null;
+        }
+        return { pod, port: Number(matches[0][1]), line: matches[0][0] };
+      })
+      .filter(Boolean);
+    const refused = eventMessages(state, 'Unhealthy').filter(message => message.includes('connection refused'));
+    if (announced.length === 0 && refused.length === 0) {
+      return null;
+    }
+    const evidence = [
+      ...announced.map(entry => `Pod ${entry.pod} logs: "${entry.line.trim()}"`),
+      ...refused.slice(0, 3).map(message => `Event: ${message}`),
+      `The Deployment expects the app to listen on port ${port}.`,
+    ];
+    return {
+      cause: announced.length > 0
+        ? `The app listens on port ${announced[0].port}, but the Deployment expects port ${port}.`
+        : `Nothing is listening on the expected port ${port}.`,
+      evidence,
+      suggestion: announced.length > 0
+        ? `Redeploy with containerPort: ${announced[0].port}, or make the app listen on $PORT.`
+        : 'Redeploy with containerPort set to the port the app listens on, or make the app listen on $PORT.',
+      score: announced.length > 0 ? 85 : 70,
+    };
+  },
+
+  function crashLoop(state) {
+    const crashing = containerStatuses(state).filter(({ status }) => status.state.waiting && status.state.waiting.reason === 'CrashLoopBackOff');
+    if (crashing.length === 0) {
+      return null;
+    }
+    const evidence = crashing.map(({ pod, status }) => {
+      const terminated = status.lastState.terminated;
+      return `Pod ${pod} container ${status.name} is crash looping (${status.restartCount} restarts${terminated ? `, last exit code ${terminated.exitCode}${terminated.reason ? ` ${terminated.reason}` : ''}` : ''}).`;
+    });
+    return {
+      cause: 'The container exits shortly after starting.',
+      evidence,
+      suggestion: 'Read the crash output with get_service_logs. Common fixes: set the right command/args, add missing env variables, or add a Dockerfile if buildpacks did not detect the start command.',
+      score: 75,
+    };
+  },
+
+  function failingProbes(state) {
+    const failures = eventMessages(state, 'Unhealthy').filter(message => !message.includes('connection refused'));
+    if (failures.length === 0) {
+      return null;
+    }
+    const container = mainContainer(state);
+    const wrongPath = failures.some(message => /statuscode: 404/.test(message));
+    return {
+      cause: wrongPath ? 'The health check path does not exist in the app.' : 'The readiness or liveness probe fails.',
+      evidence: failures.slice(0, 3).map(message => `Event: ${message}`),
+      suggestion: wrongPath
+        ? `Redeploy with readinessPath/livenessPath set to a path the app serves (currently ${(container.readinessProbe && container.readinessProbe.httpGet.path) || 'none'} / ${(container.livenessProbe && container.livenessProbe.httpGet.path) || 'none'}), or without them.`
+        : 'Check that the probe path responds quickly with a 2xx status, or redeploy without readinessPath/livenessPath.',
+      score: 65,
+    };
+  },
+
+  function unschedulable(state) {
+    const messages = eventMessages(state, 'FailedScheduling');
+    const pending = state.pods.filter(pod => pod.status && pod.status.phase === 'Pending' && (pod.status.conditions || []).some(c => c.type === 'PodScheduled' && c.status === 'False'));
+    if (pending.length === 0) {
+      return null;
+    }
+    const insufficient = messages.some(message => /Insufficient (cpu|memory)/.test(message));
+    const scaleUp = state.events.some(event => event.reason === 'TriggeredScaleUp');
+    return {
+      cause: insufficient ? 'The pods request more CPU or memory than the cluster nodes have available.' : 'The pods cannot be scheduled on any node.',
+      evidence: [`${pending.length} pods are Pending.`, ...messages.slice(0, 3).map(message => `Event: ${message}`)],
+      suggestion: scaleUp
+        ? 'The cluster is adding nodes; wait a few minutes and check again.'
+        : 'Redeploy with lower cpuRequest/memoryRequest or fewer replicas, or add nodes to the cluster.',
+      score: scaleUp ? 40 : 80,
+    };
+  },
+
+  function progressDeadline(state) {
+    const progressing = state.deployment && ((state.deployment.status || {}).conditions || []).find(c => c.type === 'Progressing');
+    if (!progressing || progressing.reason !== 'ProgressDeadlineExceeded') {
+      return null;
+    }
+    return {
+      cause: 'The latest rollout stopped making progress.',
+      evidence: [progressing.message],
+      suggestion: 'Fix the causes above and redeploy, or roll back with rollback_deployment.',
+      score: 50,
+    };
+  },
+
+  function noEndpoints(state) {
+    if (!state.service || !state.deployment) {
+      return null;
+    }
+    const ready = (state.endpoints && state.endpoints.subsets || []).some(subset => (subset.addresses || []).length > 0);
+    if (ready) {
+      return null;
+    }
+    return {
+      cause: 'The Service has no ready pods to send traffic to.',
+      evidence: [`Service ${state.service.metadata.name} has no ready endpoints.`],
+      suggestion: 'The pods are not ready; see the other findings. Requests to the service URL will fail until a pod is ready.',
+      score: 30,
+    };
+  },
+
+  function pendingAddress(state) {
+    if (!state.service || state.service.spec.type !== 'LoadBalancer') {
+      return null;
+    }
+    const ingress = (state.service.status && state.service.status.loadBalancer && state.service.status.loadBalancer.ingress) || [];
+    if (ingress.length > 0) {
+      return null;
+    }
+    const errors = eventMessages(state, 'SyncLoadBalancerFailed');
+    return {
+      cause: 'The load balancer has no external IP yet.',
+      evidence: [`Service ${state.service.metadata.name} has no external address.`, ...errors.slice(0, 2).map(message => `Event: ${message}`)],
+      suggestion: errors.length > 0
+        ? 'Fix the load balancer error (often an exhausted external IP quota in the region).'
+        : 'Provisioning a load balancer takes a few minutes; check again shortly.',
+      score: errors.length > 0 ? 60 : 20,
+    };
+  },
+];
+
+/**
+ * Runs the diagnostic rules over the state of a service.
+ * @param {ServiceState} state - The service state.
+ * @returns {Finding[]} The findings, most likely cause first.
+ */
+export function diagnose(state) {
+  return DIAGNOSTIC_RULES
+    .map(rule => rule(state))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Explains why a service deployed to GKE is unhealthy: gathers its Deployment, ReplicaSets, pods,
+ * events, Service endpoints and recent logs, and runs the diagnostic rules over them.
+ *
+ * @async
+ * @param {object} config - The service to diagnose.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} [config.region='europe-west1'] - The location of the cluster.
+ * @param {string} [config.clusterId='default-cluster'] - The GKE cluster.
+ * @param {string} config.serviceName - The service name.
+ * @param {string} [config.namespace='default'] - The namespace of the service.
+ * @returns {Promise<{readyReplicas: number, desiredReplicas: number, findings: Finding[]}>} The replica counts and the ranked findings.
+ */
+export async function diagnoseService({ projectId, region = 'europe-west1', clusterId = 'default-cluster', serviceName, namespace = DEFAULT_NAMESPACE }) {
+  const k8s = await connectToCluster(projectId, region, clusterId);
+  const state = await gatherServiceState(k8s, namespace, serviceName);
+  const status = (state.deployment && state.deployment.status) || {};
+  return {
+    readyReplicas: status.readyReplicas || 0,
+    desiredReplicas: state.deployment ? state.deployment.spec.replicas ?? 1 : 0,
+    findings: diagnose(state),
+  };
+}
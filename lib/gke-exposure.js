@@ -0,0 +1,254 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import dns from 'dns/promises';
+import { logAndProgress } from './progress.js';
+import { buildNamespaceManifest, SERVICE_LABEL } from './gke-manifests.js';
+import { externalAddressOf } from './gke-rollout.js';
+
+// How a service is reachable: its own LoadBalancer Service, its own Ingress, or a route on the shared Gateway.
+export const EXPOSE_MODES = ['loadbalancer', 'ingress', 'gateway'];
+
+// The Gateway shared by every service exposed with `gateway`, so they share one load balancer.
+export const GATEWAY_NAME = 'gke-mcp-gateway';
+export const GATEWAY_NAMESPACE = 'gke-mcp-gateway';
+const GATEWAY_CLASS = 'gke-l7-global-external-managed';
+const GATEWAY_API_VERSION = 'gateway.networking.k8s.io/v1';
+// Certificate Manager map attached to the shared Gateway, with one entry per domain.
+const CERTIFICATE_MAP = 'gke-mcp-gateway';
+
+/**
+ * @typedef {object} Exposure
+ * @property {'loadbalancer'|'ingress'|'gateway'} [mode='loadbalancer'] - How the service is exposed.
+ * @property {string} [domain] - The domain serving the service over HTTPS with a Google-managed certificate.
+ * Only with `ingress` or `gateway`.
+ * @property {string} [path='/'] - The path prefix routed to the service. Only with `ingress` or `gateway`.
+ */
+
+let certificateManagerClient;
+
+/**
+ * Returns the Certificate Manager client, creating it on first use.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {Promise<object>} The CertificateManagerClient.
+ */
+async function getCertificateManagerClient(projectId) {
+  if (!certificateManagerClient) {
+    const { CertificateManagerClient } = await import('@google-cloud/certificate-manager');
+    certificateManagerClient = new CertificateManagerClient({ projectId });
+  }
+  return certificateManagerClient;
+}
+
+/**
+ * Builds the Ingress exposing a Service, with a ManagedCertificate when a domain is given.
+ * @param {string} name - The service name. The Ingress is named after it and the certificate `<name>-cert`.
+ * @param {string} namespace - The namespace.
+ * @param {{name: string, port: number}} backend - The Service and port to route to.
+ * @param {Exposure} exposure - The exposure options.
+ * @returns {object[]} The Ingress and, with a domain, its ManagedCertificate.
+ */
+export function buildIngressManifests(name, namespace, backend, { domain, path = '/' }) {
+  const labels = { 'created-by': 'gke-mcp', [SERVICE_LABEL]: name };
+  const annotations = { 'kubernetes.io/ingress.class': 'gce' };
+  const manifests = [];
+  if (domain) {
+    annotations['networking.gke.io/managed-certificates'] = `${name}-cert`;
+    manifests.push({
+      apiVersion: 'networking.gke.io/v1',
+      kind: 'ManagedCertificate',
+      metadata: { name: `${name}-cert`, namespace, labels },
+      spec: { domains: [domain] },
+    });
+  }
+  const http = {
+    paths: [{
+      path,
+      pathType: 'Prefix',
+      backend: { service: { name: backend.name, port: { number: backend.port } } },
+    }],
+  };
+  manifests.push({
+    apiVersion: 'networking.k8s.io/v1',
+    kind: 'Ingress',
+    metadata: { name, namespace, labels, annotations },
+    spec: { rules: [domain ? { host: domain, http } : { http }] },
+  });
+  return manifests;
+}
+
+/**
+ * Builds the HTTPRoute attaching a Service to the shared Gateway.
+ * @param {string} name - The service name, also the route name.
+ * @param {string} namespace - The namespace.
+ * @param {{name: string, port: number}} backend - The Service and port to route to.
+ * @param {Exposure} exposure - The exposure options.
+ * @returns {object} The HTTPRoute.
+ */
+export function buildHttpRouteManifest(name, namespace, backend, { domain, path = '/' }) {
+  return {
+    apiVersion: GATEWAY_API_VERSION,
+    kind: 'HTTPRoute',
+    metadata: { name, namespace, labels: { 'created-by': 'gke-mcp', [SERVICE_LABEL]: name } },
+    spec: {
+      parentRefs: [{ name: GATEWAY_NAME, namespace: GATEWAY_NAMESPACE }],
+      ...(domain ? { hostnames: [domain] } : {}),
+      rules: [{
+        matches: [{ path: { type: 'PathPrefix', value: path } }],
+        backendRefs: [{ name: backend.name, port: backend.port }],
+      }],
+    },
+  };
+}
+
+/**
+ * Creates or updates the shared Gateway. Its HTTPS listener, served with the certificates of the
+ * Certificate Manager map, is added by the first deployment with a domain and kept afterwards.
+ *
+ * @async
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {object} options - Gateway options.
+ * @param {boolean} options.https - Whether the deployment needs the HTTPS listener.
+ * @param {function(object): void} [options.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} The Gateway manifest.
+ * @throws {Error} If the cluster does not have the Gateway API enabled.
+ */
+export async function ensureSharedGateway(k8s, { https, progressCallback }) {
+  try {
+    await k8s.resolveResource(GATEWAY_API_VERSION, 'Gateway');
+  } catch {
+    throw new Error('The Gateway API is not enabled on this cluster. Enable it with `gcloud container clusters update <cluster> --location <location> --gateway-api=standard`, or expose the service with "ingress".');
+  }
+  const live = await k8s.get(await k8s.objectPath(GATEWAY_API_VERSION, 'Gateway', GATEWAY_NAMESPACE, GATEWAY_NAME));
+  const hasHttps = Boolean(live && (live.spec.listeners || []).some(listener => listener.name === 'https'));
+  if (!live) {
+    logAndProgress(`Creating the shared Gateway ${GATEWAY_NAMESPACE}/${GATEWAY_NAME}...`, progressCallback);
+    await k8s.apply(buildNamespaceManifest(GATEWAY_NAMESPACE));
+  }
+
+  const allowedRoutes = { namespaces: { from: 'All' } };
+  const listeners = [{ name: 'http', protocol: 'HTTP', port: 80, allowedRoutes }];
+  if (https || hasHttps) {
+    listeners.push({ name: 'https', protocol: 'HTTPS', port: 443, allowedRoutes });
+  }
+  const gateway = {
+    apiVersion: GATEWAY_API_VERSION,
+    kind: 'Gateway',
+    metadata: {
+      name: GATEWAY_NAME,
+      namespace: GATEWAY_NAMESPACE,
+      labels: { 'created-by': 'gke-mcp' },
+      ...(https || hasHttps ? { annotations: { 'networking.gke.io/certmap': CERTIFICATE_MAP } } : {}),
+    },
+    spec: { gatewayClassName: GATEWAY_CLASS, listeners },
+  };
+  await k8s.apply(gateway);
+  return gateway;
+}
+
+/**
+ * Runs a Certificate Manager create call, ignoring resources that already exist.
+ * @param {function(): Promise<Array>} create - The create call.
+ * @returns {Promise<boolean>} True if the resource was created.
+ */
+async function createIfMissing(create) {
+  try {
+    const [operation] = await create();
+    await operation.promise();
+    return true;
+  } catch (error) {
+    if (error.code === 6) { // ALREADY_EXISTS
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Ensures that a Google-managed certificate for a domain is served by the shared Gateway: creates the
+ * Certificate Manager map, the certificate and the map entry for the domain if they do not exist.
+ * The certificate is provisioned by Google once the domain resolves to the Gateway.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} domain - The domain.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves once the certificate is mapped.
+ */
+export async function ensureGatewayCertificate(projectId, domain, progressCallback) {
+  const client = await getCertificateManagerClient(projectId);
+  const parent = client.locationPath(projectId, 'global');
+  const id = `gke-mcp-${domain.replace(/[^a-z0-9]/g, '-')}`.slice(0, 63).replace(/-+$/, '');
+
+  await createIfMissing(() => client.createCertificateMap({
+    parent,
+    certificateMapId: CERTIFICATE_MAP,
+    certificateMap: { labels: { 'created-by': 'gke-mcp' } },
+  }));
+  if (await createIfMissing(() => client.createCertificate({
+    parent,
+    certificateId: id,
+    certificate: { managed: { domains: [domain] }, labels: { 'created-by': 'gke-mcp' } },
+  }))) {
+    logAndProgress(`Created a Google-managed certificate for ${domain}.`, progressCallback);
+  }
+  await createIfMissing(() => client.createCertificateMapEntry({
+    parent: client.certificateMapPath(projectId, 'global', CERTIFICATE_MAP),
+    certificateMapEntryId: id,
+    certificateMapEntry: { hostname: domain, certificates: [client.certificatePath(projectId, 'global', id)] },
+  }));
+}
+
+/**
+ * Reads the address of the load balancer in front of a service exposed through its Ingress or the shared Gateway.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} name - The service name, also the Ingress name.
+ * @param {'ingress'|'gateway'} mode - How the service is exposed.
+ * @returns {Promise<string|undefined>} The IP address, or undefined if none is assigned (yet).
+ */
+export async function findExposedAddress(k8s, namespace, name, mode) {
+  try {
+    const objectPath = mode === 'gateway'
+      ? await k8s.objectPath(GATEWAY_API_VERSION, 'Gateway', GATEWAY_NAMESPACE, GATEWAY_NAME)
+      : await k8s.objectPath('networking.k8s.io/v1', 'Ingress', namespace, name);
+    return externalAddressOf(await k8s.get(objectPath));
+  } catch {
+    // The Gateway API may have been disabled since
+    return undefined;
+  }
+}
+
+/**
+ * Checks whether a domain resolves to the address serving it, and explains how to fix it if not.
+ * @param {string} domain - The domain.
+ * @param {string} address - The IP address of the load balancer.
+ * @returns {Promise<string|null>} DNS instructions, or null if the domain already resolves to the address.
+ */
+export async function checkDomainRecord(domain, address) {
+  let addresses = [];
+  try {
+    addresses = await dns.resolve4(domain);
+  } catch {
+    // Not resolvable yet
+  }
+  if (addresses.includes(address)) {
+    return null;
+  }
+  const current = addresses.length > 0 ? `${domain} currently resolves to ${addresses.join(', ')}` : `${domain} does not resolve yet`;
+  return `${current}. Create this DNS record at your DNS provider:\n  ${domain}. 300 IN A ${address}\n` +
+    'The Google-managed certificate is provisioned once the record resolves, which can take up to 60 minutes. Until then HTTPS requests fail.';
+}
@@ -0,0 +1,121 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { resourcePath } from './k8s-client.js';
+import { SERVICE_LABEL } from './gke-manifests.js';
+import { logAndProgress } from './progress.js';
+
+// Number of revisions kept per service.
+export const MAX_REVISIONS = 20;
+
+const HISTORY_KEY = 'revisions.json';
+// ConfigMaps hold at most 1 MiB, metadata included.
+const MAX_HISTORY_BYTES = 900 * 1024;
+
+/**
+ * @typedef {object} Revision
+ * @property {number} revision - The revision number, starting at 1.
+ * @property {string} deployedAt - ISO timestamp of the deployment.
+ * @property {string} image - The deployed image, pinned to its digest. For Compose deployments, a summary of the images.
+ * @property {Object<string, string>} [images] - For Compose deployments, the image built for each Compose service.
+ * @property {string} [sourceHash] - The hash of the deployed sources.
+ * @property {string} [imageTag] - The content-addressed image tag.
+ * @property {string} [buildId] - The Cloud Build job that built the image.
+ * @property {object} parameters - The deploy parameters (namespace, workload, ...).
+ * @property {{client?: string, sessionId?: string}} deployedBy - The MCP client and session that deployed it.
+ * @property {number} [rollbackOf] - For rollbacks, the revision that was re-applied.
+ * @property {object[]} [manifests] - The applied manifests, re-applied on rollback. Left out when too large for the history.
+ */
+
+/**
+ * Returns the name of the ConfigMap holding the deployment history of a service.
+ * @param {string} serviceName - The service name.
+ * @returns {string} The ConfigMap name.
+ */
+export function historyConfigMapName(serviceName) {
+  return `${serviceName}-gke-mcp-history`;
+}
+
+/**
+ * Reads the deployment history of a service.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @returns {Promise<Revision[]>} The revisions, oldest first.
+ */
+export async function listRevisions(k8s, namespace, serviceName) {
+  const configMap = await k8s.get(resourcePath('v1', 'ConfigMap', namespace, historyConfigMapName(serviceName)));
+  if (!configMap || !configMap.data || !configMap.data[HISTORY_KEY]) {
+    return [];
+  }
+  return JSON.parse(configMap.data[HISTORY_KEY]);
+}
+
+/**
+ * Returns the number the next revision of a service will get.
+ * @param {Revision[]} revisions - The current history.
+ * @returns {number} The next revision number.
+ */
+export function nextRevisionNumber(revisions) {
+  return revisions.length > 0 ? revisions[revisions.length - 1].revision + 1 : 1;
+}
+
+/**
+ * Appends a revision to the deployment history of a service, dropping the oldest beyond `MAX_REVISIONS`
+ * or until the history fits in its ConfigMap. The deployment itself already succeeded, so a history
+ * that cannot be written is reported as a warning rather than an error.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @param {Revision[]} revisions - The history the revision was numbered from.
+ * @param {Revision} revision - The revision to record.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<boolean>} True if the revision was recorded.
+ */
+export async function recordRevision(k8s, namespace, serviceName, revisions, revision, progressCallback) {
+  const history = [...revisions, revision].slice(-MAX_REVISIONS);
+  const size = () => Buffer.byteLength(JSON.stringify(history));
+  while (history.length > 1 && size() > MAX_HISTORY_BYTES) {
+    history.shift();
+  }
+  if (size() > MAX_HISTORY_BYTES) {
+    const { manifests, ...withoutManifests } = revision;
+    history[0] = withoutManifests;
+    logAndProgress(`The manifests of revision ${revision.revision} are too large to record, so it cannot be rolled back to.`, progressCallback, 'warn');
+  }
+
+  try {
+    await k8s.apply({
+      apiVersion: 'v1',
+      kind: 'ConfigMap',
+      metadata: {
+        name: historyConfigMapName(serviceName),
+        namespace,
+        labels: {
+          'created-by': 'gke-mcp',
+          [SERVICE_LABEL]: serviceName,
+        },
+      },
+      data: {
+        [HISTORY_KEY]: JSON.stringify(history),
+      },
+    });
+    return true;
+  } catch (error) {
+    logAndProgress(`Could not record revision ${revision.revision} in the deployment history: ${error.message}`, progressCallback, 'warn');
+    return false;
+  }
+}
@@ -0,0 +1,104 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { connectToCluster, resourcePath } from './k8s-client.js';
+import { DEFAULT_NAMESPACE, SERVICE_LABEL } from './gke-manifests.js';
+
+export const DEFAULT_TAIL_LINES = 100;
+// Logs of a single container are trimmed to their last bytes beyond this size.
+const MAX_LOG_BYTES_PER_CONTAINER = 16 * 1024;
+
+/**
+ * @typedef {object} ContainerLogs
+ * @property {string} pod - The pod name.
+ * @property {string} container - The container name.
+ * @property {boolean} previous - True for the logs of the previous (crashed or restarted) instance of the container.
+ * @property {number} restartCount - The number of restarts of the container.
+ * @property {string} logs - The log text, possibly trimmed.
+ * @property {boolean} trimmed - True if the beginning of the logs was cut off.
+ * @property {string} [error] - Why the logs could not be read, if they could not.
+ */
+
+/**
+ * Keeps the end of a log text within `MAX_LOG_BYTES_PER_CONTAINER`, cutting at a line boundary.
+ * @param {string} text - The log text.
+ * @returns {{logs: string, trimmed: boolean}} The trimmed text.
+ */
+function trimLogs(text) {
+  if (Buffer.byteLength(text) <= MAX_LOG_BYTES_PER_CONTAINER) {
+    return { logs: text, trimmed: false };
+  }
+  const tail = Buffer.from(text).subarray(-MAX_LOG_BYTES_PER_CONTAINER).toString('utf8');
+  return { logs: tail.slice(tail.indexOf('\n') + 1), trimmed: true };
+}
+
+/**
+ * Fetches the recent logs of every container of the pods of a service deployed to GKE, selected by the
+ * `created-by: gke-mcp` and service labels (or `app: <service>` for older pods). For containers that restarted, the logs of the
+ * previous instance are included too, as they usually explain the crash.
+ *
+ * @async
+ * @param {object} config - What logs to fetch.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} [config.region='europe-west1'] - The location of the cluster.
+ * @param {string} [config.clusterId='default-cluster'] - The GKE cluster.
+ * @param {string} config.serviceName - The service name.
+ * @param {string} [config.namespace='default'] - The namespace of the service.
+ * @param {number} [config.tailLines=100] - Number of lines to return per container.
+ * @param {number} [config.sinceSeconds] - Only return logs newer than this many seconds.
+ * @param {boolean} [config.includePrevious=true] - Include the logs of the previous instance of restarted containers.
+ * @returns {Promise<ContainerLogs[]>} The logs, per pod and container.
+ */
+export async function getServiceLogs({ projectId, region = 'europe-west1', clusterId = 'default-cluster', serviceName, namespace = DEFAULT_NAMESPACE, tailLines = DEFAULT_TAIL_LINES, sinceSeconds, includePrevious = true }) {
+  const k8s = await connectToCluster(projectId, region, clusterId);
+  const listPods = async (selector) => ((await k8s.get(`${resourcePath('v1', 'Pod', namespace)}?labelSelector=${encodeURIComponent(selector)}`)) || {}).items || [];
+  let pods = await listPods(`created-by=gke-mcp,${SERVICE_LABEL}=${serviceName}`);
+  if (pods.length === 0) {
+    // Pods deployed before their template carried these labels
+    pods = await listPods(`app=${serviceName}`);
+  }
+
+  const results = [];
+  for (const pod of pods) {
+    const podName = pod.metadata.name;
+    const statuses = (pod.status && pod.status.containerStatuses) || [];
+    for (const container of pod.spec.containers) {
+      const status = statuses.find(s => s.name === container.name) || {};
+      const restartCount = status.restartCount || 0;
+      const instances = includePrevious && restartCount > 0 ? [true, false] : [false];
+
+      for (const previous of instances) {
+        const query = new URLSearchParams({ container: container.name, tailLines: String(tailLines), timestamps: 'true' });
+        if (sinceSeconds) {
+          query.set('sinceSeconds', String(sinceSeconds));
+        }
+        if (previous) {
+          query.set('previous', 'true');
+        }
+        const entry = { pod: podName, container: container.name, previous, restartCount, logs: '', trimmed: false };
+        try {
+          const text = await k8s.request('GET', `${resourcePath('v1', 'Pod', namespace, podName)}/log?${query}`, { raw: true });
+          Object.assign(entry, trimLogs(text));
+        } catch (error) {
+          // e.g. the container has not started yet
+          entry.error = (error.details && error.details.message) || error.message;
+        }
+        results.push(entry);
+      }
+    }
+  }
+  return results;
+}
@@ -0,0 +1,289 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+export const DEFAULT_NAMESPACE = 'default';
+export const DEFAULT_CONTAINER_PORT = 8080;
+export const DEFAULT_SERVICE_PORT = 80;
+// Label recording which service an object belongs to, next to `created-by: gke-mcp`.
+export const SERVICE_LABEL = 'gke-mcp/service';
+// Label recording which part of a multi-service deployment (e.g. a Compose service) an object belongs to.
+export const COMPONENT_LABEL = 'gke-mcp/component';
+
+/**
+ * @typedef {object} WorkloadSpec
+ * @property {number} [replicas=1] - Number of pod replicas. Ignored when `maxReplicas` is set.
+ * @property {number} [minReplicas=1] - Minimum number of replicas of the HorizontalPodAutoscaler.
+ * @property {number} [maxReplicas] - Maximum number of replicas. Setting it creates a HorizontalPodAutoscaler.
+ * @property {number} [targetCpuUtilization] - Target average CPU utilization, in percent of the CPU request.
+ * Defaults to 80 when no custom metric is given.
+ * @property {string} [customMetric] - Name of a per-pod custom metric to scale on (e.g. 'requests_per_second').
+ * @property {string} [customMetricTarget] - Target average value of the custom metric per pod (e.g. '100').
+ * @property {number} [containerPort=8080] - Port the container listens on.
+ * @property {number} [servicePort=80] - Port exposed by the LoadBalancer Service.
+ * @property {Object<string, string>} [env] - Environment variables for the container.
+ * @property {string} [cpuRequest] - CPU request (e.g. '250m').
+ * @property {string} [memoryRequest] - Memory request (e.g. '512Mi').
+ * @property {string} [cpuLimit] - CPU limit.
+ * @property {string} [memoryLimit] - Memory limit.
+ * @property {string} [readinessPath] - HTTP path for the readiness probe.
+ * @property {string} [livenessPath] - HTTP path for the liveness probe.
+ * @property {string[]} [command] - Overrides the image entrypoint.
+ * @property {string[]} [args] - Overrides the image arguments.
+ */
+
+/**
+ * Checks the autoscaling options of a workload spec.
+ * @param {WorkloadSpec} workload - The workload spec.
+ * @throws {Error} If the options are inconsistent.
+ */
+export function validateAutoscaling({ minReplicas, maxReplicas, targetCpuUtilization, customMetric, customMetricTarget }) {
+  if (maxReplicas === undefined) {
+    if (minReplicas !== undefined || targetCpuUtilization !== undefined || customMetric !== undefined) {
+      throw new Error('maxReplicas is required to enable autoscaling with minReplicas, targetCpuUtilization or customMetric.');
+    }
+    return;
+  }
+  if ((minReplicas ?? 1) > maxReplicas) {
+    throw new Error(`minReplicas (${minReplicas}) must not be greater than maxReplicas (${maxReplicas}).`);
+  }
+  if (Boolean(customMetric) !== Boolean(customMetricTarget)) {
+    throw new Error('customMetric and customMetricTarget must be given together.');
+  }
+}
+
+/**
+ * Builds the manifest of a namespace created by gke-mcp.
+ * @param {string} namespace - The namespace name.
+ * @returns {object} The Namespace manifest.
+ */
+export function buildNamespaceManifest(namespace) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Namespace',
+    metadata: {
+      name: namespace,
+      labels: {
+        'created-by': 'gke-mcp',
+      },
+    },
+  };
+}
+
+/**
+ * Builds the container resource requirements, omitting anything not requested.
+ * @param {WorkloadSpec} workload - The workload spec.
+ * @returns {object|undefined} The `resources` field of the container, or undefined if empty.
+ */
+function buildResources({ cpuRequest, memoryRequest, cpuLimit, memoryLimit }) {
+  const requests = {};
+  const limits = {};
+  if (cpuRequest) requests.cpu = cpuRequest;
+  if (memoryRequest) requests.memory = memoryRequest;
+  if (cpuLimit) limits.cpu = cpuLimit;
+  if (memoryLimit) limits.memory = memoryLimit;
+
+  const resources = {};
+  if (Object.keys(requests).length > 0) resources.requests = requests;
+  if (Object.keys(limits).length > 0) resources.limits = limits;
+  return Object.keys(resources).length > 0 ? resources : undefined;
+}
+
+/**
+ * Returns the Deployment annotations recording which build is running.
+ * @param {import('./build-pipeline.js').BuiltImage} image - The built image.
+ * @returns {Object<string, string>} The annotations.
+ */
+export function buildImageAnnotations(image) {
+  return {
+    'gke-mcp/source-hash': image.sourceHash,
+    'gke-mcp/image-tag': image.tag,
+    'gke-mcp/image-digest': image.digest,
+    'gke-mcp/build-id': image.buildId,
+  };
+}
+
+/**
+ * Builds the Deployment manifest for a service.
+ * @param {string} name - The service name, used for the Deployment, container and `app` label.
+ * @param {string} namespace - The namespace of the Deployment.
+ * @param {string} image - The container image URL.
+ * @param {WorkloadSpec} [workload={}] - The workload spec.
+ * @param {Object<string, string>} [annotations={}] - Annotations of the Deployment.
+ * @returns {object} The Deployment manifest.
+ */
+export function buildDeploymentManifest(name, namespace, image, workload = {}, annotations = {}) {
+  const containerPort = workload.containerPort || DEFAULT_CONTAINER_PORT;
+
+  const env = Object.entries(workload.env || {}).map(([envName, value]) => ({ name: envName, value: String(value) }));
+  // Most frameworks and buildpacks read the port to listen on from $PORT
+  if (!env.some(e => e.name === 'PORT')) {
+    env.push({ name: 'PORT', value: String(containerPort) });
+  }
+
+  const container = {
+    name,
+    image,
+    ports: [
+      {
+        containerPort,
+      },
+    ],
+    env,
+  };
+  if (workload.command && workload.command.length > 0) {
+    container.command = workload.command;
+  }
+  if (workload.args && workload.args.length > 0) {
+    container.args = workload.args;
+  }
+  const resources = buildResources(workload);
+  if (resources) {
+    container.resources = resources;
+  }
+  if (workload.readinessPath) {
+    container.readinessProbe = {
+      httpGet: { path: workload.readinessPath, port: containerPort },
+      initialDelaySeconds: 5,
+      periodSeconds: 10,
+    };
+  }
+  if (workload.livenessPath) {
+    container.livenessProbe = {
+      httpGet: { path: workload.livenessPath, port: containerPort },
+      initialDelaySeconds: 15,
+      periodSeconds: 20,
+    };
+  }
+
+  return {
+    apiVersion: 'apps/v1',
+    kind: 'Deployment',
+    metadata: {
+      name,
+      namespace,
+      labels: {
+        'created-by': 'gke-mcp',
+        [SERVICE_LABEL]: name,
+      },
+      annotations,
+    },
+    spec: {
+      // Autoscaled deployments start at minReplicas; redeploys keep their live replica count
+      replicas: workload.maxReplicas === undefined ? workload.replicas ?? 1 : workload.minReplicas ?? 1,
+      selector: {
+        matchLabels: {
+          app: name,
+        },
+      },
+      template: {
+        metadata: {
+          labels: {
+            app: name,
+            'created-by': 'gke-mcp',
+            [SERVICE_LABEL]: name,
+          },
+        },
+        spec: {
+          containers: [container],
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Builds the Service manifest for a service.
+ * @param {string} name - The service name. The Service is named `<name>-service`.
+ * @param {string} namespace - The namespace of the Service.
+ * @param {WorkloadSpec} [workload={}] - The workload spec.
+ * @param {string} [type='LoadBalancer'] - The Service type. `ClusterIP` when an Ingress or Gateway exposes it.
+ * @returns {object} The Service manifest.
+ */
+export function buildServiceManifest(name, namespace, workload = {}, type = 'LoadBalancer') {
+  return {
+    apiVersion: 'v1',
+    kind: 'Service',
+    metadata: {
+      name: `${name}-service`,
+      namespace,
+      labels: {
+        'created-by': 'gke-mcp',
+        [SERVICE_LABEL]: name,
+      },
+    },
+    spec: {
+      type,
+      ports: [
+        {
+          port: workload.servicePort || DEFAULT_SERVICE_PORT,
+          targetPort: workload.containerPort || DEFAULT_CONTAINER_PORT,
+        },
+      ],
+      selector: {
+        app: name,
+      },
+    },
+  };
+}
+
+/**
+ * Builds the HorizontalPodAutoscaler of a service's Deployment, scaling on CPU utilization and/or a custom metric.
+ * @param {string} name - The service name, also the name of the Deployment and of the autoscaler.
+ * @param {string} namespace - The namespace.
+ * @param {WorkloadSpec} [workload={}] - The workload spec.
+ * @returns {object|null} The HorizontalPodAutoscaler manifest, or null if `maxReplicas` is not set.
+ * @throws {Error} If the autoscaling options are inconsistent.
+ */
+export function buildAutoscalerManifest(name, namespace, workload = {}) {
+  validateAutoscaling(workload);
+  const { minReplicas = 1, maxReplicas, targetCpuUtilization, customMetric, customMetricTarget } = workload;
+  if (maxReplicas === undefined) {
+    return null;
+  }
+
+  const metrics = [];
+  if (targetCpuUtilization !== undefined || !customMetric) {
+    metrics.push({
+      type: 'Resource',
+      resource: { name: 'cpu', target: { type: 'Utilization', averageUtilization: targetCpuUtilization ?? 80 } },
+    });
+  }
+  if (customMetric) {
+    metrics.push({
+      type: 'Pods',
+      pods: { metric: { name: customMetric }, target: { type: 'AverageValue', averageValue: customMetricTarget } },
+    });
+  }
+
+  return {
+    apiVersion: 'autoscaling/v2',
+    kind: 'HorizontalPodAutoscaler',
+    metadata: {
+      name,
+      namespace,
+      labels: {
+        'created-by': 'gke-mcp',
+        [SERVICE_LABEL]: name,
+      },
+    },
+    spec: {
+      scaleTargetRef: { apiVersion: 'apps/v1', kind: 'Deployment', name },
+      minReplicas,
+      maxReplicas,
+      metrics,
+    },
+  };
+}
@@ -0,0 +1,188 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { resourcePath } from './k8s-client.js';
+import { logAndProgress } from './progress.js';
+
+const POLL_INTERVAL_MS = 3000;
+export const DEFAULT_ROLLOUT_TIMEOUT_SECONDS = 600;
+
+// Container waiting reasons that will not resolve without a change to the deployment.
+const FAILING_WAITING_REASONS = [
+  'ImagePullBackOff',
+  'ErrImagePull',
+  'InvalidImageName',
+  'CrashLoopBackOff',
+  'CreateContainerConfigError',
+  'CreateContainerError',
+  'RunContainerError',
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Collects human readable failure reasons from the pods of a deployment.
+ * @param {object[]} pods - Pod objects.
+ * @returns {string[]} One message per failing container or unschedulable pod.
+ */
+export function getPodFailureReasons(pods) {
+  const reasons = [];
+  for (const pod of pods) {
+    const podName = pod.metadata.name;
+    const status = pod.status || {};
+
+    const scheduled = (status.conditions || []).find(c => c.type === 'PodScheduled');
+    if (scheduled && scheduled.status === 'False' && scheduled.reason === 'Unschedulable') {
+      reasons.push(`Pod ${podName} cannot be scheduled: ${scheduled.message}`);
+    }
+
+    for (const containerStatus of status.containerStatuses || []) {
+      const waiting = containerStatus.state && containerStatus.state.waiting;
+      if (waiting && FAILING_WAITING_REASONS.includes(waiting.reason)) {
+        reasons.push(`Pod ${podName} container ${containerStatus.name}: ${waiting.reason}${waiting.message ? ` (${waiting.message})` : ''}`);
+      }
+      const terminated = containerStatus.lastState && containerStatus.lastState.terminated;
+      if (terminated && terminated.reason === 'OOMKilled') {
+        reasons.push(`Pod ${podName} container ${containerStatus.name} was OOMKilled. Consider raising its memory limit.`);
+      }
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Waits for the latest generation of a Deployment to be fully rolled out.
+ * Progress is reported through `progressCallback`, including pod failures such as
+ * ImagePullBackOff, CrashLoopBackOff or OOMKilled as soon as they are observed.
+ *
+ * @async
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the Deployment.
+ * @param {string} name - The Deployment name.
+ * @param {object} options - Wait options.
+ * @param {number} options.deadline - Epoch milliseconds after which waiting fails.
+ * @param {function(object): void} [options.progressCallback] - Optional callback for progress updates.
+ * @param {AbortSignal} [options.signal] - Stops waiting when aborted.
+ * @param {string} [options.podSelector] - Label selector of the Deployment's pods. Defaults to `app=<name>`.
+ * @returns {Promise<{readyReplicas: number, desiredReplicas: number}>} The replica counts once rolled out.
+ * @throws {Error} If the rollout does not complete before the deadline or its progress deadline is exceeded.
+ */
+export async function waitForRollout(k8s, namespace, name, { deadline, progressCallback, signal, podSelector = `app=${name}` }) {
+  const deploymentPath = resourcePath('apps/v1', 'Deployment', namespace, name);
+  const podsPath = `${resourcePath('v1', 'Pod', namespace)}?labelSelector=${encodeURIComponent(podSelector)}`;
+  const reported = new Set();
+  let lastStatusMessage;
+  let failureReasons = [];
+
+  logAndProgress(`Waiting for deployment ${name} to roll out...`, progressCallback);
+  while (true) {
+    signal?.throwIfAborted();
+    const deployment = await k8s.get(deploymentPath);
+    if (!deployment) {
+      throw new Error(`Deployment ${name} not found in namespace ${namespace}.`);
+    }
+    const status = deployment.status || {};
+    const desiredReplicas = deployment.spec.replicas ?? 1;
+    const updatedReplicas = status.updatedReplicas || 0;
+    const availableReplicas = status.availableReplicas || 0;
+    const readyReplicas = status.readyReplicas || 0;
+    const observed = (status.observedGeneration || 0) >= deployment.metadata.generation;
+
+    if (observed && updatedReplicas >= desiredReplicas && availableReplicas >= desiredReplicas && (status.replicas || 0) <= updatedReplicas) {
+      logAndProgress(`Deployment ${name} rolled out: ${readyReplicas}/${desiredReplicas} replicas ready.`, progressCallback);
+      return { readyReplicas, desiredReplicas };
+    }
+
+    const progressing = (status.conditions || []).find(c => c.type === 'Progressing');
+    if (observed && progressing && progressing.reason === 'ProgressDeadlineExceeded') {
+      throw new Error(`Deployment ${name} exceeded its progress deadline: ${progressing.message}${formatReasons(failureReasons)}`);
+    }
+
+    const statusMessage = `Rollout of ${name}: ${updatedReplicas}/${desiredReplicas} updated, ${availableReplicas} available.`;
+    if (statusMessage !== lastStatusMessage) {
+      logAndProgress(statusMessage, progressCallback);
+      lastStatusMessage = statusMessage;
+    }
+
+    const pods = await k8s.get(podsPath);
+    failureReasons = getPodFailureReasons((pods && pods.items) || []);
+    for (const reason of failureReasons) {
+      if (!reported.has(reason)) {
+        reported.add(reason);
+        logAndProgress(reason, progressCallback, 'warn');
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for deployment ${name} to roll out (${updatedReplicas}/${desiredReplicas} updated, ${availableReplicas} available).${formatReasons(failureReasons)}`);
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Returns the external address of a LoadBalancer Service, an Ingress or a Gateway, if it has one.
+ * @param {object|null} object - The live object.
+ * @returns {string|undefined} The IP or hostname.
+ */
+export function externalAddressOf(object) {
+  if (!object || !object.status) {
+    return undefined;
+  }
+  if (object.kind === 'Gateway') {
+    const addresses = object.status.addresses || [];
+    return addresses.length > 0 ? addresses[0].value : undefined;
+  }
+  const ingress = (object.status.loadBalancer && object.status.loadBalancer.ingress) || [];
+  return ingress.length > 0 ? (ingress[0].ip || ingress[0].hostname) : undefined;
+}
+
+/**
+ * Waits for a LoadBalancer Service, an Ingress or a Gateway to be assigned an external IP or hostname.
+ * Ingresses and Gateways provision a Google Cloud load balancer, which usually takes a few minutes.
+ *
+ * @async
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {object} manifest - The manifest of the object.
+ * @param {object} options - Wait options.
+ * @param {number} options.deadline - Epoch milliseconds after which waiting fails.
+ * @param {function(object): void} [options.progressCallback] - Optional callback for progress updates.
+ * @param {AbortSignal} [options.signal] - Stops waiting when aborted.
+ * @returns {Promise<string>} The external IP or hostname.
+ * @throws {Error} If no address is assigned before the deadline.
+ */
+export async function waitForExternalAddress(k8s, { apiVersion, kind, metadata }, { deadline, progressCallback, signal }) {
+  const objectPath = await k8s.objectPath(apiVersion, kind, metadata.namespace, metadata.name);
+  const description = `${kind} ${metadata.name}`;
+
+  logAndProgress(`Waiting for an external IP for ${description}...`, progressCallback);
+  while (true) {
+    signal?.throwIfAborted();
+    const address = externalAddressOf(await k8s.get(objectPath));
+    if (address) {
+      logAndProgress(`${description} has external address ${address}.`, progressCallback);
+      return address;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for ${description} to be assigned an external IP.`);
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+function formatReasons(reasons) {
+  return reasons.length > 0 ? `\nPod issues:\n${reasons.map(r => `- ${r}`).join('\n')}` : '';
+}
@@ -0,0 +1,174 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { connectToCluster, resourcePath } from './k8s-client.js';
+import { DEFAULT_NAMESPACE, SERVICE_LABEL } from './gke-manifests.js';
+import { waitForRollout, DEFAULT_ROLLOUT_TIMEOUT_SECONDS } from './gke-rollout.js';
+import { logAndProgress } from './progress.js';
+
+/**
+ * @typedef {object} AutoscalerStatus
+ * @property {string} name - The HorizontalPodAutoscaler name.
+ * @property {number} minReplicas - The minimum number of replicas.
+ * @property {number} maxReplicas - The maximum number of replicas.
+ * @property {number} currentReplicas - The number of replicas last seen by the autoscaler.
+ * @property {number} desiredReplicas - The number of replicas the autoscaler last asked for.
+ * @property {string[]} metrics - The current value and target of each metric (e.g. 'cpu: 45% (target 80%)').
+ */
+
+/**
+ * Summarizes the state of a HorizontalPodAutoscaler.
+ * @param {object} autoscaler - The live autoscaling/v2 HorizontalPodAutoscaler.
+ * @returns {AutoscalerStatus} The summary.
+ */
+export function describeAutoscaler(autoscaler) {
+  const spec = autoscaler.spec || {};
+  const status = autoscaler.status || {};
+  const current = status.currentMetrics || [];
+  const metrics = (spec.metrics || []).map((metric, index) => {
+    const value = current[index] && (current[index].resource || current[index].pods || current[index].external || current[index].object);
+    if (metric.type === 'Resource') {
+      const { name, target } = metric.resource;
+      const observed = value && value.current;
+      const format = (v) => (v.averageUtilization !== undefined ? `${v.averageUtilization}%` : v.averageValue);
+      return `${name}: ${observed ? format(observed) : 'unknown'} (target ${format(target)})`;
+    }
+    const { metric: { name } = {}, target = {} } = metric.pods || metric.external || metric.object || {};
+    const observed = value && value.current && (value.current.averageValue || value.current.value);
+    return `${name}: ${observed || 'unknown'} (target ${target.averageValue || target.value})`;
+  });
+  return {
+    name: autoscaler.metadata.name,
+    minReplicas: spec.minReplicas ?? 1,
+    maxReplicas: spec.maxReplicas,
+    currentReplicas: status.currentReplicas || 0,
+    desiredReplicas: status.desiredReplicas || 0,
+    metrics,
+  };
+}
+
+/**
+ * Finds the Deployment gke-mcp created for a service: the one named after it, or the one labeled with its name.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @param {string} [deploymentName] - The Deployment to pick, for services with several.
+ * @returns {Promise<object>} The live Deployment.
+ * @throws {Error} If there is no such Deployment, or several and none was picked.
+ */
+async function findDeployment(k8s, namespace, serviceName, deploymentName) {
+  const named = await k8s.get(resourcePath('apps/v1', 'Deployment', namespace, deploymentName || serviceName));
+  if (named && named.metadata.labels && named.metadata.labels['created-by'] === 'gke-mcp') {
+    return named;
+  }
+  const selector = encodeURIComponent(`created-by=gke-mcp,${SERVICE_LABEL}=${serviceName}`);
+  const list = await k8s.get(`${resourcePath('apps/v1', 'Deployment', namespace)}?labelSelector=${selector}`);
+  const deployments = (list && list.items) || [];
+  if (deploymentName || deployments.length === 0) {
+    const reason = named ? 'was not created by gke-mcp' : 'not found';
+    throw new Error(`Deployment ${deploymentName || serviceName} of service ${serviceName} ${reason} in namespace ${namespace}.`);
+  }
+  if (deployments.length > 1) {
+    throw new Error(`Service ${serviceName} has several Deployments: ${deployments.map(d => d.metadata.name).join(', ')}. Pick one with the deployment parameter.`);
+  }
+  return deployments[0];
+}
+
+/**
+ * Finds the HorizontalPodAutoscaler scaling a Deployment, if there is one. It may not have been
+ * created by gke-mcp: check its `created-by` label before changing it.
+ * @param {object} k8s - A client created by `createKubernetesClient`.
+ * @param {string} namespace - The namespace of the Deployment.
+ * @param {string} deploymentName - The Deployment name.
+ * @returns {Promise<object|undefined>} The live HorizontalPodAutoscaler.
+ */
+export async function findAutoscaler(k8s, namespace, deploymentName) {
+  const list = await k8s.get(resourcePath('autoscaling/v2', 'HorizontalPodAutoscaler', namespace));
+  return ((list && list.items) || []).find(({ spec }) =>
+    spec.scaleTargetRef.kind === 'Deployment' && spec.scaleTargetRef.name === deploymentName);
+}
+
+/**
+ * Scales a service deployed to GKE. Without an autoscaler, sets the replica count of its Deployment
+ * and waits for the pods; with one, changes the autoscaler's bounds instead.
+ * A manual replica count lasts until the next deploy, which applies its own `replicas`.
+ *
+ * @async
+ * @param {object} config - The scaling configuration.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} [config.region='europe-west1'] - The location of the cluster.
+ * @param {string} [config.clusterId='default-cluster'] - The GKE cluster.
+ * @param {string} config.serviceName - The service name.
+ * @param {string} [config.namespace='default'] - The namespace of the service.
+ * @param {string} [config.deploymentName] - The Deployment to scale, for services with several (e.g. Compose services).
+ * @param {number} [config.replicas] - The replica count. Only for Deployments without an autoscaler.
+ * @param {number} [config.minReplicas] - The new minimum of the autoscaler.
+ * @param {number} [config.maxReplicas] - The new maximum of the autoscaler.
+ * @param {number} [config.rolloutTimeoutSeconds] - Maximum time to wait for the pods.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{name: string, namespace: string, deployment: string, previousReplicas: number, desiredReplicas: number, readyReplicas?: number, autoscaler?: AutoscalerStatus}>} The result.
+ * @throws {Error} If the options do not fit the service, or the pods do not become ready in time.
+ */
+export async function scaleService({ projectId, region = 'europe-west1', clusterId = 'default-cluster', serviceName, namespace = DEFAULT_NAMESPACE, deploymentName, replicas, minReplicas, maxReplicas, rolloutTimeoutSeconds = DEFAULT_ROLLOUT_TIMEOUT_SECONDS, progressCallback }) {
+  const deadline = Date.now() + rolloutTimeoutSeconds * 1000;
+  const k8s = await connectToCluster(projectId, region, clusterId);
+  const deployment = await findDeployment(k8s, namespace, serviceName, deploymentName);
+  const { name } = deployment.metadata;
+  const previousReplicas = deployment.spec.replicas ?? 1;
+  const autoscaler = await findAutoscaler(k8s, namespace, name);
+
+  if (autoscaler) {
+    // Patching an autoscaler managed by someone else would be silently reverted, or fight their tooling
+    if (!autoscaler.metadata.labels || autoscaler.metadata.labels['created-by'] !== 'gke-mcp') {
+      throw new Error(`Deployment ${name} is autoscaled by HorizontalPodAutoscaler ${autoscaler.metadata.name}, which was not created by gke-mcp. Change its bounds with the tool that manages it.`);
+    }
+    if (replicas !== undefined) {
+      throw new Error(`Deployment ${name} is autoscaled by HorizontalPodAutoscaler ${autoscaler.metadata.name} between ${autoscaler.spec.minReplicas ?? 1} and ${autoscaler.spec.maxReplicas} replicas. Set minReplicas and maxReplicas instead, or redeploy without maxReplicas to scale it manually.`);
+    }
+    if (minReplicas === undefined && maxReplicas === undefined) {
+      throw new Error(`Deployment ${name} is autoscaled: set minReplicas and/or maxReplicas.`);
+    }
+    const min = minReplicas ?? autoscaler.spec.minReplicas ?? 1;
+    const max = maxReplicas ?? autoscaler.spec.maxReplicas;
+    if (min > max) {
+      throw new Error(`minReplicas (${min}) must not be greater than maxReplicas (${max}).`);
+    }
+    const path = resourcePath('autoscaling/v2', 'HorizontalPodAutoscaler', namespace, autoscaler.metadata.name);
+    const updated = await k8s.request('PATCH', path, {
+      body: { spec: { minReplicas: min, maxReplicas: max } },
+      contentType: 'application/merge-patch+json',
+    });
+    logAndProgress(`HorizontalPodAutoscaler ${autoscaler.metadata.name} now scales ${name} between ${min} and ${max} replicas.`, progressCallback);
+    return { name: serviceName, namespace, deployment: name, previousReplicas, desiredReplicas: previousReplicas, autoscaler: describeAutoscaler(updated) };
+  }
+
+  if (replicas === undefined) {
+    throw new Error(`Deployment ${name} has no autoscaler: set replicas, or redeploy with maxReplicas to enable autoscaling.`);
+  }
+  if (minReplicas !== undefined || maxReplicas !== undefined) {
+    throw new Error(`Deployment ${name} has no autoscaler to set minReplicas or maxReplicas on. Redeploy with maxReplicas to enable autoscaling.`);
+  }
+  await k8s.request('PATCH', `${resourcePath('apps/v1', 'Deployment', namespace, name)}/scale`, {
+    body: { spec: { replicas } },
+    contentType: 'application/merge-patch+json',
+  });
+  logAndProgress(`Scaling ${name} from ${previousReplicas} to ${replicas} replicas...`, progressCallback);
+
+  const matchLabels = (deployment.spec.selector && deployment.spec.selector.matchLabels) || { app: name };
+  const podSelector = Object.entries(matchLabels).map(([key, value]) => `${key}=${value}`).join(',');
+  const { readyReplicas, desiredReplicas } = await waitForRollout(k8s, namespace, name, { deadline, progressCallback, podSelector });
+  return { name: serviceName, namespace, deployment: name, previousReplicas, desiredReplicas, readyReplicas };
+}
@@ -0,0 +1,208 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import crypto from 'crypto';
+import path from 'path';
+import { SERVICE_LABEL } from './gke-manifests.js';
+import { logAndProgress } from './progress.js';
+
+// Name of the pod volume holding the Secret of a service.
+const SECRETS_VOLUME = 'gke-mcp-secrets';
+const SECRET_ID_REGEX = /^[A-Za-z0-9_-]{1,255}$/;
+const VERSION_REGEX = /^(latest|[1-9][0-9]*)$/;
+
+/**
+ * Secrets of a service: maps an environment variable name, or the absolute path of a file in the container,
+ * to a Secret Manager secret version. A version is referenced as `secret` (latest version), `secret:version`,
+ * or `projects/<project>/secrets/<secret>[/versions/<version>]`.
+ * @typedef {Object<string, string>} SecretMappings
+ */
+
+/**
+ * @typedef {object} SecretBinding
+ * @property {'env'|'file'} type - Whether the secret is exposed as an environment variable or a file.
+ * @property {string} target - The environment variable name or the file path.
+ * @property {string} version - The full resource name of the secret version.
+ * @property {string} key - The key of the value in the Kubernetes Secret.
+ */
+
+let secretManagerClient;
+
+/**
+ * Returns the Secret Manager client, creating it on first use.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {Promise<object>} The SecretManagerServiceClient.
+ */
+async function getSecretManagerClient(projectId) {
+  if (!secretManagerClient) {
+    const { SecretManagerServiceClient } = await import('@google-cloud/secret-manager');
+    secretManagerClient = new SecretManagerServiceClient({ projectId });
+  }
+  return secretManagerClient;
+}
+
+/**
+ * Returns the Kubernetes Secret holding the secrets of a service.
+ * @param {string} serviceName - The service name.
+ * @returns {string} The Secret name.
+ */
+export function secretName(serviceName) {
+  return `${serviceName}-secrets`;
+}
+
+/**
+ * Resolves a secret reference to the full resource name of a secret version.
+ * @param {string} reference - `secret`, `secret:version` or `projects/<project>/secrets/<secret>[/versions/<version>]`.
+ * @param {string} projectId - The project of references without one.
+ * @returns {string} `projects/<project>/secrets/<secret>/versions/<version>`.
+ * @throws {Error} If the reference is malformed.
+ */
+export function parseSecretReference(reference, projectId) {
+  const full = /^projects\/([^/]+)\/secrets\/([^/]+)(?:\/versions\/([^/]+))?$/.exec(reference);
+  const [, project, secret, version = 'latest'] = full || [null, projectId, ...reference.split(':')];
+  if (!SECRET_ID_REGEX.test(secret || '') || !VERSION_REGEX.test(version) || (!full && reference.split(':').length > 2)) {
+    throw new Error(`Invalid secret reference "${reference}". Use "secret", "secret:version" or "projects/<project>/secrets/<secret>/versions/<version>".`);
+  }
+  return `projects/${project}/secrets/${secret}/versions/${version}`;
+}
+
+/**
+ * Describes how each secret of a service is exposed, and under which key of the Kubernetes Secret it is stored.
+ * @param {SecretMappings} secrets - The secrets of the service.
+ * @param {string} projectId - The project of references without one.
+ * @returns {SecretBinding[]} The bindings, sorted by target.
+ * @throws {Error} If a target is neither an environment variable name nor an absolute file path, or a reference is malformed.
+ */
+export function secretBindings(secrets, projectId) {
+  const keys = new Set();
+  return Object.keys(secrets).sort().map((target) => {
+    const type = target.startsWith('/') ? 'file' : 'env';
+    if (type === 'file' ? target.endsWith('/') || target.split('/').includes('..') : !/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(target)) {
+      throw new Error(`Invalid secret target "${target}": use an environment variable name or the absolute path of a file.`);
+    }
+    // Secret keys may only contain alphanumerics, '-', '_' and '.'
+    const base = type === 'env' ? target : path.posix.basename(target).replace(/[^A-Za-z0-9._-]/g, '_');
+    let key = base;
+    for (let i = 2; keys.has(key); i++) {
+      key = `${base}-${i}`;
+    }
+    keys.add(key);
+    return { type, target, version: parseSecretReference(secrets[target], projectId), key };
+  });
+}
+
+/**
+ * Reads the secret versions of a service from Secret Manager. The values are never logged.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {SecretBinding[]} bindings - The secrets to read.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{values: Object<string, Buffer>, versions: Object<string, string>}>} The values, and the full
+ * resource names of the versions read (with `latest` resolved to a version number), both keyed by `SecretBinding.key`.
+ * @throws {Error} If a secret version does not exist or cannot be accessed.
+ */
+export async function resolveSecrets(projectId, bindings, progressCallback) {
+  const client = await getSecretManagerClient(projectId);
+  const values = {};
+  const versions = {};
+  for (const { target, version, key } of bindings) {
+    try {
+      const [response] = await client.accessSecretVersion({ name: version });
+      values[key] = Buffer.from(response.payload.data);
+      versions[key] = response.name || version;
+    } catch (error) {
+      if (error.code === 5) {
+        throw new Error(`Secret version ${version} (for ${target}) not found. Create it with: gcloud secrets create ... or gcloud secrets versions add ...`);
+      }
+      if (error.code === 7) {
+        throw new Error(`Permission denied reading secret version ${version} (for ${target}). Grant roles/secretmanager.secretAccessor on the secret to the deploying account.`);
+      }
+      throw new Error(`Could not read secret version ${version} (for ${target}): ${error.message}`);
+    }
+  }
+  logAndProgress(`Read ${bindings.length} secret(s) from Secret Manager: ${bindings.map(b => b.target).join(', ')}.`, progressCallback);
+  return { values, versions };
+}
+
+/**
+ * Builds the Kubernetes Secret holding the secret values of a service.
+ * @param {string} serviceName - The service name.
+ * @param {string} namespace - The namespace.
+ * @param {Object<string, Buffer>} values - The values, keyed by `SecretBinding.key`.
+ * @returns {object} The Secret manifest.
+ */
+export function buildSecretManifest(serviceName, namespace, values) {
+  return {
+    apiVersion: 'v1',
+    kind: 'Secret',
+    metadata: {
+      name: secretName(serviceName),
+      namespace,
+      labels: {
+        'created-by': 'gke-mcp',
+        [SERVICE_LABEL]: serviceName,
+      },
+    },
+    type: 'Opaque',
+    data: Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value.toString('base64')])),
+  };
+}
+
+/**
+ * Exposes the secrets of a service to the first container of its Deployment, as environment variables
+ * read from the Secret and files mounted from it. A hash of the secret version names is set on the pod template,
+ * so that new secret versions roll out new pods. The values themselves are not hashed: the annotation is readable
+ * by anyone who can read the Deployment, and would allow guessing short values offline.
+ * @param {object} deployment - The Deployment manifest, modified in place.
+ * @param {object} secret - The Secret manifest built by `buildSecretManifest`.
+ * @param {SecretBinding[]} bindings - The secrets of the service.
+ * @param {Object<string, string>} versions - The versions read, from `resolveSecrets`.
+ */
+export function mountSecrets(deployment, secret, bindings, versions) {
+  const podSpec = deployment.spec.template.spec;
+  const container = podSpec.containers[0];
+  const name = secret.metadata.name;
+
+  for (const { type, target, key } of bindings) {
+    if (type === 'env') {
+      container.env = (container.env || []).filter(e => e.name !== target);
+      container.env.push({ name: target, valueFrom: { secretKeyRef: { name, key } } });
+    } else {
+      container.volumeMounts = container.volumeMounts || [];
+      container.volumeMounts.push({ name: SECRETS_VOLUME, mountPath: target, subPath: key, readOnly: true });
+    }
+  }
+  if (bindings.some(b => b.type === 'file')) {
+    podSpec.volumes = podSpec.volumes || [];
+    podSpec.volumes.push({ name: SECRETS_VOLUME, secret: { secretName: name } });
+  }
+
+  const hash = crypto.createHash('sha256').update(JSON.stringify(Object.entries(versions).sort())).digest('hex');
+  const template = deployment.spec.template;
+  template.metadata.annotations = { ...template.metadata.annotations, 'gke-mcp/secrets-hash': hash.slice(0, 16) };
+}
+
+/**
+ * Returns a copy of a manifest safe to show or store: the values of a Secret are replaced by a placeholder.
+ * @param {object} manifest - A manifest.
+ * @returns {object} The manifest itself, or a redacted copy of a Secret.
+ */
+export function redactSecret(manifest) {
+  if (manifest.kind !== 'Secret') {
+    return manifest;
+  }
+  const redact = (data) => data && Object.fromEntries(Object.keys(data).map(key => [key, '<redacted>']));
+  return { ...manifest, data: redact(manifest.data), stringData: redact(manifest.stringData) };
+}
@@ -0,0 +1,293 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import crypto from 'crypto';
+import { GoogleAuth } from 'google-auth-library';
+import { SERVICE_LABEL } from './gke-manifests.js';
+import { logAndProgress } from './progress.js';
+
+const IAM_API = 'https://iam.googleapis.com/v1';
+// A new service account takes a few seconds to be usable in IAM policies.
+const PROPAGATION_RETRIES = 10;
+const PROPAGATION_DELAY_MS = 3000;
+
+/**
+ * Workload Identity options of a deployment.
+ * @typedef {object} WorkloadIdentity
+ * @property {string[]} [roles] - IAM roles granted on the project to the service's Google service account
+ * (e.g. 'roles/storage.objectViewer').
+ */
+
+let auth;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends a request to the IAM API with application default credentials.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path below `https://iam.googleapis.com/v1`.
+ * @param {object} [data] - The JSON request body.
+ * @returns {Promise<object|null>} The response body, or null if the resource does not exist.
+ * @throws {Error} If the API responds with another error. The error `code` is the HTTP status.
+ */
+async function iamRequest(method, path, data) {
+  if (!auth) {
+    auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  }
+  try {
+    const response = await auth.request({ url: `${IAM_API}/${path}`, method, data });
+    return response.data;
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status === 404 && method === 'GET') {
+      return null;
+    }
+    const message = (error.response && error.response.data && error.response.data.error && error.response.data.error.message) || error.message;
+    const wrapped = new Error(`IAM API ${method} ${path.split(':')[0]} failed: ${message}`);
+    wrapped.code = status;
+    throw wrapped;
+  }
+}
+
+/**
+ * Returns the Google service account of a service.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @returns {{accountId: string, email: string}} The account ID and email. The ID is `gke-<service>` in the
+ * default namespace and `gke-<namespace>-<service>` elsewhere, shortened with a hash beyond the 30 characters IAM allows.
+ */
+export function serviceAccountOf(projectId, namespace, serviceName) {
+  let accountId = namespace === 'default' ? `gke-${serviceName}` : `gke-${namespace}-${serviceName}`;
+  if (accountId.length > 30) {
+    const hash = crypto.createHash('sha256').update(accountId).digest('hex').slice(0, 6);
+    accountId = `${accountId.slice(0, 23).replace(/-+$/, '')}-${hash}`;
+  } else if (accountId.length < 6) {
+    accountId = `${accountId}-sa`;
+  }
+  return { accountId, email: `${accountId}@${projectId}.iam.gserviceaccount.com` };
+}
+
+/**
+ * Returns the description of the Google service account of a service. It records the service owning the account,
+ * since account IDs may collide (`a-b` in `default` and `b` in `a`), and marks the accounts created by gke-mcp,
+ * so only those are deleted with their service.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @returns {string} The description.
+ */
+function accountDescription(namespace, serviceName) {
+  return `Created by gke-mcp for the Kubernetes workloads of service ${namespace}/${serviceName}.`;
+}
+
+/**
+ * Checks that a cluster can run pods as Google service accounts.
+ * @param {object} cluster - The cluster returned by `getCluster`.
+ * @param {string} projectId - The project of the cluster.
+ * @returns {string} The workload pool of the cluster (`<project>.svc.id.goog`).
+ * @throws {Error} If Workload Identity is not enabled on the cluster.
+ */
+export function requireWorkloadPool(cluster, projectId) {
+  const workloadPool = cluster.workloadIdentityConfig && cluster.workloadIdentityConfig.workloadPool;
+  if (!workloadPool) {
+    throw new Error(`Workload Identity is not enabled on GKE cluster ${cluster.name}. Enable it with: gcloud container clusters update ${cluster.name} --location ${cluster.location} --workload-pool=${projectId}.svc.id.goog, and update its node pools with --workload-metadata=GKE_METADATA.`);
+  }
+  return workloadPool;
+}
+
+/**
+ * Adds a member to a role of an IAM policy.
+ * @param {object} policy - The policy, modified in place.
+ * @param {string} role - The role.
+ * @param {string} member - The member (e.g. `serviceAccount:...`).
+ * @returns {boolean} True if the policy changed.
+ */
+function addBinding(policy, role, member) {
+  policy.bindings = policy.bindings || [];
+  let binding = policy.bindings.find(b => b.role === role && !b.condition);
+  if (!binding) {
+    binding = { role, members: [] };
+    policy.bindings.push(binding);
+  }
+  if (binding.members.includes(member)) {
+    return false;
+  }
+  binding.members.push(member);
+  return true;
+}
+
+/**
+ * Removes a member from every role of an IAM policy, dropping the roles left without members.
+ * @param {object} policy - The policy, modified in place.
+ * @param {string} member - The member (e.g. `serviceAccount:...`).
+ * @returns {string[]} The roles the member was removed from.
+ */
+function removeMember(policy, member) {
+  const roles = [];
+  for (const binding of policy.bindings || []) {
+    if (binding.members.includes(member)) {
+      binding.members = binding.members.filter(m => m !== member);
+      roles.push(binding.role);
+    }
+  }
+  policy.bindings = (policy.bindings || []).filter(binding => binding.members.length > 0);
+  return roles;
+}
+
+/**
+ * Retries an IAM policy update while a new service account is not yet known to IAM,
+ * or while another update of the same policy got in first.
+ * @param {function(): Promise<void>} update - Reads, changes and writes the policy.
+ * @returns {Promise<void>}
+ */
+async function retryPolicyUpdate(update) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await update();
+    } catch (error) {
+      // HTTP 409 and gRPC ABORTED (10) are concurrent updates; HTTP 400 and gRPC INVALID_ARGUMENT (3) an account not yet propagated
+      const retryable = error.code === 409 || error.code === 10 || ([400, 3].includes(error.code) && /does not exist/i.test(error.message));
+      if (!retryable || attempt >= PROPAGATION_RETRIES) {
+        throw error;
+      }
+      await sleep(PROPAGATION_DELAY_MS);
+    }
+  }
+}
+
+/**
+ * Sets up Workload Identity for a service: creates its Google service account unless it exists, grants it
+ * the requested roles on the project, and lets the Kubernetes ServiceAccount of the service impersonate it.
+ * Roles granted by earlier deploys are kept.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} workloadPool - The workload pool of the cluster, from `requireWorkloadPool`.
+ * @param {object} options - The service.
+ * @param {string} options.serviceName - The service name, also the name of its Kubernetes ServiceAccount.
+ * @param {string} options.namespace - The namespace of the service.
+ * @param {string[]} [options.roles=[]] - IAM roles to grant on the project.
+ * @param {function(object): void} [options.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<string>} The email of the Google service account.
+ */
+export async function ensureWorkloadIdentity(projectId, workloadPool, { serviceName, namespace, roles = [], progressCallback }) {
+  const { accountId, email } = serviceAccountOf(projectId, namespace, serviceName);
+  const accountPath = `projects/${projectId}/serviceAccounts/${email}`;
+  const description = accountDescription(namespace, serviceName);
+
+  let account = await iamRequest('GET', accountPath);
+  if (!account) {
+    try {
+      await iamRequest('POST', `projects/${projectId}/serviceAccounts`, {
+        accountId,
+        serviceAccount: { displayName: `gke-mcp ${namespace}/${serviceName}`, description },
+      });
+      logAndProgress(`Created Google service account ${email}.`, progressCallback);
+    } catch (error) {
+      if (error.code !== 409) {
+        throw error;
+      }
+      account = await iamRequest('GET', accountPath);
+    }
+  }
+  if (account) {
+    if (account.description !== description) {
+      throw new Error(`Google service account ${email} already exists and does not belong to service ${namespace}/${serviceName} (${account.description || 'no description'}). Deploy the service under another name or namespace.`);
+    }
+    logAndProgress(`Using Google service account ${email}.`, progressCallback);
+  }
+
+  if (roles.length > 0) {
+    const { ProjectsClient } = await import('@google-cloud/resource-manager');
+    const client = new ProjectsClient();
+    const resource = `projects/${projectId}`;
+    await retryPolicyUpdate(async () => {
+      const [policy] = await client.getIamPolicy({ resource, options: { requestedPolicyVersion: 3 } });
+      const changed = roles.filter(role => addBinding(policy, role, `serviceAccount:${email}`));
+      if (changed.length > 0) {
+        await client.setIamPolicy({ resource, policy: { ...policy, version: 3 } });
+        logAndProgress(`Granted ${changed.join(', ')} to ${email}.`, progressCallback);
+      }
+    });
+  }
+
+  const member = `serviceAccount:${workloadPool}[${namespace}/${serviceName}]`;
+  await retryPolicyUpdate(async () => {
+    const policy = await iamRequest('POST', `${accountPath}:getIamPolicy`, {});
+    if (addBinding(policy, 'roles/iam.workloadIdentityUser', member)) {
+      await iamRequest('POST', `${accountPath}:setIamPolicy`, { policy });
+      logAndProgress(`Allowed Kubernetes service account ${namespace}/${serviceName} to act as ${email}.`, progressCallback);
+    }
+  });
+  return email;
+}
+
+/**
+ * Builds the Kubernetes ServiceAccount of a service, annotated to act as its Google service account.
+ * @param {string} serviceName - The service name, also the ServiceAccount name.
+ * @param {string} namespace - The namespace.
+ * @param {string} email - The email of the Google service account.
+ * @returns {object} The ServiceAccount manifest.
+ */
+export function buildServiceAccountManifest(serviceName, namespace, email) {
+  return {
+    apiVersion: 'v1',
+    kind: 'ServiceAccount',
+    metadata: {
+      name: serviceName,
+      namespace,
+      labels: {
+        'created-by': 'gke-mcp',
+        [SERVICE_LABEL]: serviceName,
+      },
+      annotations: {
+        'iam.gke.io/gcp-service-account': email,
+      },
+    },
+  };
+}
+
+/**
+ * Deletes the Google service account created by gke-mcp for a service, if there is one, after removing
+ * its roles from the project policy. Accounts not created by gke-mcp for this service are left alone.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} namespace - The namespace of the service.
+ * @param {string} serviceName - The service name.
+ * @param {{dryRun?: boolean}} [options] - With `dryRun`, only reports whether there is an account to delete.
+ * @returns {Promise<string|null>} A description of the (to be) deleted account, or null if there is none.
+ */
+export async function deleteServiceAccount(projectId, namespace, serviceName, { dryRun = false } = {}) {
+  const { email } = serviceAccountOf(projectId, namespace, serviceName);
+  const accountPath = `projects/${projectId}/serviceAccounts/${email}`;
+  const account = await iamRequest('GET', accountPath);
+  if (!account || account.description !== accountDescription(namespace, serviceName)) {
+    return null;
+  }
+  if (!dryRun) {
+    // Otherwise the roles granted by ensureWorkloadIdentity stay in the project policy as deleted:serviceAccount members
+    const { ProjectsClient } = await import('@google-cloud/resource-manager');
+    const client = new ProjectsClient();
+    const resource = `projects/${projectId}`;
+    await retryPolicyUpdate(async () => {
+      const [policy] = await client.getIamPolicy({ resource, options: { requestedPolicyVersion: 3 } });
+      if (removeMember(policy, `serviceAccount:${email}`).length > 0) {
+        await client.setIamPolicy({ resource, policy: { ...policy, version: 3 } });
+      }
+    });
+    await iamRequest('DELETE', accountPath);
+  }
+  return `Google service account ${email}`;
+}
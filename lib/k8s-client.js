@@ -0,0 +1,274 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import https from 'https';
+import { GoogleAuth } from 'google-auth-library';
+import { getCluster } from './gke-clusters.js';
+
+// Field manager used for server-side apply, so repeated deploys own their fields.
+export const FIELD_MANAGER = 'gke-mcp';
+
+// Time without any network activity after which a request to the API server fails.
+const REQUEST_TIMEOUT_MS = 30000;
+
+// REST resource names of the kinds gke-mcp creates, keyed by `apiVersion/kind`.
+const RESOURCES = {
+  'v1/Namespace': { plural: 'namespaces', namespaced: false },
+  'v1/Service': { plural: 'services', namespaced: true },
+  'v1/Pod': { plural: 'pods', namespaced: true },
+  'v1/ConfigMap': { plural: 'configmaps', namespaced: true },
+  'v1/Secret': { plural: 'secrets', namespaced: true },
+  'v1/ServiceAccount': { plural: 'serviceaccounts', namespaced: true },
+  'v1/PersistentVolumeClaim': { plural: 'persistentvolumeclaims', namespaced: true },
+  'v1/Endpoints': { plural: 'endpoints', namespaced: true },
+  'v1/Event': { plural: 'events', namespaced: true },
+  'apps/v1/Deployment': { plural: 'deployments', namespaced: true },
+  'apps/v1/ReplicaSet': { plural: 'replicasets', namespaced: true },
+  'autoscaling/v2/HorizontalPodAutoscaler': { plural: 'horizontalpodautoscalers', namespaced: true },
+};
+
+let auth;
+
+/**
+ * Returns an OAuth access token from application default credentials.
+ * @returns {Promise<string>} A promise that resolves to the access token.
+ */
+async function getAccessToken() {
+  if (!auth) {
+    auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  }
+  return await auth.getAccessToken();
+}
+
+/**
+ * Builds the REST path of a Kubernetes object, or of its collection when no name is given.
+ * @param {string} apiVersion - The object's apiVersion (e.g. 'apps/v1').
+ * @param {string} kind - The object's kind (e.g. 'Deployment').
+ * @param {string} [namespace] - The namespace, ignored for cluster-scoped kinds.
+ * @param {string} [name] - The object name.
+ * @returns {string} The API path (e.g. `/apis/apps/v1/namespaces/default/deployments/app`).
+ * @throws {Error} If the kind is not known.
+ */
+export function resourcePath(apiVersion, kind, namespace, name) {
+  const resource = RESOURCES[`${apiVersion}/${kind}`];
+  if (!resource) {
+    throw new Error(`Unsupported Kubernetes resource kind: ${apiVersion} ${kind}`);
+  }
+  return buildPath(apiVersion, resource, namespace, name);
+}
+
+/**
+ * Builds the REST path of an object from its resource description.
+ * @param {string} apiVersion - The object's apiVersion.
+ * @param {{plural: string, namespaced: boolean}} resource - The resource description.
+ * @param {string} [namespace] - The namespace, ignored for cluster-scoped resources.
+ * @param {string} [name] - The object name.
+ * @returns {string} The API path.
+ */
+function buildPath(apiVersion, resource, namespace, name) {
+  const prefix = apiVersion.includes('/') ? `/apis/${apiVersion}` : `/api/${apiVersion}`;
+  const scope = resource.namespaced ? `/namespaces/${encodeURIComponent(namespace || 'default')}` : '';
+  const suffix = name ? `/${encodeURIComponent(name)}` : '';
+  return `${prefix}${scope}/${resource.plural}${suffix}`;
+}
+
+/**
+ * Creates a client for the Kubernetes API server of a GKE cluster.
+ * The connection is built from the cluster endpoint and CA certificate returned by
+ * `getCluster`, and authenticated with an OAuth token from application default credentials,
+ * so neither gcloud nor kubectl nor a kubeconfig file is needed.
+ *
+ * @param {object} cluster - The cluster object returned by `getCluster`.
+ * @returns {{request: function, get: function, apply: function, remove: function, resolveResource: function, objectPath: function}} The client.
+ * @throws {Error} If the cluster has no endpoint or CA certificate.
+ */
+export function createKubernetesClient(cluster) {
+  if (!cluster || !cluster.endpoint) {
+    throw new Error(`GKE cluster ${cluster && cluster.name} has no API endpoint. Is it still provisioning?`);
+  }
+  const caCertificate = cluster.masterAuth && cluster.masterAuth.clusterCaCertificate;
+  if (!caCertificate) {
+    throw new Error(`GKE cluster ${cluster.name} has no CA certificate.`);
+  }
+  const ca = Buffer.from(caCertificate, 'base64');
+
+  /**
+   * Sends a request to the Kubernetes API server.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The API path, including any query string.
+   * @param {object} [options] - Request options.
+   * @param {object} [options.body] - The request body, sent as JSON.
+   * @param {string} [options.contentType='application/json'] - The request content type.
+   * @param {boolean} [options.raw=false] - Return the response text without parsing it (e.g. for pod logs).
+   * @param {number} [options.timeoutMs=30000] - Fail after this long without any network activity.
+   * @returns {Promise<object|string>} The parsed JSON response, or the raw text if it is not JSON or `raw` is set.
+   * @throws {Error} If the API server responds with a non-2xx status (the error `code` is the HTTP status) or does not respond in time.
+   */
+  async function request(method, path, { body, contentType = 'application/json', raw = false, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    const token = await getAccessToken();
+    const payload = body === undefined ? undefined : JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const req = https.request({
+        host: cluster.endpoint,
+        port: 443,
+        path,
+        method,
+        ca,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'application/json',
+          ...(payload !== undefined ? { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(payload) } : {}),
+        },
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          let parsed = text;
+          try {
+            parsed = text ? JSON.parse(text) : {};
+          } catch {
+            // Not JSON, return the raw text
+          }
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(raw ? text : parsed);
+          } else {
+            const message = (parsed && parsed.message) || text || `HTTP ${res.statusCode}`;
+            const error = new Error(`Kubernetes API ${method} ${path.split('?')[0]} failed: ${message}`);
+            error.code = res.statusCode;
+            error.details = parsed;
+            reject(error);
+          }
+        });
+      });
+      req.setTimeout(timeoutMs, () => {
+        req.destroy(new Error(`Kubernetes API ${method} ${path.split('?')[0]} timed out after ${Math.round(timeoutMs / 1000)}s. Is the control plane of GKE cluster ${cluster.name} reachable from here?`));
+      });
+      req.on('error', reject);
+      if (payload !== undefined) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  // Resources of each API group version, discovered on first use
+  const discovered = new Map();
+
+  /**
+   * Describes the REST resource of a kind, from the built-in table or by API discovery,
+   * so any kind served by the cluster (including custom resources) can be applied.
+   * @param {string} apiVersion - The object's apiVersion.
+   * @param {string} kind - The object's kind.
+   * @returns {Promise<{plural: string, namespaced: boolean}>} The resource description.
+   * @throws {Error} If the cluster does not serve the kind.
+   */
+  async function resolveResource(apiVersion, kind) {
+    const known = RESOURCES[`${apiVersion}/${kind}`];
+    if (known) {
+      return known;
+    }
+    if (!discovered.has(apiVersion)) {
+      const list = await get(apiVersion.includes('/') ? `/apis/${apiVersion}` : `/api/${apiVersion}`);
+      discovered.set(apiVersion, ((list && list.resources) || []).filter(r => !r.name.includes('/')));
+    }
+    const resource = discovered.get(apiVersion).find(r => r.kind === kind);
+    if (!resource) {
+      throw new Error(`The cluster does not serve ${apiVersion} ${kind}. Check the apiVersion, or install the CRD that defines it.`);
+    }
+    return { plural: resource.name, namespaced: resource.namespaced };
+  }
+
+  /**
+   * Builds the REST path of any object served by the cluster, or of its collection when no name is given.
+   * @param {string} apiVersion - The object's apiVersion.
+   * @param {string} kind - The object's kind.
+   * @param {string} [namespace] - The namespace, ignored for cluster-scoped kinds.
+   * @param {string} [name] - The object name.
+   * @returns {Promise<string>} The API path.
+   */
+  async function objectPath(apiVersion, kind, namespace, name) {
+    return buildPath(apiVersion, await resolveResource(apiVersion, kind), namespace, name);
+  }
+
+  /**
+   * Gets an object, returning null if it does not exist.
+   * @param {string} path - The API path of the object.
+   * @returns {Promise<object|null>} The object, or null if not found.
+   */
+  async function get(path) {
+    try {
+      return await request('GET', path);
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Creates or updates an object using server-side apply.
+   * @param {object} manifest - The full object manifest.
+   * @param {object} [options] - Apply options.
+   * @param {boolean} [options.dryRun=false] - Validate and compute the result on the server without persisting it.
+   * @returns {Promise<object>} The object as stored (or, with `dryRun`, as it would be stored) by the API server.
+   */
+  async function apply(manifest, { dryRun = false } = {}) {
+    const { apiVersion, kind, metadata } = manifest;
+    const path = await objectPath(apiVersion, kind, metadata.namespace, metadata.name);
+    return await request('PATCH', `${path}?fieldManager=${FIELD_MANAGER}&force=true${dryRun ? '&dryRun=All' : ''}`, {
+      body: manifest,
+      contentType: 'application/apply-patch+yaml',
+    });
+  }
+
+  /**
+   * Deletes an object, ignoring objects that do not exist.
+   * @param {string} path - The API path of the object.
+   * @returns {Promise<boolean>} True if the object was deleted, false if it did not exist.
+   */
+  async function remove(path) {
+    try {
+      await request('DELETE', path, { body: { propagationPolicy: 'Background' } });
+      return true;
+    } catch (error) {
+      if (error.code === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  return { request, get, apply, remove, resolveResource, objectPath };
+}
+
+/**
+ * Looks up a GKE cluster and creates a Kubernetes API client for it.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The region or zone of the cluster.
+ * @param {string} clusterId - The name of the cluster.
+ * @returns {Promise<object>} A client created by `createKubernetesClient`.
+ * @throws {Error} If the cluster does not exist.
+ */
+export async function connectToCluster(projectId, location, clusterId) {
+  const cluster = await getCluster(projectId, location, clusterId);
+  if (!cluster) {
+    throw new Error(`GKE cluster ${clusterId} does not exist in ${location}. Create it with create_cluster first.`);
+  }
+  return createKubernetesClient(cluster);
+}
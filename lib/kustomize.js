@@ -0,0 +1,174 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import path from 'path';
+import YAML from 'yaml';
+
+export const KUSTOMIZATION_FILE_NAMES = ['kustomization.yaml', 'kustomization.yml', 'Kustomization'];
+
+// Kustomization fields the built-in renderer understands. Others (patches, generators, name prefixes,
+// which need reference rewriting) are rejected rather than silently ignored.
+const SUPPORTED_FIELDS = ['apiVersion', 'kind', 'resources', 'namespace', 'commonLabels', 'labels', 'commonAnnotations', 'images'];
+
+// Kinds whose pod template and selector follow the Deployment layout.
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet', 'Job'];
+
+/**
+ * Parses the YAML documents of a manifest file, skipping empty documents.
+ * @param {string} text - The file content.
+ * @param {string} fileName - The file name, for error messages.
+ * @returns {object[]} The objects.
+ * @throws {Error} If the YAML is invalid.
+ */
+export function parseManifests(text, fileName) {
+  return YAML.parseAllDocuments(text).map((doc) => {
+    if (doc.errors.length > 0) {
+      throw new Error(`Invalid YAML in ${fileName}: ${doc.errors[0].message}`);
+    }
+    return doc.toJS();
+  }).filter(object => object && typeof object === 'object');
+}
+
+/**
+ * Returns the pod specs of an object, for the workload kinds and pods.
+ * @param {object} object - A Kubernetes object.
+ * @returns {object[]} The pod specs.
+ */
+export function podSpecs(object) {
+  if (object.kind === 'Pod') {
+    return object.spec ? [object.spec] : [];
+  }
+  if (object.kind === 'CronJob') {
+    const spec = object.spec && object.spec.jobTemplate && object.spec.jobTemplate.spec && object.spec.jobTemplate.spec.template && object.spec.jobTemplate.spec.template.spec;
+    return spec ? [spec] : [];
+  }
+  if (WORKLOAD_KINDS.includes(object.kind)) {
+    const spec = object.spec && object.spec.template && object.spec.template.spec;
+    return spec ? [spec] : [];
+  }
+  return [];
+}
+
+/**
+ * Adds labels to an object, and optionally to its selectors and pod template labels.
+ * @param {object} object - A Kubernetes object, modified in place.
+ * @param {Object<string, string>} labels - The labels.
+ * @param {boolean} includeSelectors - Also add them to selectors and pod templates.
+ */
+function addLabels(object, labels, includeSelectors) {
+  object.metadata.labels = { ...object.metadata.labels, ...labels };
+  if (!includeSelectors || !object.spec) {
+    return;
+  }
+  if (object.kind === 'Service') {
+    object.spec.selector = { ...object.spec.selector, ...labels };
+  } else if (WORKLOAD_KINDS.includes(object.kind) && object.spec.template) {
+    if (object.kind !== 'Job') {
+      object.spec.selector = { ...object.spec.selector, matchLabels: { ...(object.spec.selector || {}).matchLabels, ...labels } };
+    }
+    object.spec.template.metadata = object.spec.template.metadata || {};
+    object.spec.template.metadata.labels = { ...object.spec.template.metadata.labels, ...labels };
+  }
+}
+
+/**
+ * Applies a kustomization `images` entry to the containers of an object.
+ * @param {object} object - A Kubernetes object, modified in place.
+ * @param {{name: string, newName?: string, newTag?: string, digest?: string}} override - The image override.
+ */
+function overrideImage(object, override) {
+  for (const spec of podSpecs(object)) {
+    for (const container of [...(spec.containers || []), ...(spec.initContainers || [])]) {
+      const [, name] = /^([^@]*?)(?::[^:/@]+)?(?:@.*)?$/.exec(container.image || '') || [];
+      if (name !== override.name) {
+        continue;
+      }
+      const newName = override.newName || name;
+      if (override.digest) {
+        container.image = `${newName}@${override.digest}`;
+      } else if (override.newTag) {
+        container.image = `${newName}:${override.newTag}`;
+      } else {
+        container.image = container.image.replace(name, newName);
+      }
+    }
+  }
+}
+
+/**
+ * Renders a kustomization with the built-in renderer, which supports `resources` (files and
+ * directories with their own kustomization), `namespace`, `commonLabels`, `labels`,
+ * `commonAnnotations` and `images`.
+ *
+ * @param {string} dir - The directory of the kustomization, relative to the source root ('' for the root).
+ * @param {function(string): (string|null)} readFile - Returns the content of a source file by relative path, or null.
+ * @param {string[]} [visiting=[]] - The directories of the kustomizations including this one, to detect cycles.
+ * @returns {object[]} The rendered objects.
+ * @throws {Error} If the kustomization uses unsupported fields, references missing or remote resources,
+ * or includes itself through its resources.
+ */
+export function buildKustomization(dir, readFile, visiting = []) {
+  if (visiting.includes(dir)) {
+    const cycle = [...visiting.slice(visiting.indexOf(dir)), dir].map(d => d || '.');
+    throw new Error(`Kustomization cycle: ${cycle.join(' -> ')}`);
+  }
+  const fileName = KUSTOMIZATION_FILE_NAMES.map(name => path.posix.join(dir, name)).find(name => readFile(name) !== null);
+  if (!fileName) {
+    throw new Error(`No kustomization file found in ${dir || 'the source root'}.`);
+  }
+  const kustomization = YAML.parse(readFile(fileName)) || {};
+  const unsupported = Object.keys(kustomization).filter(field => !SUPPORTED_FIELDS.includes(field));
+  if (unsupported.length > 0) {
+    throw new Error(`${fileName} uses fields that are not supported: ${unsupported.join(', ')}. Render it with "kustomize build" into k8s/ instead.`);
+  }
+
+  const objects = [];
+  for (const resource of kustomization.resources || []) {
+    if (/^[a-z]+:\/\//.test(resource)) {
+      throw new Error(`${fileName}: remote resources are not supported (${resource}).`);
+    }
+    const resourcePath = path.posix.normalize(path.posix.join(dir, resource));
+    if (resourcePath.startsWith('..')) {
+      throw new Error(`${fileName}: resource ${resource} is outside the deployed files.`);
+    }
+    const content = readFile(resourcePath);
+    if (content !== null) {
+      objects.push(...parseManifests(content, resourcePath));
+    } else {
+      objects.push(...buildKustomization(resourcePath === '.' ? '' : resourcePath, readFile, [...visiting, dir]));
+    }
+  }
+
+  for (const object of objects) {
+    object.metadata = object.metadata || {};
+    if (kustomization.namespace && object.kind !== 'Namespace') {
+      object.metadata.namespace = kustomization.namespace;
+    }
+    if (kustomization.commonLabels) {
+      addLabels(object, kustomization.commonLabels, true);
+    }
+    for (const { pairs = {}, includeSelectors = false } of kustomization.labels || []) {
+      addLabels(object, pairs, includeSelectors);
+    }
+    if (kustomization.commonAnnotations) {
+      object.metadata.annotations = { ...object.metadata.annotations, ...kustomization.commonAnnotations };
+    }
+    for (const override of kustomization.images || []) {
+      overrideImage(object, override);
+    }
+  }
+  return objects;
+}
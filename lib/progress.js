@@ -0,0 +1,96 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { SetLevelRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Helper function to log a message and call the progress callback.
+ * @param {string} message - The message to log.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {'debug' | 'info' | 'warn' | 'error'} [severity='info'] - The severity level of the message.
+ */
+export function logAndProgress(message, progressCallback, severity = 'info') {
+  switch (severity) {
+    case 'error':
+      console.error(message);
+      break;
+    case 'warn':
+    case 'info':
+    case 'debug':
+    default:
+      console.log(message);
+      break;
+  }
+  if (progressCallback) {
+    progressCallback({ level: severity, data: message });
+  }
+}
+
+// MCP logging levels, from least to most severe, and the mapping from progress severities.
+const MCP_LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const SEVERITY_TO_MCP_LEVEL = { debug: 'debug', info: 'info', warn: 'warning', error: 'error' };
+
+// Minimum logging level requested by each server's client through `logging/setLevel`.
+const minimumLogLevels = new WeakMap();
+
+/**
+ * Declares the logging capability on an MCP server and honors the client's `logging/setLevel` requests.
+ * Must be called before the server is connected to a transport.
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server - The MCP server.
+ */
+export function enableLogging(server) {
+  server.server.registerCapabilities({ logging: {} });
+  server.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    minimumLogLevels.set(server, request.params.level);
+    return {};
+  });
+}
+
+/**
+ * Creates a progress callback that forwards progress messages of a tool call to the MCP client:
+ * as `notifications/progress` tied to the call's progress token, if the client sent one, and as
+ * `notifications/message` log messages at or above the level the client selected.
+ * Notifications are fire-and-forget, so a disconnected client never fails the tool call.
+ *
+ * @param {import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} server - The MCP server, set up with `enableLogging`.
+ * @param {object} extra - The `extra` argument passed to the tool callback.
+ * @returns {function(object): void} A progress callback for `logAndProgress`.
+ */
+export function createToolProgressCallback(server, extra) {
+  const progressToken = extra && extra._meta && extra._meta.progressToken;
+  let progress = 0;
+
+  return ({ level, data }) => {
+    if (!extra || !extra.sendNotification) {
+      return;
+    }
+    const mcpLevel = SEVERITY_TO_MCP_LEVEL[level] || 'info';
+    const minimumLevel = minimumLogLevels.get(server) || 'info';
+    if (MCP_LOG_LEVELS.indexOf(mcpLevel) >= MCP_LOG_LEVELS.indexOf(minimumLevel)) {
+      extra.sendNotification({
+        method: 'notifications/message',
+        params: { level: mcpLevel, logger: 'gke-mcp', data },
+      }).catch(() => {});
+    }
+    if (progressToken !== undefined && level !== 'debug') {
+      progress += 1;
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, message: data },
+      }).catch(() => {});
+    }
+  };
+}
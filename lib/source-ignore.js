@@ -0,0 +1,170 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import ignore from 'ignore';
+
+// Ignore files honored at the root of a deployed folder. Nested .gitignore files are honored too.
+const ROOT_IGNORE_FILES = ['.gitignore', '.dockerignore', '.gcloudignore'];
+
+// Never uploaded, whatever the ignore files say: likely secrets.
+export const SECRET_PATTERNS = [
+  '.env',
+  '.env.*',
+  '!.env.example',
+  '!.env.sample',
+  '!.env.template',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  'id_rsa*',
+  'id_ecdsa*',
+  'id_ed25519*',
+  '.npmrc',
+  '.pypirc',
+  '.netrc',
+  '.ssh/',
+  '.aws/',
+  '.gcp/',
+  'credentials.json',
+  '*service-account*.json',
+  '*.tfstate',
+  '*.tfstate.*',
+];
+
+// Not uploaded by default: VCS metadata, dependencies and local tooling state.
+const DEFAULT_IGNORE_PATTERNS = [
+  '.git/',
+  '.hg/',
+  '.svn/',
+  'node_modules/',
+  '__pycache__/',
+  '.venv/',
+  '.terraform/',
+  '.DS_Store',
+];
+
+// Files the build always needs, even if an ignore file lists them (as Docker does).
+const ALWAYS_INCLUDED = ['Dockerfile', 'dockerfile'];
+
+const secretMatcher = ignore().add(SECRET_PATTERNS);
+
+/**
+ * Checks whether a file path matches the default secret deny-list.
+ * @param {string} filePath - A relative file path, using '/' or the platform separator.
+ * @returns {boolean} True if the file looks like it contains secrets.
+ */
+export function isSecretFile(filePath) {
+  return secretMatcher.ignores(filePath.split(path.sep).join('/'));
+}
+
+/**
+ * Reads an ignore file, returning its patterns or null if it does not exist.
+ * @param {string} filePath - Absolute path of the ignore file.
+ * @returns {string|null} The file content.
+ */
+function readIgnoreFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Tests a path against the ignore scopes that apply to it, with gitignore precedence:
+ * deeper ignore files override shallower ones and negated patterns re-include paths.
+ * @param {Array<{base: string, matcher: object}>} scopes - Ignore scopes, shallowest first.
+ * @param {string} relPath - Path relative to the deployed folder, '/'-separated, with a trailing '/' for directories.
+ * @returns {boolean} True if the path is ignored.
+ */
+function isIgnored(scopes, relPath) {
+  let ignored = false;
+  for (const { base, matcher } of scopes) {
+    if (base && !relPath.startsWith(`${base}/`)) {
+      continue;
+    }
+    const result = matcher.test(base ? relPath.slice(base.length + 1) : relPath);
+    if (result.ignored) {
+      ignored = true;
+    } else if (result.unignored) {
+      ignored = false;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Lists the files of a folder that should be uploaded, honoring .gitignore (including nested ones),
+ * .dockerignore and .gcloudignore with gitignore semantics, plus a default deny-list of
+ * dependency folders, VCS metadata and likely secrets.
+ *
+ * @param {string} rootDir - Absolute path of the folder to deploy.
+ * @returns {{files: Array<{absolutePath: string, relativePath: string}>, excluded: {count: number, bytes: number, directories: string[]}}}
+ * The files to upload, with '/'-separated paths relative to `rootDir`, and what was excluded: the number and size of
+ * the excluded files, and the excluded directories, whose contents are not walked (e.g. `node_modules`).
+ */
+export function listFolderFiles(rootDir) {
+  const rootScope = ignore().add(DEFAULT_IGNORE_PATTERNS);
+  for (const ignoreFile of ROOT_IGNORE_FILES) {
+    const content = readIgnoreFile(path.join(rootDir, ignoreFile));
+    if (content !== null) {
+      rootScope.add(content);
+    }
+  }
+  const files = [];
+  const excluded = { count: 0, bytes: 0, directories: [] };
+
+  const walk = (dir, relDir, scopes) => {
+    let dirScopes = scopes;
+    if (relDir) {
+      const nested = readIgnoreFile(path.join(dir, '.gitignore'));
+      if (nested !== null) {
+        dirScopes = [...scopes, { base: relDir, matcher: ignore().add(nested) }];
+      }
+    }
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const absolutePath = path.join(dir, entry.name);
+      const relativePath = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (isIgnored(dirScopes, `${relativePath}/`) || secretMatcher.ignores(`${relativePath}/`)) {
+          excluded.directories.push(relativePath);
+        } else {
+          walk(absolutePath, relativePath, dirScopes);
+        }
+      } else if (entry.isFile()) {
+        const alwaysIncluded = !relDir && ALWAYS_INCLUDED.includes(entry.name);
+        if (!alwaysIncluded && (isIgnored(dirScopes, relativePath) || secretMatcher.ignores(relativePath))) {
+          excluded.count += 1;
+          excluded.bytes += fs.statSync(absolutePath).size;
+        } else {
+          files.push({ absolutePath, relativePath });
+        }
+      }
+    }
+  };
+
+  walk(rootDir, '', [{ base: '', matcher: rootScope }]);
+  return { files, excluded };
+}
@@ -0,0 +1,201 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { buildKustomization, parseManifests, podSpecs, KUSTOMIZATION_FILE_NAMES } from './kustomize.js';
+import { SERVICE_LABEL } from './gke-manifests.js';
+import { logAndProgress } from './progress.js';
+
+const execFileAsync = promisify(execFile);
+
+// Written in user manifests (or chart values) where the image built from the sources goes.
+export const IMAGE_PLACEHOLDER = '${IMAGE}';
+// Folder holding plain manifests.
+const MANIFESTS_DIR = 'k8s';
+const HELM_TIMEOUT_MS = 60000;
+
+// Order in which kinds are applied, so that dependencies exist first. Other kinds are applied last.
+const APPLY_ORDER = [
+  'Namespace', 'CustomResourceDefinition', 'ServiceAccount', 'Secret', 'ConfigMap', 'PersistentVolumeClaim',
+  'Role', 'RoleBinding', 'ClusterRole', 'ClusterRoleBinding', 'Service', 'Deployment', 'StatefulSet',
+  'DaemonSet', 'Job', 'CronJob', 'HorizontalPodAutoscaler', 'Ingress',
+];
+
+/**
+ * @typedef {object} ManifestSource
+ * @property {'helm'|'kustomize'|'manifests'} type - How the manifests are rendered.
+ * @property {string} dir - The directory of the chart, kustomization or manifests, relative to the source root.
+ */
+
+/**
+ * Detects user-supplied Kubernetes configuration in the deployed files: a Helm chart (`Chart.yaml`),
+ * a kustomization (`kustomization.yaml`) or plain manifests in a `k8s/` folder, in that order of precedence.
+ * The shallowest chart or kustomization wins.
+ *
+ * @param {Array<{name: string}>} entries - Source entries from `collectSourceFiles`.
+ * @returns {ManifestSource|null} The detected source, or null to use the generated Deployment and Service.
+ */
+export function detectManifestSource(entries) {
+  const shallowest = (names) => names.sort((a, b) => a.split('/').length - b.split('/').length)[0];
+  const dirOf = (name) => (path.posix.dirname(name) === '.' ? '' : path.posix.dirname(name));
+
+  const chart = shallowest(entries.map(e => e.name).filter(name => path.posix.basename(name) === 'Chart.yaml'));
+  if (chart !== undefined) {
+    return { type: 'helm', dir: dirOf(chart) };
+  }
+  const kustomization = shallowest(entries.map(e => e.name).filter(name => KUSTOMIZATION_FILE_NAMES.includes(path.posix.basename(name))));
+  if (kustomization !== undefined) {
+    return { type: 'kustomize', dir: dirOf(kustomization) };
+  }
+  if (entries.some(e => e.name.startsWith(`${MANIFESTS_DIR}/`) && /\.ya?ml$/.test(e.name))) {
+    return { type: 'manifests', dir: MANIFESTS_DIR };
+  }
+  return null;
+}
+
+/**
+ * Reads the content of a source entry.
+ * @param {{absolutePath?: string, content?: Buffer|string}} entry - The entry.
+ * @returns {Promise<Buffer>} The content.
+ */
+export async function readEntry(entry) {
+  return entry.absolutePath ? await fs.readFile(entry.absolutePath) : Buffer.from(entry.content);
+}
+
+/**
+ * Renders a Helm chart with `helm template`. The chart files are copied to a temporary
+ * folder first, so charts uploaded as file contents work too.
+ * @param {Array<object>} entries - Source entries.
+ * @param {string} dir - The chart directory.
+ * @param {string} releaseName - The release name.
+ * @param {string} namespace - The release namespace.
+ * @returns {Promise<object[]>} The rendered objects.
+ * @throws {Error} If Helm is not installed or rendering fails.
+ */
+async function renderHelmChart(entries, dir, releaseName, namespace) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gke-mcp-chart-'));
+  try {
+    for (const entry of entries) {
+      if (dir && !entry.name.startsWith(`${dir}/`)) {
+        continue;
+      }
+      const target = path.join(tempDir, dir ? entry.name.slice(dir.length + 1) : entry.name);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, await readEntry(entry));
+    }
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync('helm', ['template', releaseName, tempDir, '--namespace', namespace], { timeout: HELM_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Found a Helm chart in ${dir || 'the source root'}, but the helm binary is not installed on the MCP server. Install Helm, or render the chart into ${MANIFESTS_DIR}/.`);
+      }
+      throw new Error(`helm template failed: ${(error.stderr || error.message).trim()}`);
+    }
+    return parseManifests(stdout, 'helm template output');
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Replaces the image placeholder in every string of an object.
+ * @param {*} value - The value, modified in place when it is an object.
+ * @param {string} imageUrl - The image URL.
+ * @returns {*} The value with the placeholder replaced.
+ */
+function substituteImage(value, imageUrl) {
+  if (typeof value === 'string') {
+    return value.split(IMAGE_PLACEHOLDER).join(imageUrl);
+  }
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      value[key] = substituteImage(value[key], imageUrl);
+    }
+  }
+  return value;
+}
+
+/**
+ * Renders the user-supplied manifests of a deployment: renders the Helm chart, kustomization or
+ * plain manifests, replaces `${IMAGE}` with the built image, validates the objects, labels them
+ * with `created-by: gke-mcp` and the service name, and sorts them in apply order.
+ *
+ * @async
+ * @param {Array<object>} entries - Source entries from `collectSourceFiles`.
+ * @param {ManifestSource} source - The detected source.
+ * @param {object} options - Rendering options.
+ * @param {string} options.serviceName - The service name, also the Helm release name.
+ * @param {string} options.namespace - The default namespace of the objects.
+ * @param {string} options.imageUrl - The built image.
+ * @param {function(object): void} [options.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object[]>} The objects to apply.
+ * @throws {Error} If rendering fails or an object is invalid.
+ */
+export async function renderUserManifests(entries, source, { serviceName, namespace, imageUrl, progressCallback }) {
+  let objects;
+  if (source.type === 'helm') {
+    logAndProgress(`Rendering Helm chart ${source.dir || '.'}...`, progressCallback);
+    objects = await renderHelmChart(entries, source.dir, serviceName, namespace);
+  } else {
+    const contents = new Map();
+    for (const entry of entries) {
+      if (/\.ya?ml$/.test(entry.name) || path.posix.basename(entry.name) === 'Kustomization') {
+        contents.set(entry.name, (await readEntry(entry)).toString('utf8'));
+      }
+    }
+    if (source.type === 'kustomize') {
+      logAndProgress(`Rendering kustomization ${source.dir || '.'}...`, progressCallback);
+      objects = buildKustomization(source.dir, (name) => (contents.has(name) ? contents.get(name) : null));
+    } else {
+      logAndProgress(`Reading manifests from ${source.dir}/...`, progressCallback);
+      objects = [...contents.keys()]
+        .filter(name => name.startsWith(`${source.dir}/`))
+        .sort()
+        .flatMap(name => parseManifests(contents.get(name), name));
+    }
+  }
+
+  if (objects.length === 0) {
+    throw new Error(`No Kubernetes objects found in ${source.dir || 'the source root'}.`);
+  }
+  let usesImage = false;
+  for (const object of objects) {
+    if (!object.apiVersion || !object.kind || !object.metadata || !object.metadata.name) {
+      throw new Error(`Invalid Kubernetes object, apiVersion, kind and metadata.name are required: ${JSON.stringify(object).slice(0, 200)}`);
+    }
+    usesImage = usesImage || podSpecs(object).some(spec => (spec.containers || []).some(c => c.image === IMAGE_PLACEHOLDER));
+    substituteImage(object, imageUrl);
+    object.metadata.namespace = object.metadata.namespace || namespace;
+    object.metadata.labels = { ...object.metadata.labels, 'created-by': 'gke-mcp', [SERVICE_LABEL]: serviceName };
+    // Also label the pods, which the logs tool selects by these labels
+    if (object.kind !== 'Pod' && podSpecs(object).length > 0) {
+      const template = object.kind === 'CronJob' ? object.spec.jobTemplate.spec.template : object.spec.template;
+      template.metadata = template.metadata || {};
+      template.metadata.labels = { ...template.metadata.labels, 'created-by': 'gke-mcp', [SERVICE_LABEL]: serviceName };
+    }
+  }
+  if (!usesImage) {
+    logAndProgress(`No container uses the image placeholder ${IMAGE_PLACEHOLDER}, so the image built from the sources is not deployed. Set "image: ${IMAGE_PLACEHOLDER}" where it should run.`, progressCallback, 'warn');
+  }
+
+  const rank = (kind) => (APPLY_ORDER.includes(kind) ? APPLY_ORDER.indexOf(kind) : APPLY_ORDER.length);
+  return objects.sort((a, b) => rank(a.kind) - rank(b.kind));
+}
@@ -0,0 +1,125 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import YAML from 'yaml';
+
+// Server-populated fields that say nothing about what a deploy changes.
+const IGNORED_METADATA_FIELDS = ['managedFields', 'resourceVersion', 'uid', 'creationTimestamp', 'generation', 'selfLink'];
+const IGNORED_ANNOTATIONS = ['deployment.kubernetes.io/revision', 'kubectl.kubernetes.io/last-applied-configuration'];
+
+// Unchanged lines shown around each change.
+const CONTEXT_LINES = 3;
+// Largest number of cells of the longest common subsequence table, bounding its memory use.
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Removes status and server-populated metadata from a Kubernetes object, for comparison.
+ * @param {object} object - The object.
+ * @returns {object} A cleaned copy.
+ */
+export function withoutServerFields(object) {
+  const copy = structuredClone(object);
+  delete copy.status;
+  for (const field of IGNORED_METADATA_FIELDS) {
+    delete copy.metadata[field];
+  }
+  if (copy.metadata.annotations) {
+    for (const annotation of IGNORED_ANNOTATIONS) {
+      delete copy.metadata.annotations[annotation];
+    }
+    if (Object.keys(copy.metadata.annotations).length === 0) {
+      delete copy.metadata.annotations;
+    }
+  }
+  return copy;
+}
+
+/**
+ * Renders objects as a multi-document YAML string.
+ * @param {object[]} objects - The objects.
+ * @returns {string} The YAML.
+ */
+export function toYaml(objects) {
+  return objects.map(object => YAML.stringify(object)).join('---\n');
+}
+
+/**
+ * Computes a line diff of two values rendered as YAML, in unified diff style:
+ * removed lines start with '-', added lines with '+', and unchanged context lines with ' '.
+ * Changes too large to diff line by line are only summarized with their line counts.
+ * @param {object|null} before - The current value, or null if it does not exist.
+ * @param {object} after - The new value.
+ * @returns {string} The diff, or an empty string if the values render identically.
+ */
+export function diffYaml(before, after) {
+  const a = before ? YAML.stringify(before).trimEnd().split('\n') : [];
+  const b = YAML.stringify(after).trimEnd().split('\n');
+
+  // Lines common to both ends are unchanged, only the lines between them need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+  const removed = a.slice(start, a.length - end);
+  const added = b.slice(start, b.length - end);
+  if ((removed.length + 1) * (added.length + 1) > MAX_LCS_CELLS) {
+    return `changed (${removed.length} lines removed, ${added.length} lines added)`;
+  }
+
+  // Longest common subsequence table, from the end
+  const lcs = Array.from({ length: removed.length + 1 }, () => new Array(added.length + 1).fill(0));
+  for (let i = removed.length - 1; i >= 0; i--) {
+    for (let j = added.length - 1; j >= 0; j--) {
+      lcs[i][j] = removed[i] === added[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = a.slice(0, start).map(text => ({ op: ' ', text }));
+  let i = 0;
+  let j = 0;
+  while (i < removed.length || j < added.length) {
+    if (i < removed.length && j < added.length && removed[i] === added[j]) {
+      lines.push({ op: ' ', text: removed[i++] });
+      j++;
+    } else if (i < removed.length && (j === added.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ op: '-', text: removed[i++] });
+    } else {
+      lines.push({ op: '+', text: added[j++] });
+    }
+  }
+  lines.push(...a.slice(a.length - end).map(text => ({ op: ' ', text })));
+
+  if (!lines.some(line => line.op !== ' ')) {
+    return '';
+  }
+  // Keep only the changes and their context
+  const shown = lines.map((line, index) => lines
+    .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+    .some(near => near.op !== ' '));
+  const output = [];
+  lines.forEach((line, index) => {
+    if (shown[index]) {
+      output.push(`${line.op} ${line.text}`);
+    } else if (index > 0 && shown[index - 1]) {
+      output.push('  ...');
+    }
+  });
+  return output.join('\n');
+}
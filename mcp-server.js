@@ -16,6 +16,7 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
+import { randomUUID } from 'node:crypto';
 import express from 'express';
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
@@ -23,36 +24,180 @@ import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 // Support stdio, as it is easier to use locally
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 import { registerTools, registerToolsRemote } from './tools.js';
 import { checkGCP } from './lib/gcp-metadata.js';
+import { enableLogging } from './lib/progress.js';
 
-const app = express();
 const port = process.env.PORT || 8080;
 
-app.use(express.json());
+/**
+ * Decides whether the server should talk MCP over stdio instead of HTTP.
+ * `--stdio` and `--http` force a mode. Otherwise stdio is used when stdin is
+ * not a TTY (i.e. we were spawned by an MCP client), except on GCP where the
+ * server always runs as a remote HTTP server.
+ * @param {Object|null} gcpInfo - The result of `checkGCP()`.
+ * @returns {boolean} True if the stdio transport should be used.
+ */
+function shouldUseStdio(gcpInfo) {
+  if (process.argv.includes('--stdio')) {
+    return true;
+  }
+  if (process.argv.includes('--http')) {
+    return false;
+  }
+  return !gcpInfo && !process.stdin.isTTY;
+}
+
+/**
+ * In stdio mode stdout carries the MCP protocol, so anything the tools log
+ * with console.log/console.info must go to stderr instead.
+ */
+function makeLoggingCompatibleWithStdio() {
+  console.log = (...args) => console.error(...args);
+  console.info = (...args) => console.error(...args);
+}
+
+/**
+ * Creates an MCP server with the tools matching the environment registered.
+ * @param {Object|null} gcpInfo - The result of `checkGCP()`.
+ * @returns {Promise<McpServer>} The MCP server, not yet connected to a transport.
+ */
+async function createMcpServer(gcpInfo) {
+  const server = new McpServer({
+    name: 'gke-mcp',
+    version: '1.0.0',
+  });
+  enableLogging(server);
+  if (gcpInfo) {
+    await registerToolsRemote(server);
+  } else {
+    registerTools(server);
+  }
+  return server;
+}
+
+/**
+ * Wraps an async Express handler so that its errors answer the request with a JSON-RPC internal error
+ * instead of becoming unhandled rejections, which would stop the server (Express 4 does not catch them).
+ * @param {function(object, object): Promise<void>} handler - The request handler.
+ * @returns {function(object, object): Promise<void>} The wrapped handler.
+ */
+function handleErrors(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`Error handling ${req.method} ${req.path}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          jsonrpc: '2.0',
+          error: { code: -32603, message: `Internal server error: ${error.message}` },
+          id: null,
+        });
+      }
+    }
+  };
+}
 
-// Register tools based on environment
 const gcpInfo = await checkGCP();
-if (gcpInfo) {
-  console.log('Running in GCP environment, registering remote tools...');
-  await registerToolsRemote(app);
+
+if (shouldUseStdio(gcpInfo)) {
+  makeLoggingCompatibleWithStdio();
+  const server = await createMcpServer(gcpInfo);
+  await server.connect(new StdioServerTransport());
+  console.log('GKE MCP server running on stdio');
 } else {
-  console.log('Running locally, registering local tools...');
-  registerTools(app);
-}
+  if (gcpInfo) {
+    console.log('Running in GCP environment, registering remote tools...');
+  } else {
+    console.log('Running locally, registering local tools...');
+  }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).send('OK');
-});
+  const app = express();
+  app.use(express.json());
 
-// Start server
-app.listen(port, () => {
-  console.log(`MCP server listening on port ${port}`);
-});
+  // Streamable HTTP transports, keyed by MCP session ID
+  const streamableTransports = {};
+  // Legacy SSE transports, keyed by SSE session ID
+  const sseTransports = {};
+
+  app.post('/mcp', handleErrors(async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? streamableTransports[sessionId] : undefined;
+
+    if (!transport) {
+      if (sessionId || !isInitializeRequest(req.body)) {
+        res.status(400).json({
+          jsonrpc: '2.0',
+          error: { code: -32000, message: 'Bad Request: No valid session ID provided' },
+          id: null,
+        });
+        return;
+      }
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (newSessionId) => {
+          streamableTransports[newSessionId] = transport;
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          delete streamableTransports[transport.sessionId];
+        }
+      };
+      const server = await createMcpServer(gcpInfo);
+      await server.connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  }));
+
+  // GET opens the server-to-client notification stream, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const transport = sessionId ? streamableTransports[sessionId] : undefined;
+    if (!transport) {
+      res.status(400).send('Invalid or missing session ID');
+      return;
+    }
+    await transport.handleRequest(req, res);
+  };
+  app.get('/mcp', handleErrors(handleSessionRequest));
+  app.delete('/mcp', handleErrors(handleSessionRequest));
+
+  app.get('/sse', handleErrors(async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sseTransports[transport.sessionId] = transport;
+    res.on('close', () => {
+      delete sseTransports[transport.sessionId];
+    });
+    const server = await createMcpServer(gcpInfo);
+    await server.connect(transport);
+  }));
+
+  app.post('/messages', handleErrors(async (req, res) => {
+    const transport = sseTransports[req.query.sessionId];
+    if (!transport) {
+      res.status(400).send(`No SSE session found for sessionId ${req.query.sessionId}`);
+      return;
+    }
+    await transport.handlePostMessage(req, res, req.body);
+  }));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).send('OK');
+  });
+
+  // Start server
+  app.listen(port, () => {
+    console.log(`MCP server listening on port ${port} (Streamable HTTP on /mcp, SSE on /sse)`);
+  });
+}
 
 // Handle server shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down server...');
   process.exit(0);
-});
\ No newline at end of file
+});
@@ -0,0 +1,110 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { buildAutoscalerManifest, validateAutoscaling } from '../lib/gke-manifests.js';
+import { describeAutoscaler, findAutoscaler } from '../lib/gke-scale.js';
+
+/**
+ * Checks which combinations of autoscaling options are accepted.
+ */
+function testValidateAutoscaling() {
+  validateAutoscaling({});
+  validateAutoscaling({ maxReplicas: 5 });
+  validateAutoscaling({ minReplicas: 2, maxReplicas: 2, targetCpuUtilization: 60 });
+  validateAutoscaling({ maxReplicas: 5, customMetric: 'requests_per_second', customMetricTarget: '100' });
+  assert.throws(() => validateAutoscaling({ minReplicas: 2 }), /maxReplicas is required/);
+  assert.throws(() => validateAutoscaling({ targetCpuUtilization: 60 }), /maxReplicas is required/);
+  assert.throws(() => validateAutoscaling({ minReplicas: 6, maxReplicas: 5 }), /must not be greater than maxReplicas/);
+  assert.throws(() => validateAutoscaling({ maxReplicas: 5, customMetric: 'requests_per_second' }), /must be given together/);
+  assert.throws(() => validateAutoscaling({ maxReplicas: 5, customMetricTarget: '100' }), /must be given together/);
+  console.log('validateAutoscaling: OK');
+}
+
+/**
+ * Checks the HorizontalPodAutoscaler built for CPU and custom metrics.
+ */
+function testBuildAutoscalerManifest() {
+  assert.equal(buildAutoscalerManifest('app', 'default', {}), null);
+
+  const cpu = buildAutoscalerManifest('app', 'default', { maxReplicas: 5 });
+  assert.deepEqual(cpu.metadata, { name: 'app', namespace: 'default', labels: { 'created-by': 'gke-mcp', 'gke-mcp/service': 'app' } });
+  assert.deepEqual(cpu.spec.scaleTargetRef, { apiVersion: 'apps/v1', kind: 'Deployment', name: 'app' });
+  assert.equal(cpu.spec.minReplicas, 1);
+  assert.equal(cpu.spec.maxReplicas, 5);
+  assert.deepEqual(cpu.spec.metrics, [
+    { type: 'Resource', resource: { name: 'cpu', target: { type: 'Utilization', averageUtilization: 80 } } },
+  ]);
+
+  const custom = buildAutoscalerManifest('app', 'default', { minReplicas: 2, maxReplicas: 10, customMetric: 'requests_per_second', customMetricTarget: '100' });
+  assert.deepEqual(custom.spec.metrics, [
+    { type: 'Pods', pods: { metric: { name: 'requests_per_second' }, target: { type: 'AverageValue', averageValue: '100' } } },
+  ]);
+  const both = buildAutoscalerManifest('app', 'default', { maxReplicas: 10, targetCpuUtilization: 50, customMetric: 'requests_per_second', customMetricTarget: '100' });
+  assert.deepEqual(both.spec.metrics.map(metric => metric.type), ['Resource', 'Pods']);
+
+  assert.throws(() => buildAutoscalerManifest('app', 'default', { minReplicas: 3, maxReplicas: 2 }), /must not be greater/);
+  console.log('buildAutoscalerManifest: OK');
+}
+
+/**
+ * Checks the autoscaler summary and lookup against a live-like object.
+ */
+async function testDescribeAndFindAutoscaler() {
+  const autoscaler = buildAutoscalerManifest('app', 'default', { maxReplicas: 10, targetCpuUtilization: 50, customMetric: 'requests_per_second', customMetricTarget: '100' });
+  autoscaler.status = {
+    currentReplicas: 3,
+    desiredReplicas: 4,
+    currentMetrics: [
+      { type: 'Resource', resource: { name: 'cpu', current: { averageUtilization: 65 } } },
+    ],
+  };
+  assert.deepEqual(describeAutoscaler(autoscaler), {
+    name: 'app',
+    minReplicas: 1,
+    maxReplicas: 10,
+    currentReplicas: 3,
+    desiredReplicas: 4,
+    metrics: ['cpu: 65% (target 50%)', 'requests_per_second: unknown (target 100)'],
+  });
+
+  const other = buildAutoscalerManifest('worker', 'default', { maxReplicas: 3 });
+  const requested = [];
+  const k8s = {
+    async get(path) {
+      requested.push(path);
+      return { items: [other, autoscaler] };
+    },
+  };
+  assert.equal(await findAutoscaler(k8s, 'default', 'app'), autoscaler);
+  assert.equal(await findAutoscaler(k8s, 'default', 'missing'), undefined);
+  assert.equal(requested[0], '/apis/autoscaling/v2/namespaces/default/horizontalpodautoscalers');
+  console.log('describeAutoscaler and findAutoscaler: OK');
+}
+
+async function main() {
+  try {
+    testValidateAutoscaling();
+    testBuildAutoscalerManifest();
+    await testDescribeAndFindAutoscaler();
+    console.log('\nAutoscaling test completed successfully.');
+  } catch (error) {
+    console.error('Error during autoscaling test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,119 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { buildComposeManifests, composeBuilds, parseCompose } from '../lib/compose.js';
+
+const COMPOSE_FILE = `
+services:
+  web:
+    build: ./web
+    ports:
+      - "80:8080"
+    environment:
+      REDIS_HOST: redis
+    env_file: web.env
+    depends_on:
+      - redis
+    volumes:
+      - ./config/app.conf:/etc/app.conf
+  redis:
+    image: redis:7
+    volumes:
+      - data:/data
+volumes:
+  data:
+`;
+
+const FILES = {
+  'web.env': 'LOG_LEVEL=debug\n',
+  'config/app.conf': 'port = 8080\n',
+};
+
+/**
+ * Checks that a Compose file is parsed into services, with env files merged and well-known ports added.
+ * @returns {Promise<object[]>} The parsed services.
+ */
+async function testParseCompose() {
+  const { services, warnings } = await parseCompose(COMPOSE_FILE, async (name) => FILES[name] ?? null);
+  assert.deepEqual(warnings, []);
+  const web = services.find(s => s.name === 'web');
+  const redis = services.find(s => s.name === 'redis');
+  assert.deepEqual(web.build, { name: 'web', context: 'web', dockerfile: undefined });
+  assert.deepEqual(web.ports, [{ target: 8080, published: 80, protocol: 'TCP' }]);
+  assert.deepEqual(web.environment, { LOG_LEVEL: 'debug', REDIS_HOST: 'redis' });
+  assert.deepEqual(web.dependsOn, ['redis']);
+  assert.deepEqual(redis.ports, [{ target: 6379, protocol: 'TCP' }]);
+  assert.deepEqual(composeBuilds(services).map(build => build.name), ['web']);
+
+  await assert.rejects(parseCompose('services: {}', async () => null), /defines no services/);
+  await assert.rejects(parseCompose('services:\n  Web:\n    image: nginx\n', async () => null), /not a valid Kubernetes name/);
+  await assert.rejects(parseCompose('services:\n  web:\n    image: nginx\n    depends_on: [db]\n', async () => null), /undefined services: db/);
+  console.log('parseCompose: OK');
+  return services;
+}
+
+/**
+ * Checks the Kubernetes objects a parsed Compose file is translated into.
+ * @param {object[]} services - The parsed services.
+ */
+async function testBuildComposeManifests(services) {
+  const entries = Object.keys(FILES).map(name => ({ name }));
+  const manifests = await buildComposeManifests(services, {
+    group: 'shop',
+    namespace: 'default',
+    images: { web: 'europe-west1-docker.pkg.dev/project/repo/web@sha256:1234' },
+    entries,
+    readEntry: async (entry) => Buffer.from(FILES[entry.name]),
+  });
+  const find = (kind, name) => manifests.find(m => m.kind === kind && m.metadata.name === name);
+
+  for (const manifest of manifests) {
+    assert.equal(manifest.metadata.labels['created-by'], 'gke-mcp');
+    assert.equal(manifest.metadata.labels['gke-mcp/service'], 'shop');
+  }
+  assert.deepEqual(find('ConfigMap', 'web-env').data, { LOG_LEVEL: 'debug', REDIS_HOST: 'redis' });
+  assert.equal(find('Service', 'web').spec.type, 'LoadBalancer');
+  assert.deepEqual(find('Service', 'web').spec.ports.map(p => p.port), [80, 8080]);
+  assert.equal(find('Service', 'redis').spec.type, 'ClusterIP');
+  assert.equal(find('PersistentVolumeClaim', 'shop-data').spec.accessModes[0], 'ReadWriteOnce');
+
+  const web = find('Deployment', 'web');
+  const redis = find('Deployment', 'redis');
+  assert.equal(web.spec.template.spec.containers[0].image, 'europe-west1-docker.pkg.dev/project/repo/web@sha256:1234');
+  assert.equal(web.spec.template.spec.initContainers[0].name, 'wait-for-redis');
+  assert.deepEqual(web.spec.template.spec.containers[0].volumeMounts[0], { name: 'volume-0', mountPath: '/etc/app.conf', subPath: 'app.conf', readOnly: true });
+  assert.equal(redis.spec.strategy.type, 'Recreate');
+  // Dependencies are deployed first
+  assert.ok(manifests.indexOf(redis) < manifests.indexOf(web));
+
+  const { services: sharing } = await parseCompose('services:\n  a:\n    image: nginx\n    volumes: [data:/a]\n  b:\n    image: nginx\n    volumes: [data:/b]\nvolumes:\n  data:\n', async () => null);
+  await assert.rejects(buildComposeManifests(sharing, { group: 'shop', namespace: 'default', images: {}, entries: [], readEntry: async () => Buffer.alloc(0) }), /mounted by services a and b/);
+  console.log('buildComposeManifests: OK');
+}
+
+async function main() {
+  try {
+    const services = await testParseCompose();
+    await testBuildComposeManifests(services);
+    console.log('\nCompose test completed successfully.');
+  } catch (error) {
+    console.error('Error during compose test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
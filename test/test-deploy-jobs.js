@@ -0,0 +1,132 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileJobStore, createJobRegistry, createMemoryJobStore } from '../lib/deploy-jobs.js';
+
+/**
+ * Saves a running job and 105 finished jobs, finished in order.
+ * @param {{save: function(object): void}} store - The job store.
+ */
+function saveJobs(store) {
+  store.save({ id: 'running', status: 'running', updatedAt: new Date(0).toISOString() });
+  for (let i = 0; i < 105; i++) {
+    store.save({ id: `job-${i}`, status: i % 2 ? 'succeeded' : 'failed', updatedAt: new Date(1000 * (i + 1)).toISOString() });
+  }
+}
+
+/**
+ * Checks that a store keeps running jobs and only the 100 most recently finished ones.
+ * @param {{load: function(string): (object|null)}} store - The job store, filled by `saveJobs`.
+ */
+function checkRetention(store) {
+  assert.equal(store.load('running').status, 'running');
+  for (let i = 0; i < 5; i++) {
+    assert.equal(store.load(`job-${i}`), null);
+  }
+  for (let i = 5; i < 105; i++) {
+    assert.equal(store.load(`job-${i}`).id, `job-${i}`);
+  }
+  assert.equal(store.load('unknown'), null);
+}
+
+/**
+ * Checks the eviction order of the memory store, and that it hands out copies.
+ */
+function testMemoryJobStore() {
+  const store = createMemoryJobStore();
+  saveJobs(store);
+  checkRetention(store);
+
+  // Saving a job again makes it the most recent
+  const old = store.load('job-5');
+  store.save(old);
+  store.save({ id: 'job-105', status: 'succeeded', updatedAt: new Date().toISOString() });
+  assert.equal(store.load('job-5').id, 'job-5');
+  assert.equal(store.load('job-6'), null);
+
+  // Loaded jobs are copies
+  store.load('job-5').status = 'changed';
+  assert.equal(store.load('job-5').status, 'succeeded');
+  console.log('createMemoryJobStore: OK');
+}
+
+/**
+ * Checks that the file store removes the files of old finished jobs.
+ */
+async function testFileJobStore() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gke-mcp-jobs-'));
+  try {
+    const store = createFileJobStore(dir);
+    saveJobs(store);
+    checkRetention(store);
+    assert.equal((await fs.readdir(dir)).length, 101);
+    // Jobs survive a new store on the same directory
+    assert.equal(createFileJobStore(dir).load('job-104').status, 'failed');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  console.log('createFileJobStore: OK');
+}
+
+/**
+ * Checks that a job still ends, with its state in memory, when the store fails to save it.
+ */
+async function testRegistryWithFailingStore() {
+  const store = createMemoryJobStore();
+  let saves = 0;
+  const failingStore = {
+    save(job) {
+      if (++saves > 1) {
+        throw new Error('disk full');
+      }
+      store.save(job);
+    },
+    load: store.load,
+  };
+  const registry = createJobRegistry(failingStore);
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (...args) => errors.push(args.join(' '));
+  try {
+    const { job, done } = registry.start('unknown-target', { projectId: 'my-project', serviceName: 'app' });
+    assert.equal(job.status, 'running');
+    const finished = await done;
+    assert.equal(finished.status, 'failed');
+    assert.match(finished.error, /unknown-target/);
+  } finally {
+    console.error = consoleError;
+  }
+  assert.ok(errors.some(error => error.includes('disk full')));
+  console.log('createJobRegistry with a failing store: OK');
+}
+
+async function main() {
+  try {
+    testMemoryJobStore();
+    await testFileJobStore();
+    await testRegistryWithFailingStore();
+    console.log('\nDeployment jobs test completed successfully.');
+  } catch (error) {
+    console.error('Error during deployment jobs test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
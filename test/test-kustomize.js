@@ -0,0 +1,116 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { buildKustomization } from '../lib/kustomize.js';
+
+const DEPLOYMENT = `
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: web
+spec:
+  selector:
+    matchLabels:
+      app: web
+  template:
+    metadata:
+      labels:
+        app: web
+    spec:
+      containers:
+        - name: web
+          image: nginx:1.25
+`;
+
+const SERVICE = `
+apiVersion: v1
+kind: Service
+metadata:
+  name: web
+spec:
+  selector:
+    app: web
+  ports:
+    - port: 80
+`;
+
+/**
+ * Returns a `readFile` function serving the given files.
+ * @param {Object<string, string>} files - The file contents by relative path.
+ * @returns {function(string): (string|null)} The reader.
+ */
+function filesReader(files) {
+  return (name) => files[name] ?? null;
+}
+
+/**
+ * Checks that an overlay renders its base with the overlay's namespace, labels, annotations and images.
+ */
+function testOverlay() {
+  const readFile = filesReader({
+    'base/kustomization.yaml': 'resources:\n  - deployment.yaml\n  - service.yaml\n',
+    'base/deployment.yaml': DEPLOYMENT,
+    'base/service.yaml': SERVICE,
+    'overlays/prod/kustomization.yaml': [
+      'namespace: prod',
+      'resources: [../../base]',
+      'commonLabels: {tier: frontend}',
+      'labels: [{pairs: {team: shop}}]',
+      'commonAnnotations: {owner: shop-team}',
+      'images: [{name: nginx, newTag: "1.27"}]',
+    ].join('\n'),
+  });
+  const [deployment, service] = buildKustomization('overlays/prod', readFile);
+
+  assert.equal(deployment.metadata.namespace, 'prod');
+  assert.deepEqual(deployment.metadata.labels, { tier: 'frontend', team: 'shop' });
+  assert.deepEqual(deployment.metadata.annotations, { owner: 'shop-team' });
+  assert.deepEqual(deployment.spec.selector.matchLabels, { app: 'web', tier: 'frontend' });
+  assert.deepEqual(deployment.spec.template.metadata.labels, { app: 'web', tier: 'frontend' });
+  assert.equal(deployment.spec.template.spec.containers[0].image, 'nginx:1.27');
+  assert.deepEqual(service.spec.selector, { app: 'web', tier: 'frontend' });
+  console.log('buildKustomization overlay: OK');
+}
+
+/**
+ * Checks the kustomizations the built-in renderer refuses.
+ */
+function testRejected() {
+  assert.throws(() => buildKustomization('', filesReader({})), /No kustomization file found in the source root/);
+  assert.throws(() => buildKustomization('', filesReader({ 'kustomization.yaml': 'patches: []' })), /not supported: patches/);
+  assert.throws(() => buildKustomization('', filesReader({ 'kustomization.yaml': 'resources: [https://example.com/app]' })), /remote resources are not supported/);
+  assert.throws(() => buildKustomization('app', filesReader({ 'app/kustomization.yaml': 'resources: [../../outside]' })), /outside the deployed files/);
+  assert.throws(() => buildKustomization('a', filesReader({
+    'a/kustomization.yaml': 'resources: [../b]',
+    'b/kustomization.yaml': 'resources: [../a]',
+  })), /Kustomization cycle: a -> b -> a/);
+  assert.throws(() => buildKustomization('', filesReader({ 'kustomization.yaml': 'resources: [.]' })), /Kustomization cycle: \. -> \./);
+  console.log('buildKustomization errors: OK');
+}
+
+function main() {
+  try {
+    testOverlay();
+    testRejected();
+    console.log('\nKustomize test completed successfully.');
+  } catch (error) {
+    console.error('Error during kustomize test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
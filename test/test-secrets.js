@@ -0,0 +1,99 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { buildSecretManifest, mountSecrets, parseSecretReference, redactSecret, secretBindings } from '../lib/gke-secrets.js';
+
+/**
+ * Checks that secret references resolve to full version names, and that malformed ones are rejected.
+ */
+function testParseSecretReference() {
+  assert.equal(parseSecretReference('db-password', 'my-project'), 'projects/my-project/secrets/db-password/versions/latest');
+  assert.equal(parseSecretReference('db-password:3', 'my-project'), 'projects/my-project/secrets/db-password/versions/3');
+  assert.equal(parseSecretReference('projects/other/secrets/api-key', 'my-project'), 'projects/other/secrets/api-key/versions/latest');
+  assert.equal(parseSecretReference('projects/other/secrets/api-key/versions/7', 'my-project'), 'projects/other/secrets/api-key/versions/7');
+  for (const reference of ['', 'db:password:1', 'db-password:0', 'db-password:v1', 'db/password', 'projects/other/secrets/api-key/versions/']) {
+    assert.throws(() => parseSecretReference(reference, 'my-project'), /Invalid secret reference/, reference);
+  }
+  console.log('parseSecretReference: OK');
+}
+
+/**
+ * Checks the bindings of environment variables and files, and the keys they are stored under.
+ */
+function testSecretBindings() {
+  const bindings = secretBindings({
+    DB_PASSWORD: 'db-password',
+    '/etc/tls/key.pem': 'tls-key:2',
+    '/etc/other/key.pem': 'other-key',
+  }, 'my-project');
+  assert.deepEqual(bindings, [
+    { type: 'file', target: '/etc/other/key.pem', version: 'projects/my-project/secrets/other-key/versions/latest', key: 'key.pem' },
+    { type: 'file', target: '/etc/tls/key.pem', version: 'projects/my-project/secrets/tls-key/versions/2', key: 'key.pem-2' },
+    { type: 'env', target: 'DB_PASSWORD', version: 'projects/my-project/secrets/db-password/versions/latest', key: 'DB_PASSWORD' },
+  ]);
+  for (const target of ['1PASSWORD', 'DB PASSWORD', '/etc/tls/', '/etc/../passwd']) {
+    assert.throws(() => secretBindings({ [target]: 'db-password' }, 'my-project'), /Invalid secret target/, target);
+  }
+  console.log('secretBindings: OK');
+}
+
+/**
+ * Checks that secrets are mounted into the Deployment, and that the pod template changes with the versions only.
+ */
+function testMountSecrets() {
+  const bindings = secretBindings({ DB_PASSWORD: 'db-password', '/etc/tls/key.pem': 'tls-key' }, 'my-project');
+  const secret = buildSecretManifest('app', 'default', { DB_PASSWORD: Buffer.from('hunter2'), 'key.pem': Buffer.from('key') });
+  assert.deepEqual(secret.data, { DB_PASSWORD: 'aHVudGVyMg==', 'key.pem': 'a2V5' });
+  assert.deepEqual(redactSecret(secret).data, { DB_PASSWORD: '<redacted>', 'key.pem': '<redacted>' });
+
+  const mounted = (versions) => {
+    const deployment = {
+      spec: { template: { metadata: {}, spec: { containers: [{ name: 'app', env: [{ name: 'DB_PASSWORD', value: 'plain' }] }] } } },
+    };
+    mountSecrets(deployment, secret, bindings, versions);
+    return deployment;
+  };
+  const versions = {
+    DB_PASSWORD: 'projects/123/secrets/db-password/versions/1',
+    'key.pem': 'projects/123/secrets/tls-key/versions/4',
+  };
+  const deployment = mounted(versions);
+  const podSpec = deployment.spec.template.spec;
+  assert.deepEqual(podSpec.containers[0].env, [{ name: 'DB_PASSWORD', valueFrom: { secretKeyRef: { name: 'app-secrets', key: 'DB_PASSWORD' } } }]);
+  assert.deepEqual(podSpec.containers[0].volumeMounts, [{ name: 'gke-mcp-secrets', mountPath: '/etc/tls/key.pem', subPath: 'key.pem', readOnly: true }]);
+  assert.deepEqual(podSpec.volumes, [{ name: 'gke-mcp-secrets', secret: { secretName: 'app-secrets' } }]);
+
+  const hash = deployment.spec.template.metadata.annotations['gke-mcp/secrets-hash'];
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.equal(mounted({ ...versions }).spec.template.metadata.annotations['gke-mcp/secrets-hash'], hash);
+  assert.notEqual(mounted({ ...versions, DB_PASSWORD: 'projects/123/secrets/db-password/versions/2' }).spec.template.metadata.annotations['gke-mcp/secrets-hash'], hash);
+  console.log('mountSecrets: OK');
+}
+
+function main() {
+  try {
+    testParseSecretReference();
+    testSecretBindings();
+    testMountSecrets();
+    console.log('\nSecrets test completed successfully.');
+  } catch (error) {
+    console.error('Error during secrets test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,98 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { isSecretFile, listFolderFiles } from '../lib/source-ignore.js';
+
+// Files of the folder to deploy, by relative path.
+const FILES = {
+  '.gitignore': 'dist/\n*.log\n!keep.log\n',
+  '.dockerignore': 'Dockerfile\n',
+  'Dockerfile': 'FROM node:20\n',
+  'server.js': 'console.log("hello");\n',
+  'debug.log': 'noise\n',
+  'keep.log': 'kept\n',
+  '.env': 'API_KEY=secret\n',
+  '.env.example': 'API_KEY=\n',
+  'dist/bundle.js': 'bundled\n',
+  'node_modules/express/index.js': 'module.exports = {};\n',
+  'config/.gitignore': 'local.json\n',
+  'config/local.json': '{}\n',
+  'config/default.json': '{}\n',
+  'config/tls/server.key': 'key\n',
+};
+
+/**
+ * Checks the secret deny-list on its own.
+ */
+function testIsSecretFile() {
+  for (const file of ['.env', '.env.production', 'certs/server.pem', 'id_rsa.pub', 'my-service-account-key.json', 'infra/terraform.tfstate']) {
+    assert.ok(isSecretFile(file), file);
+  }
+  for (const file of ['.env.example', 'server.js', 'package.json', 'docs/keys.md']) {
+    assert.ok(!isSecretFile(file), file);
+  }
+  console.log('isSecretFile: OK');
+}
+
+/**
+ * Checks which files of a folder are uploaded, and how the excluded ones are reported.
+ */
+async function testListFolderFiles() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gke-mcp-sources-'));
+  try {
+    for (const [name, content] of Object.entries(FILES)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    const { files, excluded } = listFolderFiles(dir);
+    assert.deepEqual(files.map(file => file.relativePath), [
+      '.dockerignore',
+      '.env.example',
+      '.gitignore',
+      'config/.gitignore',
+      'config/default.json',
+      'Dockerfile',
+      'keep.log',
+      'server.js',
+    ]);
+    assert.equal(files.find(file => file.relativePath === 'server.js').absolutePath, path.join(dir, 'server.js'));
+    // Excluded folders are reported without walking their contents
+    assert.deepEqual(excluded.directories, ['dist', 'node_modules']);
+    const excludedFiles = ['.env', 'config/local.json', 'config/tls/server.key', 'debug.log'];
+    assert.equal(excluded.count, excludedFiles.length);
+    assert.equal(excluded.bytes, excludedFiles.reduce((total, name) => total + FILES[name].length, 0));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  console.log('listFolderFiles: OK');
+}
+
+async function main() {
+  try {
+    testIsSecretFile();
+    await testListFolderFiles();
+    console.log('\nSource ignore test completed successfully.');
+  } catch (error) {
+    console.error('Error during source ignore test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,110 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { summarizeService } from '../lib/cloud-run-services.js';
+import { summarizeCluster } from '../lib/gke-clusters.js';
+
+/**
+ * Checks the summary of clusters as returned by the GKE API, fully and sparsely populated.
+ */
+function testSummarizeCluster() {
+  assert.deepEqual(summarizeCluster({
+    name: 'default-cluster',
+    location: 'europe-west1',
+    autopilot: { enabled: true },
+    status: 'RUNNING',
+    currentMasterVersion: '1.30.5-gke.1014001',
+    releaseChannel: { channel: 'REGULAR' },
+    endpoint: '34.76.1.2',
+    currentNodeCount: 3,
+    nodePools: [
+      { name: 'pool-1', config: { machineType: 'e2-standard-4' }, initialNodeCount: 1, autoscaling: { enabled: true, minNodeCount: 1, maxNodeCount: 5 } },
+      { name: 'pool-2', initialNodeCount: 2, autoscaling: { enabled: false } },
+    ],
+    resourceLabels: { 'created-by': 'gke-mcp' },
+    workloadIdentityConfig: { workloadPool: 'my-project.svc.id.goog' },
+  }), {
+    name: 'default-cluster',
+    location: 'europe-west1',
+    locationType: 'regional',
+    autopilot: true,
+    status: 'RUNNING',
+    version: '1.30.5-gke.1014001',
+    releaseChannel: 'REGULAR',
+    endpoint: '34.76.1.2',
+    nodeCount: 3,
+    nodePools: [
+      { name: 'pool-1', machineType: 'e2-standard-4', nodeCount: 1, autoscaling: { minNodeCount: 1, maxNodeCount: 5 } },
+      { name: 'pool-2', machineType: undefined, nodeCount: 2, autoscaling: undefined },
+    ],
+    labels: { 'created-by': 'gke-mcp' },
+    workloadPool: 'my-project.svc.id.goog',
+  });
+
+  const provisioning = summarizeCluster({ name: 'zonal', location: 'europe-west1-b', status: 'PROVISIONING', releaseChannel: { channel: 'UNSPECIFIED' }, endpoint: '' });
+  assert.equal(provisioning.locationType, 'zonal');
+  assert.equal(provisioning.autopilot, false);
+  assert.equal(provisioning.releaseChannel, undefined);
+  assert.equal(provisioning.endpoint, undefined);
+  assert.equal(provisioning.nodeCount, 0);
+  assert.deepEqual(provisioning.nodePools, []);
+  assert.deepEqual(provisioning.labels, {});
+  console.log('summarizeCluster: OK');
+}
+
+/**
+ * Checks the summary of services as returned by the Cloud Run API.
+ */
+function testSummarizeService() {
+  assert.deepEqual(summarizeService({
+    name: 'projects/my-project/locations/europe-west1/services/web',
+    uri: 'https://web-abc123-ew.a.run.app',
+    latestReadyRevision: 'projects/my-project/locations/europe-west1/services/web/revisions/web-00003-xyz',
+    updateTime: { seconds: '1735689600', nanos: 0 },
+    labels: { 'created-by': 'gke-mcp' },
+  }), {
+    name: 'web',
+    region: 'europe-west1',
+    url: 'https://web-abc123-ew.a.run.app',
+    latestReadyRevision: 'web-00003-xyz',
+    updateTime: '2025-01-01T00:00:00.000Z',
+    labels: { 'created-by': 'gke-mcp' },
+  });
+
+  assert.deepEqual(summarizeService({ name: 'projects/my-project/locations/us-central1/services/new', uri: '', latestReadyRevision: '' }), {
+    name: 'new',
+    region: 'us-central1',
+    url: undefined,
+    latestReadyRevision: undefined,
+    updateTime: undefined,
+    labels: {},
+  });
+  console.log('summarizeService: OK');
+}
+
+function main() {
+  try {
+    testSummarizeCluster();
+    testSummarizeService();
+    console.log('\nSummaries test completed successfully.');
+  } catch (error) {
+    console.error('Error during summaries test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,72 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { buildServiceAccountManifest, requireWorkloadPool, serviceAccountOf } from '../lib/gke-workload-identity.js';
+
+// IAM account IDs: 6 to 30 characters, lowercase letters, digits and '-', starting with a letter.
+const ACCOUNT_ID_REGEX = /^[a-z][a-z0-9-]{4,28}[a-z0-9]$/;
+
+/**
+ * Checks the Google service account names derived from the namespace and service name.
+ */
+function testServiceAccountOf() {
+  assert.deepEqual(serviceAccountOf('my-project', 'default', 'web'), { accountId: 'gke-web', email: 'gke-web@my-project.iam.gserviceaccount.com' });
+  assert.equal(serviceAccountOf('my-project', 'shop', 'web').accountId, 'gke-shop-web');
+  assert.equal(serviceAccountOf('my-project', 'default', 'a').accountId, 'gke-a-sa');
+
+  const long = serviceAccountOf('my-project', 'payments-production', 'checkout-frontend');
+  assert.match(long.accountId, ACCOUNT_ID_REGEX);
+  assert.ok(long.accountId.startsWith('gke-payments-production'));
+  // Shortened names stay distinct
+  const other = serviceAccountOf('my-project', 'payments-production', 'checkout-backend');
+  assert.notEqual(other.accountId, long.accountId);
+  // Hashing never leaves a dangling '-' before the hash
+  assert.doesNotMatch(serviceAccountOf('my-project', 'payments-prod-eu-1', 'checkout').accountId, /--/);
+  console.log('serviceAccountOf: OK');
+}
+
+/**
+ * Checks the Kubernetes ServiceAccount and the Workload Identity check of a cluster.
+ */
+function testServiceAccountManifest() {
+  const { email } = serviceAccountOf('my-project', 'shop', 'web');
+  const manifest = buildServiceAccountManifest('web', 'shop', email);
+  assert.deepEqual(manifest.metadata, {
+    name: 'web',
+    namespace: 'shop',
+    labels: { 'created-by': 'gke-mcp', 'gke-mcp/service': 'web' },
+    annotations: { 'iam.gke.io/gcp-service-account': 'gke-shop-web@my-project.iam.gserviceaccount.com' },
+  });
+
+  const cluster = { name: 'default-cluster', location: 'europe-west1' };
+  assert.equal(requireWorkloadPool({ ...cluster, workloadIdentityConfig: { workloadPool: 'my-project.svc.id.goog' } }, 'my-project'), 'my-project.svc.id.goog');
+  assert.throws(() => requireWorkloadPool(cluster, 'my-project'), /Workload Identity is not enabled on GKE cluster default-cluster/);
+  console.log('buildServiceAccountManifest and requireWorkloadPool: OK');
+}
+
+function main() {
+  try {
+    testServiceAccountOf();
+    testServiceAccountManifest();
+    console.log('\nWorkload Identity test completed successfully.');
+  } catch (error) {
+    console.error('Error during Workload Identity test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,110 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import assert from 'assert/strict';
+import { diffYaml, withoutServerFields } from '../lib/yaml-diff.js';
+
+/**
+ * Checks the unified diff of two values: changed lines with their context, and nothing for equal values.
+ */
+function testDiffYaml() {
+  const before = { replicas: 1, containers: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'], image: 'app:1' };
+  const after = { replicas: 1, containers: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'], image: 'app:2' };
+  assert.equal(diffYaml(before, after), [
+    '    - g',
+    '    - h',
+    '    - i',
+    '- image: app:1',
+    '+ image: app:2',
+  ].join('\n'));
+
+  const moved = { ...after, containers: ['a', 'b', 'c', 'd', 'x', 'f', 'g', 'h', 'i'] };
+  assert.equal(diffYaml(after, moved), [
+    '    - b',
+    '    - c',
+    '    - d',
+    '-   - e',
+    '+   - x',
+    '    - f',
+    '    - g',
+    '    - h',
+    '  ...',
+  ].join('\n'));
+
+  assert.equal(diffYaml(before, structuredClone(before)), '');
+  assert.equal(diffYaml(null, { a: 1 }), '+ a: 1');
+  console.log('diffYaml: OK');
+}
+
+/**
+ * Checks that changes too large for the LCS table are summarized.
+ */
+function testLargeDiff() {
+  const large = (offset) => Object.fromEntries(Array.from({ length: 2500 }, (_, i) => [`key${i}`, i + offset]));
+  assert.equal(diffYaml(large(0), large(1)), 'changed (2500 lines removed, 2500 lines added)');
+
+  // Only the lines between the common start and end count
+  const edited = { ...large(0), key1000: 'changed' };
+  assert.equal(diffYaml(large(0), edited).split('\n').filter(line => /^[-+]/.test(line)).length, 2);
+  console.log('diffYaml large changes: OK');
+}
+
+/**
+ * Checks that status and server-populated metadata are removed without changing the original.
+ */
+function testWithoutServerFields() {
+  const live = {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: {
+      name: 'app',
+      uid: '1234',
+      resourceVersion: '42',
+      generation: 3,
+      creationTimestamp: '2025-01-01T00:00:00Z',
+      managedFields: [{ manager: 'gke-mcp' }],
+      labels: { app: 'app' },
+      annotations: { 'kubectl.kubernetes.io/last-applied-configuration': '{}' },
+    },
+    data: { key: 'value' },
+    status: { phase: 'Active' },
+  };
+  assert.deepEqual(withoutServerFields(live), {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: { name: 'app', labels: { app: 'app' } },
+    data: { key: 'value' },
+  });
+  assert.equal(live.metadata.uid, '1234');
+
+  const annotated = { metadata: { name: 'app', annotations: { 'deployment.kubernetes.io/revision': '2', owner: 'shop' } } };
+  assert.deepEqual(withoutServerFields(annotated).metadata.annotations, { owner: 'shop' });
+  console.log('withoutServerFields: OK');
+}
+
+function main() {
+  try {
+    testDiffYaml();
+    testLargeDiff();
+    testWithoutServerFields();
+    console.log('\nYAML diff test completed successfully.');
+  } catch (error) {
+    console.error('Error during YAML diff test:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
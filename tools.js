@@ -15,10 +15,857 @@ limitations under the License.
 */
 
 import { z } from "zod";
-import { deploy } from './lib/gke-deploy.js';
-import { listClusters, getCluster } from './lib/gke-clusters.js';
+import { deployJobs } from './lib/deploy-jobs.js';
+import { ensureApisEnabled } from './lib/build-pipeline.js';
+import { deleteFrom, planDeployTo, statusOf } from './lib/deploy-targets.js';
+import { getServiceLogs } from './lib/gke-logs.js';
+import { diagnoseService } from './lib/gke-diagnose.js';
+import { scaleService } from './lib/gke-scale.js';
+import { listDeploymentRevisions, rollback } from './lib/gke-deploy.js';
+import { listClusters, getCluster, createCluster, deleteCluster, CLUSTER_STATUSES } from './lib/gke-clusters.js';
+import { listServices, getService } from './lib/cloud-run-services.js';
 import { listProjects, createProjectAndAttachBilling } from './lib/gcp-projects.js';
 import { checkGCP } from './lib/gcp-metadata.js';
+import { createToolProgressCallback } from './lib/progress.js';
+
+// Kubernetes resource quantities, e.g. "250m", "0.5", "512Mi" or "1G"
+const QUANTITY_REGEX = /^[0-9]+(\.[0-9]+)?(m|k|M|G|T|P|E|Ki|Mi|Gi|Ti|Pi|Ei)?$/;
+const ENV_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+// Kubernetes namespace names are RFC 1123 DNS labels
+const NAMESPACE_REGEX = /^[a-z0-9]([-a-z0-9]{0,61}[a-z0-9])?$/;
+
+const namespaceParam = z.string().regex(NAMESPACE_REGEX, 'Namespace must be a lowercase RFC 1123 DNS label').optional().default('default').describe('Kubernetes namespace to deploy into. Created if it does not exist.');
+
+// Optional workload parameters shared by the GKE deploy tools
+const workloadParams = {
+  replicas: z.number().int().min(0).max(100).optional().describe('Number of pod replicas. Defaults to 1. Ignored when maxReplicas enables autoscaling.'),
+  minReplicas: z.number().int().min(1).max(100).optional().describe('Minimum number of replicas when autoscaling. Defaults to 1.'),
+  maxReplicas: z.number().int().min(1).max(100).optional().describe('Maximum number of replicas. Enables autoscaling with a HorizontalPodAutoscaler, on CPU utilization unless a custom metric is given.'),
+  targetCpuUtilization: z.number().int().min(1).max(100).optional().describe('Target average CPU utilization of the pods when autoscaling, in percent of cpuRequest. Defaults to 80 unless only a custom metric is given.'),
+  customMetric: z.string().optional().describe('Name of a per-pod custom metric to autoscale on (e.g. "requests_per_second"). Needs a custom metrics adapter in the cluster (e.g. Google Cloud Managed Service for Prometheus).'),
+  customMetricTarget: z.string().regex(QUANTITY_REGEX, 'Invalid metric value').optional().describe('Target average value of the custom metric per pod (e.g. "100")'),
+  containerPort: z.number().int().min(1).max(65535).optional().describe('Port the application listens on inside the container. Defaults to 8080. Also exposed to the app as the PORT environment variable unless env sets PORT.'),
+  servicePort: z.number().int().min(1).max(65535).optional().describe('Port exposed by the service load balancer. Defaults to 80.'),
+  env: z.record(z.string().regex(ENV_NAME_REGEX, 'Invalid environment variable name'), z.string()).optional().describe('Environment variables for the container (e.g. {"DATABASE_URL": "postgres://..."})'),
+  cpuRequest: z.string().regex(QUANTITY_REGEX, 'Invalid CPU quantity').optional().describe('CPU request (e.g. "250m" or "1")'),
+  memoryRequest: z.string().regex(QUANTITY_REGEX, 'Invalid memory quantity').optional().describe('Memory request (e.g. "512Mi")'),
+  cpuLimit: z.string().regex(QUANTITY_REGEX, 'Invalid CPU quantity').optional().describe('CPU limit (e.g. "500m")'),
+  memoryLimit: z.string().regex(QUANTITY_REGEX, 'Invalid memory quantity').optional().describe('Memory limit (e.g. "1Gi")'),
+  readinessPath: z.string().startsWith('/').optional().describe('HTTP path of the readiness probe (e.g. "/healthz"). No readiness probe if omitted.'),
+  livenessPath: z.string().startsWith('/').optional().describe('HTTP path of the liveness probe (e.g. "/healthz"). No liveness probe if omitted.'),
+  command: z.array(z.string()).optional().describe('Overrides the container entrypoint (e.g. ["node"])'),
+  args: z.array(z.string()).optional().describe('Overrides the container arguments (e.g. ["server.js", "--verbose"])'),
+};
+
+// Hostnames such as "app.example.com"
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9]([-a-z0-9]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Optional exposure parameters shared by the GKE deploy tools
+const exposureParams = {
+  expose: z.enum(['loadbalancer', 'ingress', 'gateway']).optional().default('loadbalancer').describe('How to expose the service: "loadbalancer" (default) gives it its own external IP through a LoadBalancer Service, "ingress" through its own GKE Ingress (HTTP(S) load balancer), "gateway" through a route on a Gateway shared by all the services of the cluster.'),
+  domain: z.string().toLowerCase().regex(DOMAIN_REGEX, 'Invalid domain name').optional().describe('Custom domain of the service (e.g. "app.example.com"), served over HTTPS with a Google-managed certificate. Requires expose "ingress" or "gateway". The domain must point to the returned IP address.'),
+  path: z.string().startsWith('/').optional().describe('Path prefix routed to the service with expose "ingress" or "gateway" (e.g. "/api"). Defaults to "/".'),
+};
+
+const secretsParam = z.record(
+  z.string().regex(/^([A-Za-z_][A-Za-z0-9_.-]*|(\/[^/]+)+)$/, 'Use an environment variable name or the absolute path of a file'),
+  z.string(),
+).optional().describe('GKE only. Secrets read from Secret Manager at deploy time into a Kubernetes Secret, keyed by environment variable name or by absolute file path in the container, with the Secret Manager secret as value: "secret" (latest version), "secret:version" or "projects/PROJECT/secrets/SECRET/versions/VERSION" (e.g. {"API_KEY": "api-key", "/etc/app/credentials.json": "app-credentials:3"}). Use this instead of writing credentials into the files. Values are never shown.');
+
+// Workload Identity parameters shared by the GKE deploy tools
+const identityParams = {
+  workloadIdentity: z.boolean().optional().default(false).describe('GKE only. Run the pods as a Google service account of the service (gke-<service>, created if missing) through Workload Identity, instead of the node credentials. The cluster must have Workload Identity enabled.'),
+  iamRoles: z.array(z.string().regex(/^(roles|(projects|organizations)\/[^/]+\/roles)\/[A-Za-z0-9_.]+$/, 'Invalid IAM role')).optional().describe('IAM roles to grant on the project to the Google service account of the service (e.g. ["roles/storage.objectViewer", "roles/pubsub.publisher"]). Implies workloadIdentity. Roles are never revoked by later deploys.'),
+};
+
+// GKE cluster names: lowercase letters, digits and hyphens, starting with a letter, at most 40 characters
+const CLUSTER_NAME_REGEX = /^[a-z]([-a-z0-9]{0,38}[a-z0-9])?$/;
+
+// Options of the create_cluster tools
+const clusterParams = {
+  cluster: z.string().regex(CLUSTER_NAME_REGEX, 'Cluster names use lowercase letters, digits and hyphens, start with a letter and have at most 40 characters').optional().default('default-cluster').describe('Name of the GKE cluster to create'),
+  autopilot: z.boolean().optional().default(true).describe('Create an Autopilot cluster (default), whose nodes are provisioned and managed by GKE and billed per pod. Set to false for a Standard cluster with a fixed node pool.'),
+  nodeCount: z.number().int().min(1).max(100).optional().describe('Standard clusters only. Number of nodes per zone (a regional cluster has 3 zones). Defaults to 1.'),
+  machineType: z.string().optional().describe('Standard clusters only. Machine type of the nodes. Defaults to "e2-medium".'),
+  releaseChannel: z.enum(['RAPID', 'REGULAR', 'STABLE']).optional().default('REGULAR').describe('Release channel for automatic GKE version upgrades'),
+  privateNodes: z.boolean().optional().default(false).describe('Give the nodes internal IP addresses only. Pods then need Cloud NAT to reach the internet.'),
+};
+
+// Pagination parameters of the list tools
+const paginationParams = {
+  pageSize: z.number().int().min(1).max(500).optional().default(50).describe('Maximum number of results to return'),
+  pageToken: z.string().optional().describe('nextPageToken of the previous page, to list the next one'),
+};
+
+// Filters of the list_clusters tools
+const clusterFilterParams = {
+  labels: z.record(z.string()).optional().describe('Only list clusters with all these resource labels, e.g. {"env": "prod"}'),
+  status: z.enum(CLUSTER_STATUSES).optional().describe('Only list clusters with this status'),
+};
+
+// Structured output of the list_clusters tools
+const clusterListOutput = {
+  project: z.string(),
+  location: z.string().describe('The listed location, "-" for all locations'),
+  clusters: z.array(z.object({
+    name: z.string(),
+    location: z.string(),
+    locationType: z.enum(['regional', 'zonal']),
+    autopilot: z.boolean(),
+    status: z.string(),
+    version: z.string().optional(),
+    releaseChannel: z.string().optional(),
+    endpoint: z.string().optional(),
+    nodeCount: z.number(),
+    nodePools: z.array(z.object({
+      name: z.string(),
+      machineType: z.string().optional(),
+      nodeCount: z.number().describe('Initial number of nodes per zone'),
+      autoscaling: z.object({ minNodeCount: z.number(), maxNodeCount: z.number() }).optional(),
+    })),
+    labels: z.record(z.string()),
+    workloadPool: z.string().optional(),
+  })),
+  nextPageToken: z.string().optional(),
+  unreachableLocations: z.array(z.string()).describe('Zones whose clusters could not be listed'),
+};
+
+// Structured output of the list_cloud_run_services tools
+const serviceListOutput = {
+  project: z.string(),
+  location: z.string().describe('The listed region, "-" for all regions'),
+  services: z.array(z.object({
+    name: z.string(),
+    region: z.string(),
+    url: z.string().optional(),
+    latestReadyRevision: z.string().optional(),
+    updateTime: z.string().optional(),
+    labels: z.record(z.string()),
+  })),
+  nextPageToken: z.string().optional(),
+};
+
+const createClusterIfMissingParam = z.boolean().optional().default(false).describe('GKE only. Create the cluster as an Autopilot cluster if it does not exist, which takes 5 to 15 minutes. Only set this when the user agreed to create a cluster.');
+
+const targetParam = z.enum(['gke', 'cloud-run']).optional().default('gke').describe('Where to deploy: "gke" (default) runs the service on a GKE cluster, "cloud-run" deploys it as a Cloud Run service. Cluster, namespace, workload and exposure parameters only apply to GKE and are rejected for "cloud-run". On GKE, a Helm chart (Chart.yaml), a kustomization.yaml or manifests in a k8s/ folder among the files are applied instead of the generated Deployment and Service, with image: ${IMAGE} replaced by the built image. Otherwise a docker-compose.yml at the root is translated into one Deployment per Compose service, with an image built for each service with a build.');
+
+const revisionParam = z.number().int().positive().optional().describe('Revision to roll back to, from list_deployment_revisions. Defaults to the revision before the latest one.');
+
+const deletionParams = {
+  purgeImages: z.boolean().optional().default(false).describe('Also delete the images of the service from Artifact Registry'),
+  purgeSource: z.boolean().optional().default(false).describe('Also delete the source archives of the service from Cloud Storage'),
+  confirm: z.string().optional().describe('Set to the service name, after the user has reviewed the list of resources returned by a first call without it, to actually delete them'),
+};
+
+// Parameters of the scale_service tools
+const scaleParams = {
+  deployment: z.string().optional().describe('Deployment to scale, for services with several (e.g. Compose services). Defaults to the deployment of the service.'),
+  replicas: z.number().int().min(0).max(100).optional().describe('Number of replicas, for services deployed without autoscaling. Lasts until the next deploy.'),
+  minReplicas: z.number().int().min(1).max(100).optional().describe('New minimum number of replicas, for autoscaled services'),
+  maxReplicas: z.number().int().min(1).max(100).optional().describe('New maximum number of replicas, for autoscaled services'),
+  rolloutTimeoutSeconds: z.number().int().positive().optional().describe('Maximum time in seconds to wait for the pods to become ready. Defaults to 600.'),
+};
+
+const logParams = {
+  tailLines: z.number().int().min(1).max(5000).optional().default(100).describe('Number of log lines to return per container'),
+  sinceSeconds: z.number().int().positive().optional().describe('Only return logs from the last N seconds'),
+  includePrevious: z.boolean().optional().default(true).describe('Also return the logs of the previous instance of containers that restarted or crashed'),
+};
+
+const planParam = z.boolean().optional().default(false).describe('Only report what the deployment would do (APIs to enable, bucket and repository to create, rendered manifests and a dry-run diff against the live resources) without building or changing anything');
+const asyncParam = z.boolean().optional().default(false).describe('Return a deployment job ID immediately instead of waiting for the deployment to finish. Follow it with get_deployment_status.');
+const jobIdParam = z.string().describe('Deployment job ID returned by a deploy tool');
+const logLinesParam = z.number().int().min(0).max(200).optional().default(20).describe('Number of recent log messages to include');
+
+const fileContentsParam = z.array(z.object({
+  filename: z.string().describe('Name and path of the file (e.g. "src/index.js" or "data/config.json")'),
+  content: z.string().describe('Text content of the file'),
+}));
+
+/**
+ * Formats the text returned by the deploy tools after a successful deployment.
+ * @param {string} target - The deploy target name.
+ * @param {object} options - The options passed to the deploy target.
+ * @param {object} response - The result of the deployment.
+ * @param {string} [source] - Description of what was deployed (e.g. "folder /src").
+ * @returns {string} The tool response text.
+ */
+function formatDeployResult(target, { projectId, region, serviceName }, response, source) {
+  const from = source ? ` from ${source}` : '';
+  if (target === 'cloud-run') {
+    return `Cloud Run service ${serviceName} deployed${from} in project ${projectId}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${serviceName}?project=${projectId}\nService URL: ${response.url}\nImage: ${response.image}${response.reusedImage ? ' (reused, build skipped)' : ''}`;
+  }
+  const manifests = response.source && response.source !== 'generated' ? ` (${response.source} manifests)` : '';
+  return `GKE service ${serviceName} deployed${from} to namespace ${response.namespace} in project ${projectId}\nCloud Console: https://console.cloud.google.com/kubernetes/workload/overview?project=${projectId}\nService URL: ${response.url || 'none, no LoadBalancer Service'}\nImage: ${response.image}${response.reusedImage ? ' (reused, build skipped)' : ''}\nRevision: ${response.revision}${manifests}\nApplied: ${response.applied.join(', ')}\nReady replicas: ${response.readyReplicas}/${response.desiredReplicas}\nRollout time: ${response.elapsedSeconds}s${response.dnsInstructions ? `\n${response.dnsInstructions}` : ''}`;
+}
+
+/**
+ * Describes the MCP client and session of a tool call, for the deployment history.
+ * @param {object} server - The MCP server.
+ * @param {object} extra - The `extra` argument of the tool call.
+ * @returns {{client?: string, sessionId?: string}} The caller.
+ */
+function describeCaller(server, extra) {
+  const client = server.server.getClientVersion();
+  return {
+    client: client ? `${client.name} ${client.version}` : undefined,
+    sessionId: extra && extra.sessionId,
+  };
+}
+
+/**
+ * Deploys through the selected target and wraps the outcome in a tool response.
+ * Every deploy runs as a job of the deploy job registry. By default the tool waits for it,
+ * streaming build logs and deploy progress to the client as notifications; with `runAsync`
+ * it returns the job ID immediately.
+ * @param {string} target - The deploy target name ('gke' or 'cloud-run').
+ * @param {object} options - The deploy options.
+ * @param {{server: object, extra: object, runAsync?: boolean, plan?: boolean}} call - The MCP server, the `extra`
+ * argument of the tool call, whether to return without waiting and whether to only plan the deployment.
+ * @param {string} [source] - Description of what was deployed, for the response text.
+ * @returns {Promise<object>} The tool response.
+ */
+async function deployAndRespond(target, options, { server, extra, runAsync = false, plan = false }, source) {
+  if (plan) {
+    return await planResponse(target, options);
+  }
+  options = { ...options, deployedBy: describeCaller(server, extra) };
+  if (runAsync) {
+    const { job } = deployJobs.start(target, options);
+    return {
+      content: [{
+        type: 'text',
+        text: `Deployment job ${job.id} started for service ${options.serviceName}.\nUse get_deployment_status with this job ID to follow it, or cancel_deployment to stop it.`,
+      }],
+    };
+  }
+
+  const { job, done } = deployJobs.start(target, { ...options, progressCallback: createToolProgressCallback(server, extra) });
+  const finished = await done;
+  if (finished.status !== 'succeeded') {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error deploying to ${target === 'cloud-run' ? 'Cloud Run' : 'GKE'}: ${finished.error}\nJob ID: ${job.id}`,
+      }],
+      isError: true,
+    };
+  }
+  return {
+    content: [{
+      type: 'text',
+      text: `${formatDeployResult(target, options, finished.result, source)}\nJob ID: ${job.id}`,
+    }],
+  };
+}
+
+/**
+ * Plans a deployment and wraps the plan in a tool response.
+ * @param {string} target - The deploy target name ('gke' or 'cloud-run').
+ * @param {object} options - The deploy options.
+ * @returns {Promise<object>} The tool response.
+ */
+async function planResponse(target, options) {
+  try {
+    const plan = await planDeployTo(target, options);
+    const existence = (exists) => (exists === null ? 'unknown, its API is not enabled' : exists ? 'exists' : 'would be created');
+    const lines = [
+      `Plan for deploying service ${options.serviceName} (${plan.target}) in project ${options.projectId}. Nothing was changed.`,
+      `APIs to enable: ${plan.disabledApis.length > 0 ? plan.disabledApis.join(', ') : 'none'}`,
+      `Source bucket gs://${plan.bucket.name}: ${existence(plan.bucket.exists)}`,
+      `Artifact Registry repository ${plan.repository.id}: ${existence(plan.repository.exists)}`,
+      `Source files: ${plan.sourceFiles}`,
+      ...Object.entries(plan.images || { '': plan.image }).map(([name, image]) => (image.reused
+        ? `Image${name ? ` ${name}` : ''}: ${image.url} (already built from these sources, the build would be skipped)`
+        : `Image${name ? ` ${name}` : ''}: ${image.url} (would be built with Cloud Build, then deployed by digest)`)),
+      'Resources:',
+    ];
+    for (const change of plan.resources) {
+      lines.push(`- ${change.resource}: ${change.action}${change.validation ? ` (validation ${change.validation})` : ''}`);
+      if (change.diff) {
+        lines.push(change.diff.split('\n').map(line => `    ${line}`).join('\n'));
+      }
+    }
+    lines.push('Manifests:', plan.manifests);
+    return {
+      content: [{
+        type: 'text',
+        text: lines.join('\n'),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error planning deployment: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Formats a deploy job for a tool response.
+ * @param {import('./lib/deploy-jobs.js').DeployJob} job - The job.
+ * @param {number} logLines - How many of the most recent progress messages to include.
+ * @returns {string} The response text.
+ */
+function formatDeployJob(job, logLines) {
+  const lines = [
+    `Job ID: ${job.id}`,
+    `Service: ${job.serviceName} (${job.target}, project ${job.projectId})`,
+    `Status: ${job.status}`,
+    `Stage: ${job.stage || 'not started'}`,
+    `Stages: ${job.stages.map(stage => `${stage.name} (${stage.startedAt})`).join(' -> ') || 'none'}`,
+    `Started: ${job.createdAt}`,
+    `Updated: ${job.updatedAt}`,
+  ];
+  if (job.error) {
+    lines.push(`Error: ${job.error}`);
+  }
+  if (job.result) {
+    lines.push(`Result: ${JSON.stringify({ ...job.result, service: undefined })}`);
+  }
+  const logs = logLines > 0 ? job.logs.slice(-logLines) : [];
+  if (logs.length > 0) {
+    lines.push(`Last ${logs.length} log messages:`, ...logs.map(log => `[${log.time}] ${log.level}: ${log.message}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Looks up a deploy job and wraps it in a tool response.
+ * @param {string} jobId - The job ID.
+ * @param {number} logLines - How many recent progress messages to include.
+ * @returns {Promise<object>} The tool response.
+ */
+async function getDeploymentStatusResponse(jobId, logLines) {
+  const job = deployJobs.get(jobId);
+  return {
+    content: [{
+      type: 'text',
+      text: job ? formatDeployJob(job, logLines) : `Deployment job ${jobId} not found.`,
+    }],
+    ...(job ? {} : { isError: true }),
+  };
+}
+
+/**
+ * Cancels a deploy job and wraps the outcome in a tool response.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<object>} The tool response.
+ */
+async function cancelDeploymentResponse(jobId) {
+  try {
+    const job = await deployJobs.cancel(jobId);
+    return {
+      content: [{
+        type: 'text',
+        text: job ? formatDeployJob(job, 5) : `Deployment job ${jobId} not found.`,
+      }],
+      ...(job ? {} : { isError: true }),
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error cancelling deployment: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Deletes a deployed service, in two steps: without a matching confirmation, lists what would be
+ * deleted and asks for confirmation; with `confirm` equal to the service name, deletes it.
+ * @param {string} target - The deploy target name ('gke' or 'cloud-run').
+ * @param {object} options - The options identifying the service.
+ * @param {{confirm?: string, purgeImages: boolean, purgeSource: boolean}} deletion - The confirmation and what to purge.
+ * @param {{server: object, extra: object}} call - The MCP server and the `extra` argument of the tool call.
+ * @returns {Promise<object>} The tool response.
+ */
+async function deleteServiceResponse(target, options, { confirm, purgeImages, purgeSource }, { server, extra }) {
+  const { serviceName } = options;
+  try {
+    if (confirm !== serviceName) {
+      const resources = await deleteFrom(target, options, { dryRun: true, purgeImages, purgeSource });
+      if (resources.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Nothing to delete: no resources created by gke-mcp were found for service ${serviceName}.`,
+          }],
+        };
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `The following resources of service ${serviceName} will be deleted:\n${resources.map(r => `- ${r}`).join('\n')}\nShow this list to the user. If they confirm, call delete_service again with the same parameters and confirm: "${serviceName}".`,
+        }],
+      };
+    }
+
+    const removed = await deleteFrom(target, { ...options, progressCallback: createToolProgressCallback(server, extra) }, { purgeImages, purgeSource });
+    return {
+      content: [{
+        type: 'text',
+        text: removed.length > 0
+          ? `Deleted service ${serviceName}:\n${removed.map(r => `- ${r}`).join('\n')}`
+          : `Nothing was deleted for service ${serviceName}.`,
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error deleting service ${serviceName}: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Fetches the recent container logs of a GKE service and wraps them in a tool response, labelled by pod and container.
+ * @param {object} options - What logs to fetch, see `getServiceLogs`.
+ * @returns {Promise<object>} The tool response.
+ */
+async function getServiceLogsResponse(options) {
+  try {
+    const entries = await getServiceLogs(options);
+    if (entries.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `No pods found for service ${options.serviceName} in namespace ${options.namespace}.`,
+        }],
+      };
+    }
+    const sections = entries.map(entry => {
+      const header = `=== ${entry.pod}/${entry.container}${entry.previous ? ' (previous instance)' : ''}, restarts: ${entry.restartCount} ===`;
+      if (entry.error) {
+        return `${header}\nLogs unavailable: ${entry.error}`;
+      }
+      const body = entry.logs.trim() || '(no logs)';
+      return `${header}\n${entry.trimmed ? '[earlier lines trimmed]\n' : ''}${body}`;
+    });
+    return {
+      content: [{
+        type: 'text',
+        text: sections.join('\n\n'),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error getting service logs: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Diagnoses a GKE service and wraps the ranked findings in a tool response.
+ * @param {object} options - The service to diagnose, see `diagnoseService`.
+ * @returns {Promise<object>} The tool response.
+ */
+async function diagnoseServiceResponse(options) {
+  try {
+    const { readyReplicas, desiredReplicas, findings } = await diagnoseService(options);
+    const header = `Service ${options.serviceName} in namespace ${options.namespace}: ${readyReplicas}/${desiredReplicas} replicas ready.`;
+    if (findings.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `${header}\nNo problems found.`,
+        }],
+      };
+    }
+    const lines = findings.map((finding, index) =>
+      `${index + 1}. ${finding.cause}\n   Evidence:\n${finding.evidence.map(e => `   - ${e}`).join('\n')}\n   Suggestion: ${finding.suggestion}`);
+    return {
+      content: [{
+        type: 'text',
+        text: `${header}\nLikely causes, most likely first:\n${lines.join('\n')}`,
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error diagnosing service: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Lists the recorded revisions of a GKE service and wraps them in a tool response.
+ * @param {object} options - The service to look up, see `listDeploymentRevisions`.
+ * @returns {Promise<object>} The tool response.
+ */
+async function listDeploymentRevisionsResponse(options) {
+  try {
+    const revisions = await listDeploymentRevisions(options);
+    if (revisions.length === 0) {
+      return {
+        content: [{
+          type: 'text',
+          text: `No deployment history for service ${options.serviceName} in namespace ${options.namespace}.`,
+        }],
+      };
+    }
+    const lines = revisions.slice().reverse().map(r => {
+      // Older revisions recorded environment values, which may hold credentials
+      const { workload } = r.parameters || {};
+      const parameters = workload && workload.env && !Array.isArray(workload.env)
+        ? { ...r.parameters, workload: { ...workload, env: Object.keys(workload.env) } }
+        : r.parameters;
+      const rolledBack = r.rollbackOf ? ` (rollback to revision ${r.rollbackOf})` : '';
+      const by = [r.deployedBy.client, r.deployedBy.sessionId && `session ${r.deployedBy.sessionId}`].filter(Boolean).join(', ');
+      return `- Revision ${r.revision}${rolledBack}: deployed ${r.deployedAt}${by ? ` by ${by}` : ''}\n  Image: ${r.image}\n  Source hash: ${r.sourceHash || 'unknown'}, build: ${r.buildId || 'unknown'}\n  Parameters: ${JSON.stringify(parameters)}`;
+    });
+    return {
+      content: [{
+        type: 'text',
+        text: `Revisions of service ${options.serviceName} in namespace ${options.namespace}, latest first:\n${lines.join('\n')}`,
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error listing deployment revisions: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Rolls a GKE service back to a previous revision and wraps the outcome in a tool response.
+ * @param {object} options - The rollback options, see `rollback`.
+ * @param {{server: object, extra: object}} call - The MCP server and the `extra` argument of the tool call.
+ * @returns {Promise<object>} The tool response.
+ */
+async function rollbackResponse(options, { server, extra }) {
+  try {
+    const response = await rollback({
+      ...options,
+      deployedBy: describeCaller(server, extra),
+      progressCallback: createToolProgressCallback(server, extra),
+    });
+    return {
+      content: [{
+        type: 'text',
+        text: `GKE service ${response.name} rolled back to revision ${response.rollbackOf} in namespace ${response.namespace} (new revision ${response.revision})\nService URL: ${response.url || 'none, no LoadBalancer Service'}\nImage: ${response.image}\nApplied: ${response.applied.join(', ')}\nReady replicas: ${response.readyReplicas}/${response.desiredReplicas}\nRollout time: ${response.elapsedSeconds}s`,
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error rolling back service: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Formats the state of a HorizontalPodAutoscaler for a tool response.
+ * @param {import('./lib/gke-scale.js').AutoscalerStatus} autoscaler - The autoscaler state.
+ * @returns {string} The response lines.
+ */
+function formatAutoscaler(autoscaler) {
+  return `Autoscaler: ${autoscaler.name}, ${autoscaler.minReplicas} to ${autoscaler.maxReplicas} replicas, currently ${autoscaler.currentReplicas}, desired ${autoscaler.desiredReplicas}
+Metrics: ${autoscaler.metrics.join(', ') || 'none'}`;
+}
+
+/**
+ * Looks up the current state of a deployed service and wraps it in a tool response.
+ * @param {string} target - The deploy target name ('gke' or 'cloud-run').
+ * @param {object} options - The options identifying the service.
+ * @returns {Promise<object>} The tool response.
+ */
+async function getServiceStatusResponse(target, options) {
+  try {
+    const status = await statusOf(target, options);
+    if (!status) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Service ${options.serviceName} is not deployed${target === 'gke' ? ` in namespace ${options.namespace}` : ''}.`,
+        }],
+      isError: true,
+      };
+    }
+    const lines = target === 'gke'
+      ? [
+        `GKE service ${status.name} in namespace ${status.namespace}`,
+        `Service URL: ${status.url || 'none'}`,
+        `Image: ${status.image}`,
+        `Replicas: ${status.readyReplicas} ready, ${status.availableReplicas} available, ${status.updatedReplicas} up to date, ${status.currentReplicas} current, ${status.desiredReplicas} desired`,
+        ...(status.autoscaler ? [formatAutoscaler(status.autoscaler)] : []),
+      ]
+      : [
+        `Cloud Run service ${status.name}`,
+        `Service URL: ${status.url}`,
+        `Image: ${status.image}`,
+        `Latest ready revision: ${status.latestReadyRevision}`,
+      ];
+    return {
+      content: [{
+        type: 'text',
+        text: lines.join('\n'),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error getting service status: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Scales a GKE service and wraps the outcome in a tool response.
+ * @param {object} options - The scaling options, see `scaleService`.
+ * @param {{server: object, extra: object}} call - The MCP server and the `extra` argument of the tool call.
+ * @returns {Promise<object>} The tool response.
+ */
+async function scaleServiceResponse(options, { server, extra }) {
+  try {
+    const result = await scaleService({ ...options, progressCallback: createToolProgressCallback(server, extra) });
+    const text = result.autoscaler
+      ? `Updated the autoscaling of deployment ${result.deployment} of service ${result.name} in namespace ${result.namespace}.\n${formatAutoscaler(result.autoscaler)}`
+      : `Scaled deployment ${result.deployment} of service ${result.name} in namespace ${result.namespace} from ${result.previousReplicas} to ${result.desiredReplicas} replicas.\nReady replicas: ${result.readyReplicas}/${result.desiredReplicas}\nThe next deploy applies its own replicas again.`;
+    return {
+      content: [{
+        type: 'text',
+        text,
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error scaling service: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Creates a GKE cluster and wraps the outcome in a tool response.
+ * @param {string} project - The Google Cloud project ID.
+ * @param {string} region - The region or zone of the cluster.
+ * @param {object} options - The cluster name and options, see `createCluster`.
+ * @param {{server: object, extra: object}} call - The MCP server and the `extra` argument of the tool call.
+ * @returns {Promise<object>} The tool response.
+ */
+async function createClusterResponse(project, region, { cluster, ...options }, { server, extra }) {
+  try {
+    const progressCallback = createToolProgressCallback(server, extra);
+    await ensureApisEnabled(project, ['container.googleapis.com'], progressCallback);
+    if (await getCluster(project, region, cluster)) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Cluster ${cluster} already exists in project ${project} (region ${region}).`,
+        }],
+      };
+    }
+    const created = await createCluster(project, region, cluster, options, progressCallback);
+    const lines = [
+      `${options.autopilot ? 'Autopilot' : 'Standard'} GKE cluster ${cluster} created in project ${project} (region ${region})`,
+      `Cloud Console: https://console.cloud.google.com/kubernetes/clusters/details/${region}/${cluster}/details?project=${project}`,
+      `Status: ${created.status}`,
+      `Version: ${created.currentMasterVersion}`,
+      `Release channel: ${options.releaseChannel}`,
+      `Workload Identity pool: ${(created.workloadIdentityConfig && created.workloadIdentityConfig.workloadPool) || 'none'}`,
+    ];
+    if (options.privateNodes) {
+      lines.push('The nodes have internal IP addresses only: images from Artifact Registry can be pulled, but pods need Cloud NAT to reach the internet.');
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: lines.join('\n'),
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error creating cluster ${cluster} in project ${project} (region ${region}): ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Deletes a GKE cluster, in two steps: without a matching confirmation, describes the cluster and asks
+ * for confirmation; with `confirm` equal to the cluster name, deletes it.
+ * @param {string} project - The Google Cloud project ID.
+ * @param {string} region - The region or zone of the cluster.
+ * @param {string} cluster - The cluster name.
+ * @param {string} [confirm] - The confirmation, the cluster name.
+ * @param {{server: object, extra: object}} call - The MCP server and the `extra` argument of the tool call.
+ * @returns {Promise<object>} The tool response.
+ */
+async function deleteClusterResponse(project, region, cluster, confirm, { server, extra }) {
+  try {
+    const details = await getCluster(project, region, cluster);
+    if (!details) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Cluster ${cluster} not found in project ${project} (region ${region}).`,
+        }],
+      isError: true,
+      };
+    }
+    if (confirm !== cluster) {
+      const mode = details.autopilot && details.autopilot.enabled ? 'Autopilot' : 'Standard';
+      return {
+        content: [{
+          type: 'text',
+          text: `GKE cluster ${cluster} (${mode}, ${details.status}, ${details.currentNodeCount || 0} nodes, version ${details.currentMasterVersion}) in project ${project} (region ${region}) will be deleted, with all the workloads, services and persistent volumes in it. This cannot be undone.\nShow this to the user. If they confirm, call delete_cluster again with the same parameters and confirm: "${cluster}".`,
+        }],
+      };
+    }
+    await deleteCluster(project, region, cluster, createToolProgressCallback(server, extra));
+    return {
+      content: [{
+        type: 'text',
+        text: `Deleted GKE cluster ${cluster} in project ${project} (region ${region}).`,
+      }],
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error deleting cluster ${cluster} in project ${project} (region ${region}): ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Lists GKE clusters and wraps them in a tool response, as text and as structured content.
+ * @param {string} project - The Google Cloud project ID.
+ * @param {string} location - The region or zone, or '-' for all locations.
+ * @param {object} options - The filters and pagination options of `listClusters`.
+ * @returns {Promise<object>} The tool response.
+ */
+async function listClustersResponse(project, location, options) {
+  const where = location === '-' ? 'all locations' : `location ${location}`;
+  try {
+    const { clusters, nextPageToken, unreachableLocations } = await listClusters(project, location, options);
+    const clusterList = clusters.map(c => {
+      const pools = c.nodePools.length > 0 ? `, node pools: ${c.nodePools.map(p => `${p.name} (${p.machineType || 'auto'})`).join(', ')}` : '';
+      return `- ${c.name} (${c.location}, ${c.locationType}${c.autopilot ? ', Autopilot' : ''}, Status: ${c.status}, version ${c.version || 'unknown'}${c.releaseChannel ? ` on ${c.releaseChannel} channel` : ''}, ${c.nodeCount} nodes${pools}${c.endpoint ? `, endpoint ${c.endpoint}` : ''})`;
+    }).join('\n');
+    let text = `Clusters in project ${project} (${where}):\n${clusterList || 'No clusters found.'}`;
+    if (unreachableLocations.length > 0) {
+      text += `\nClusters in these zones could not be listed: ${unreachableLocations.join(', ')}.`;
+    }
+    if (nextPageToken) {
+      text += `\nMore clusters are available: call list_clusters again with pageToken "${nextPageToken}".`;
+    }
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: { project, location, clusters, nextPageToken, unreachableLocations },
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error listing clusters for project ${project} (${where}): ${error.message}`
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Lists Cloud Run services and wraps them in a tool response, as text and as structured content.
+ * @param {string} project - The Google Cloud project ID.
+ * @param {string} [region] - The region, or undefined for all regions.
+ * @param {{pageSize?: number, pageToken?: string}} [pagination] - The pagination options of `listServices`.
+ * @returns {Promise<object>} The tool response.
+ */
+async function listCloudRunServicesResponse(project, region, pagination) {
+  try {
+    const location = region || '-';
+    const { services, nextPageToken } = await listServices(project, location, pagination);
+    const serviceList = services.map(s => `- ${s.name} (Region: ${s.region}, URL: ${s.url})`).join('\n');
+    let text = `Cloud Run services in project ${project} (${region ? `region ${region}` : 'all regions'}):\n${serviceList || 'No services found.'}`;
+    if (nextPageToken) {
+      text += `\nMore services are available: call list_cloud_run_services again with pageToken "${nextPageToken}".`;
+    }
+    return {
+      content: [{ type: 'text', text }],
+      structuredContent: { project, location, services, nextPageToken },
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error listing Cloud Run services for project ${project}: ${error.message}`
+      }],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Gets a Cloud Run service and wraps its details in a tool response.
+ * @param {string} project - The Google Cloud project ID.
+ * @param {string} region - The region of the service.
+ * @param {string} service - The service name.
+ * @returns {Promise<object>} The tool response.
+ */
+async function getCloudRunServiceResponse(project, region, service) {
+  try {
+    const details = await getService(project, region, service);
+    if (!details) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Cloud Run service ${service} not found in project ${project} (region ${region}).`
+        }],
+      isError: true,
+      };
+    }
+    const container = details.template && details.template.containers && details.template.containers[0];
+    return {
+      content: [{
+        type: 'text',
+        text: `Name: ${service}\nRegion: ${region}\nProject: ${project}\nURL: ${details.uri}\nImage: ${container ? container.image : 'unknown'}\nLatest ready revision: ${details.latestReadyRevision}\nLast modified by: ${details.lastModifier}`
+      }]
+    };
+  } catch (error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Error getting Cloud Run service ${service} in project ${project} (region ${region}): ${error.message}`
+      }],
+      isError: true,
+    };
+  }
+}
 
 export const registerTools = (server) => {
   // Tool to list GCP projects
@@ -39,7 +886,8 @@ export const registerTools = (server) => {
           content: [{
             type: 'text',
             text: `Error listing GCP projects: ${error.message}`
-          }]
+          }],
+          isError: true,
         };
       }
     }
@@ -58,7 +906,8 @@ export const registerTools = (server) => {
           content: [{
             type: 'text',
             text: "Error: If provided, Project ID must be a non-empty string."
-          }]
+          }],
+        isError: true,
         };
       }
       try {
@@ -74,45 +923,31 @@ export const registerTools = (server) => {
           content: [{
             type: 'text',
             text: `Error creating GCP project or attaching billing: ${error.message}`
-          }]
+          }],
+          isError: true,
         };
       }
     }
   );
 
   // Listing GKE clusters
-  server.tool(
+  server.registerTool(
     "list_clusters",
-    "Lists GKE clusters in a given project and region.",
     {
-      project: z.string().describe("Google Cloud project ID"),
-      region: z.string().describe("Region where the clusters are located").default('europe-west1'),
+      description: "Lists GKE clusters in a given project, in all regions and zones or in one location, with their location type, Autopilot flag, node pools, endpoint and release channel. Results are paginated.",
+      inputSchema: {
+        project: z.string().describe("Google Cloud project ID"),
+        region: z.string().optional().default('-').describe('Region or zone of the clusters (e.g. "europe-west1" or "europe-west1-b"). Defaults to "-", all locations.'),
+        ...clusterFilterParams,
+        ...paginationParams,
+      },
+      outputSchema: clusterListOutput,
     },
-    async ({ project, region }) => {
+    async ({ project, region, labels, status, pageSize, pageToken }) => {
       if (typeof project !== 'string') {
-        return { content: [{ type: 'text', text: "Error: Project ID must be provided and be a non-empty string." }] };
-      }
-
-      try {
-        const clusters = await listClusters(project, region);
-        const clusterList = clusters.map(c => {
-          const clusterName = c.name.split('/').pop();
-          return `- ${clusterName} (Status: ${c.status})`;
-        }).join('\n');
-        return {
-          content: [{
-            type: 'text',
-            text: `Clusters in project ${project} (location ${region}):\n${clusterList}`
-          }]
-        };
-      } catch (error) {
-        return {
-          content: [{
-            type: 'text',
-            text: `Error listing clusters for project ${project} (region ${region}): ${error.message}`
-          }]
-        };
+        return { content: [{ type: 'text', text: "Error: Project ID must be provided and be a non-empty string." }], isError: true };
       }
+      return await listClustersResponse(project, region, { labels, status, pageSize, pageToken });
     }
   );
 
@@ -127,10 +962,10 @@ export const registerTools = (server) => {
     },
     async ({ project, region, cluster }) => {
       if (typeof project !== 'string') {
-        return { content: [{ type: 'text', text: "Error: Project ID must be provided." }] };
+        return { content: [{ type: 'text', text: "Error: Project ID must be provided." }], isError: true };
       }
       if (typeof cluster !== 'string') {
-        return { content: [{ type: 'text', text: "Error: Cluster name must be provided." }] };
+        return { content: [{ type: 'text', text: "Error: Cluster name must be provided." }], isError: true };
       }
       try {
         const clusterDetails = await getCluster(project, region, cluster);
@@ -146,7 +981,8 @@ export const registerTools = (server) => {
             content: [{
               type: 'text',
               text: `Cluster ${cluster} not found in project ${project} (region ${region}).`
-            }]
+            }],
+          isError: true,
           };
         }
       } catch (error) {
@@ -154,108 +990,324 @@ export const registerTools = (server) => {
           content: [{
             type: 'text',
             text: `Error getting cluster ${cluster} in project ${project} (region ${region}): ${error.message}`
-          }]
+          }],
+          isError: true,
         };
       }
     }
   );
 
+  server.tool(
+    'create_cluster',
+    'Creates a GKE cluster, Autopilot by default, and waits until it is running (5 to 15 minutes). Clusters are billed: make sure the user wants a new cluster.',
+    {
+      project: z.string().describe('Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      region: z.string().optional().default('europe-west1').describe('Region of the cluster, or a zone (e.g. "europe-west1-b") for a zonal Standard cluster'),
+      ...clusterParams,
+    },
+    async ({ project, region, ...options }, extra) => {
+      return await createClusterResponse(project, region, options, { server, extra });
+    }
+  );
+
+  server.tool(
+    'delete_cluster',
+    'Deletes a GKE cluster and everything running in it. The first call describes the cluster; deletion requires a second call with confirm set to the cluster name.',
+    {
+      project: z.string().describe('Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      region: z.string().optional().default('europe-west1').describe('Region or zone of the cluster'),
+      cluster: z.string().describe('Name of the GKE cluster to delete'),
+      confirm: z.string().optional().describe('Set to the cluster name, after the user has reviewed the description returned by a first call without it, to actually delete the cluster'),
+    },
+    async ({ project, region, cluster, confirm }, extra) => {
+      return await deleteClusterResponse(project, region, cluster, confirm, { server, extra });
+    }
+  );
+
   server.tool(
     'deploy_local_files',
-    'Deploy local files to GKE. Takes an array of absolute file paths from the local filesystem that will be deployed. Use this tool if the files exists on the user local filesystem.',
+    'Deploy local files to GKE or Cloud Run. Takes an array of absolute file paths from the local filesystem that will be deployed. Use this tool if the files exists on the user local filesystem.',
     {
       project: z.string().describe('Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      target: targetParam,
       region: z.string().optional().default('europe-west1').describe('Region to deploy the service to'),
       cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster to deploy to'),
       service: z.string().optional().default('app').describe('Name of the service to deploy'),
+      namespace: namespaceParam,
       files: z.array(z.string()).describe('Array of absolute file paths to deploy (e.g. ["/home/user/project/src/index.js", "/home/user/project/package.json"])'),
+      rolloutTimeoutSeconds: z.number().int().positive().optional().describe('Maximum time in seconds to wait for the pods to become ready and the service to get an external IP. Defaults to 600.'),
+      async: asyncParam,
+      plan: planParam,
+      ...workloadParams,
+      ...exposureParams,
+      secrets: secretsParam,
+      ...identityParams,
+      createClusterIfMissing: createClusterIfMissingParam,
     },
-    async ({ project, region, cluster, service, files }) => {
+    async ({ project, target, region, cluster, service, namespace, files, rolloutTimeoutSeconds, async: runAsync, plan, expose, domain, path, secrets, workloadIdentity, iamRoles, createClusterIfMissing, ...workload }, extra) => {
       if (typeof project !== 'string') {
-        throw new Error('Project must specified, please prompt the user for a valid existing Google Cloud project ID.');
+        return { content: [{ type: 'text', text: 'Error: Project must be specified, please prompt the user for a valid existing Google Cloud project ID.' }], isError: true };
       }
       if (typeof files !== 'object' || !Array.isArray(files)) {
-        throw new Error('Files must specified');
+        return { content: [{ type: 'text', text: 'Error: Files must be specified' }], isError: true };
       }
       if (files.length === 0) {
-        throw new Error('No files specified for deployment');
+        return { content: [{ type: 'text', text: 'Error: No files specified for deployment' }], isError: true };
       }
 
-      // Deploy to GKE
-      try {
-        const response = await deploy({
-          projectId: project,
-          serviceName: service,
-          region: region,
-          clusterId: cluster,
-          files: files,
-        });
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `GKE service ${service} deployed in project ${project}\nCloud Console: https://console.cloud.google.com/kubernetes/workload/overview?project=${project}\nService URL: ${response.url}`,
-            }
-          ],
-        };
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error deploying to GKE: ${error.message || error}`,
-            }
-          ],
-        };
-      }
+      return await deployAndRespond(target, {
+        projectId: project,
+        serviceName: service,
+        region: region,
+        clusterId: cluster,
+        createClusterIfMissing,
+        namespace: namespace,
+        files: files,
+        workload: workload,
+        exposure: { mode: expose, domain, path },
+        secrets,
+        workloadIdentity: workloadIdentity || iamRoles ? { roles: iamRoles || [] } : undefined,
+        rolloutTimeoutSeconds: rolloutTimeoutSeconds,
+      }, { server, extra, runAsync, plan });
     });
 
   server.tool(
     'deploy_local_folder',
-    'Deploy a local folder to GKE. Takes an absolute folder path from the local filesystem that will be deployed. Use this tool if the entire folder content needs to be deployed.',
+    'Deploy a local folder to GKE or Cloud Run. Takes an absolute folder path from the local filesystem that will be deployed. Use this tool if the entire folder content needs to be deployed.',
     {
       project: z.string().describe('Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      target: targetParam,
       region: z.string().optional().default('europe-west1').describe('Region to deploy the service to'),
       cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster to deploy to'),
       service: z.string().optional().default('app').describe('Name of the service to deploy'),
+      namespace: namespaceParam,
       folderPath: z.string().describe('Absolute path to the folder to deploy (e.g. "/home/user/project/src")'),
+      rolloutTimeoutSeconds: z.number().int().positive().optional().describe('Maximum time in seconds to wait for the pods to become ready and the service to get an external IP. Defaults to 600.'),
+      async: asyncParam,
+      plan: planParam,
+      ...workloadParams,
+      ...exposureParams,
+      secrets: secretsParam,
+      ...identityParams,
+      createClusterIfMissing: createClusterIfMissingParam,
     },
-    async ({ project, region, cluster, service, folderPath }) => {
+    async ({ project, target, region, cluster, service, namespace, folderPath, rolloutTimeoutSeconds, async: runAsync, plan, expose, domain, path, secrets, workloadIdentity, iamRoles, createClusterIfMissing, ...workload }, extra) => {
       if (typeof project !== 'string') {
-        throw new Error('Project must be specified, please prompt the user for a valid existing Google Cloud project ID.');
+        return { content: [{ type: 'text', text: 'Error: Project must be specified, please prompt the user for a valid existing Google Cloud project ID.' }], isError: true };
       }
       if (typeof folderPath !== 'string' || folderPath.trim() === '') {
-        throw new Error('Folder path must be specified and be a non-empty string.');
+        return { content: [{ type: 'text', text: 'Error: Folder path must be specified and be a non-empty string.' }], isError: true };
       }
 
-      // Deploy to GKE
-      try {
-        const response = await deploy({
-          projectId: project,
-          serviceName: service,
-          region: region,
-          clusterId: cluster,
-          files: [folderPath], // Pass the folder path as a single item in an array
-        });
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `GKE service ${service} deployed from folder ${folderPath} in project ${project}\nCloud Console: https://console.cloud.google.com/kubernetes/workload/overview?project=${project}\nService URL: ${response.url}`,
-            }
-          ],
-        };
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error deploying to GKE: ${error.message || error}`,
-            }
-          ],
-        };
+      return await deployAndRespond(target, {
+        projectId: project,
+        serviceName: service,
+        region: region,
+        clusterId: cluster,
+        createClusterIfMissing,
+        namespace: namespace,
+        files: [folderPath], // Pass the folder path as a single item in an array
+        workload: workload,
+        exposure: { mode: expose, domain, path },
+        secrets,
+        workloadIdentity: workloadIdentity || iamRoles ? { roles: iamRoles || [] } : undefined,
+        rolloutTimeoutSeconds: rolloutTimeoutSeconds,
+      }, { server, extra, runAsync, plan }, `folder ${folderPath}`);
+    });
+
+  server.tool(
+    'deploy_to_cloud_run',
+    'Deploy code to Cloud Run. Provide exactly one of: absolute local file paths (files), an absolute local folder path (folderPath), or the file contents themselves (fileContents).',
+    {
+      project: z.string().describe('Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      region: z.string().optional().default('europe-west1').describe('Region to deploy the service to'),
+      service: z.string().optional().default('app').describe('Name of the Cloud Run service to deploy'),
+      files: z.array(z.string()).optional().describe('Array of absolute file paths to deploy'),
+      folderPath: z.string().optional().describe('Absolute path to the folder to deploy'),
+      fileContents: fileContentsParam.optional().describe('Array of file objects containing filename and content'),
+      async: asyncParam,
+      plan: planParam,
+    },
+    async ({ project, region, service, files, folderPath, fileContents, async: runAsync, plan }, extra) => {
+      if (typeof project !== 'string') {
+        return { content: [{ type: 'text', text: 'Error: Project must be specified, please prompt the user for a valid existing Google Cloud project ID.' }], isError: true };
       }
+      const sources = [files, folderPath, fileContents].filter(source => source !== undefined);
+      if (sources.length !== 1) {
+        return { content: [{ type: 'text', text: 'Error: Exactly one of files, folderPath or fileContents must be specified.' }], isError: true };
+      }
+
+      return await deployAndRespond('cloud-run', {
+        projectId: project,
+        serviceName: service,
+        region: region,
+        files: folderPath !== undefined ? [folderPath] : (files || fileContents),
+      }, { server, extra, runAsync, plan }, folderPath !== undefined ? `folder ${folderPath}` : undefined);
     });
+
+  server.registerTool(
+    'list_cloud_run_services',
+    {
+      description: 'Lists Cloud Run services in a given project. Lists all regions if no region is given. Results are paginated.',
+      inputSchema: {
+        project: z.string().describe('Google Cloud project ID'),
+        region: z.string().optional().describe('Region to list services from. Omit to list services from all regions.'),
+        ...paginationParams,
+      },
+      outputSchema: serviceListOutput,
+    },
+    async ({ project, region, pageSize, pageToken }) => {
+      return await listCloudRunServicesResponse(project, region, { pageSize, pageToken });
+    }
+  );
+
+  server.tool(
+    'get_cloud_run_service',
+    'Gets details for a specific Cloud Run service.',
+    {
+      project: z.string().describe('Google Cloud project ID containing the service'),
+      region: z.string().describe('Region where the service is located').default('europe-west1'),
+      service: z.string().describe('Name of the Cloud Run service'),
+    },
+    async ({ project, region, service }) => {
+      return await getCloudRunServiceResponse(project, region, service);
+    }
+  );
+
+  server.tool(
+    'get_deployment_status',
+    'Gets the status of a deployment job: its current stage, recent log messages and, once finished, its result or error.',
+    {
+      jobId: jobIdParam,
+      logLines: logLinesParam,
+    },
+    async ({ jobId, logLines }) => {
+      return await getDeploymentStatusResponse(jobId, logLines);
+    }
+  );
+
+  server.tool(
+    'cancel_deployment',
+    'Cancels a running deployment job, including its Cloud Build.',
+    {
+      jobId: jobIdParam,
+    },
+    async ({ jobId }) => {
+      return await cancelDeploymentResponse(jobId);
+    }
+  );
+
+  server.tool(
+    'list_deployment_revisions',
+    'Lists the revisions of a service deployed to GKE by this server: image digest, source hash, parameters, time and deploying client of each deployment.',
+    {
+      project: z.string().describe('Google Cloud project ID containing the cluster'),
+      region: z.string().optional().default('europe-west1').describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+    },
+    async ({ project, region, cluster, service, namespace }) => {
+      return await listDeploymentRevisionsResponse({ projectId: project, region, clusterId: cluster, serviceName: service, namespace });
+    }
+  );
+
+  server.tool(
+    'rollback_deployment',
+    'Rolls a GKE service back to a previous revision by re-applying its recorded manifests, and waits for the rollout.',
+    {
+      project: z.string().describe('Google Cloud project ID containing the cluster. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      region: z.string().optional().default('europe-west1').describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+      revision: revisionParam,
+      rolloutTimeoutSeconds: z.number().int().positive().optional().describe('Maximum time in seconds to wait for the rollout. Defaults to 600.'),
+    },
+    async ({ project, region, cluster, service, namespace, revision, rolloutTimeoutSeconds }, extra) => {
+      return await rollbackResponse({ projectId: project, region, clusterId: cluster, serviceName: service, namespace, revision, rolloutTimeoutSeconds }, { server, extra });
+    }
+  );
+
+  server.tool(
+    'delete_service',
+    'Deletes a service deployed by this server and the resources created for it (Kubernetes objects, or the Cloud Run service), optionally with its images and source archives. The first call lists what will be deleted; deletion requires a second call with confirm set to the service name.',
+    {
+      project: z.string().describe('Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      target: targetParam,
+      region: z.string().optional().default('europe-west1').describe('Region of the service'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().describe('Name of the service to delete'),
+      namespace: namespaceParam,
+      ...deletionParams,
+    },
+    async ({ project, target, region, cluster, service, namespace, purgeImages, purgeSource, confirm }, extra) => {
+      return await deleteServiceResponse(target, { projectId: project, region, clusterId: cluster, serviceName: service, namespace }, { confirm, purgeImages, purgeSource }, { server, extra });
+    }
+  );
+
+  server.tool(
+    'get_service_logs',
+    'Gets the recent container logs of a service deployed to GKE, for each of its pods, including the logs of crashed containers.',
+    {
+      project: z.string().describe('Google Cloud project ID containing the cluster'),
+      region: z.string().optional().default('europe-west1').describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+      ...logParams,
+    },
+    async ({ project, region, cluster, service, namespace, tailLines, sinceSeconds, includePrevious }) => {
+      return await getServiceLogsResponse({ projectId: project, region, clusterId: cluster, serviceName: service, namespace, tailLines, sinceSeconds, includePrevious });
+    }
+  );
+
+  server.tool(
+    'get_service_status',
+    'Gets the current state of a deployed service: its URL, image and, on GKE, its current, ready and desired replicas and its autoscaler.',
+    {
+      project: z.string().describe('Google Cloud project ID'),
+      target: targetParam,
+      region: z.string().optional().default('europe-west1').describe('Region of the service'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+    },
+    async ({ project, target, region, cluster, service, namespace }) => {
+      return await getServiceStatusResponse(target, { projectId: project, region, clusterId: cluster, serviceName: service, namespace });
+    }
+  );
+
+  server.tool(
+    'scale_service',
+    'Scales a service deployed to GKE: sets its number of replicas, or the minimum and maximum replicas of its autoscaler if it was deployed with maxReplicas. After setting replicas, waits for the pods to become ready.',
+    {
+      project: z.string().describe('Google Cloud project ID containing the cluster. Do not select it yourself, make sure the user provides or confirms the project ID.'),
+      region: z.string().optional().default('europe-west1').describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+      ...scaleParams,
+    },
+    async ({ project, region, cluster, service, namespace, deployment, replicas, minReplicas, maxReplicas, rolloutTimeoutSeconds }, extra) => {
+      return await scaleServiceResponse({ projectId: project, region, clusterId: cluster, serviceName: service, namespace, deploymentName: deployment, replicas, minReplicas, maxReplicas, rolloutTimeoutSeconds }, { server, extra });
+    }
+  );
+
+  server.tool(
+    'diagnose_service',
+    'Explains why a service deployed to GKE is unhealthy: inspects its pods, events, endpoints and logs, and returns likely causes, most likely first, with suggested changes to the deploy parameters.',
+    {
+      project: z.string().describe('Google Cloud project ID containing the cluster'),
+      region: z.string().optional().default('europe-west1').describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+    },
+    async ({ project, region, cluster, service, namespace }) => {
+      return await diagnoseServiceResponse({ projectId: project, region, clusterId: cluster, serviceName: service, namespace });
+    }
+  );
 };
 
 export const registerToolsRemote = async (server) => {
@@ -267,33 +1319,19 @@ export const registerToolsRemote = async (server) => {
   const currentRegion = gcpInfo.region || 'europe-west1'; // Fallback if region is not available
 
   // Listing GKE clusters (Remote)
-  server.tool(
+  server.registerTool(
     "list_clusters",
-    `Lists GKE clusters in GCP project ${currentProject} and a given region.`,
     {
-      region: z.string().describe("Region where the clusters are located").default(currentRegion),
+      description: `Lists GKE clusters in GCP project ${currentProject}, in all regions and zones or in one location, with their location type, Autopilot flag, node pools, endpoint and release channel. Results are paginated.`,
+      inputSchema: {
+        region: z.string().optional().default('-').describe('Region or zone of the clusters (e.g. "europe-west1" or "europe-west1-b"). Defaults to "-", all locations.'),
+        ...clusterFilterParams,
+        ...paginationParams,
+      },
+      outputSchema: clusterListOutput,
     },
-    async ({ region }) => {
-      try {
-        const clusters = await listClusters(currentProject, region);
-        const clusterList = clusters.map(c => {
-          const clusterName = c.name.split('/').pop();
-          return `- ${clusterName} (Status: ${c.status})`;
-        }).join('\n');
-        return {
-          content: [{
-            type: 'text',
-            text: `Clusters in project ${currentProject} (location ${region}):\n${clusterList}`
-          }]
-        };
-      } catch (error) {
-        return {
-          content: [{
-            type: 'text',
-            text: `Error listing clusters for project ${currentProject} (region ${region}): ${error.message}`
-          }]
-        };
-      }
+    async ({ region, labels, status, pageSize, pageToken }) => {
+      return await listClustersResponse(currentProject, region, { labels, status, pageSize, pageToken });
     }
   );
 
@@ -307,7 +1345,7 @@ export const registerToolsRemote = async (server) => {
     },
     async ({ region, cluster }) => {
       if (typeof cluster !== 'string') {
-        return { content: [{ type: 'text', text: "Error: Cluster name must be provided." }] };
+        return { content: [{ type: 'text', text: "Error: Cluster name must be provided." }], isError: true };
       }
       try {
         const clusterDetails = await getCluster(currentProject, region, cluster);
@@ -323,7 +1361,8 @@ export const registerToolsRemote = async (server) => {
             content: [{
               type: 'text',
               text: `Cluster ${cluster} not found in project ${currentProject} (region ${region}).`
-            }]
+            }],
+          isError: true,
           };
         }
       } catch (error) {
@@ -331,65 +1370,278 @@ export const registerToolsRemote = async (server) => {
           content: [{
             type: 'text',
             text: `Error getting cluster ${cluster} in project ${currentProject} (region ${region}): ${error.message}`
-          }]
+          }],
+          isError: true,
         };
       }
     }
   );
 
-  // Deploy file contents to GKE (Remote)
+  // Creating a cluster (Remote)
+  server.tool(
+    'create_cluster',
+    `Creates a GKE cluster in GCP project ${currentProject}, Autopilot by default, and waits until it is running (5 to 15 minutes). Clusters are billed: make sure the user wants a new cluster.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region of the cluster, or a zone (e.g. "europe-west1-b") for a zonal Standard cluster'),
+      ...clusterParams,
+    },
+    async ({ region, ...options }, extra) => {
+      return await createClusterResponse(currentProject, region, options, { server, extra });
+    }
+  );
+
+  // Deleting a cluster (Remote)
+  server.tool(
+    'delete_cluster',
+    `Deletes a GKE cluster in GCP project ${currentProject} and everything running in it. The first call describes the cluster; deletion requires a second call with confirm set to the cluster name.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region or zone of the cluster'),
+      cluster: z.string().describe('Name of the GKE cluster to delete'),
+      confirm: z.string().optional().describe('Set to the cluster name, after the user has reviewed the description returned by a first call without it, to actually delete the cluster'),
+    },
+    async ({ region, cluster, confirm }, extra) => {
+      return await deleteClusterResponse(currentProject, region, cluster, confirm, { server, extra });
+    }
+  );
+
+  // Deploy file contents to GKE or Cloud Run (Remote)
   server.tool(
     'deploy_file_contents',
-    `Deploy files to GKE by providing their contents directly to the GCP project ${currentProject}.`,
+    `Deploy files to GKE or Cloud Run by providing their contents directly to the GCP project ${currentProject}.`,
     {
+      target: targetParam,
       region: z.string().optional().default(currentRegion).describe('Region to deploy the service to'),
       cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster to deploy to'),
       service: z.string().optional().default('app').describe('Name of the GKE service to deploy to'),
-      files: z.array(z.object({
-        filename: z.string().describe('Name and path of the file (e.g. "src/index.js" or "data/config.json")'),
-        content: z.string().describe('Text content of the file'),
-      })).describe('Array of file objects containing filename and content'),
+      namespace: namespaceParam,
+      files: fileContentsParam.describe('Array of file objects containing filename and content'),
+      rolloutTimeoutSeconds: z.number().int().positive().optional().describe('Maximum time in seconds to wait for the pods to become ready and the service to get an external IP. Defaults to 600.'),
+      async: asyncParam,
+      plan: planParam,
+      ...workloadParams,
+      ...exposureParams,
+      secrets: secretsParam,
+      ...identityParams,
+      createClusterIfMissing: createClusterIfMissingParam,
     },
-    async ({ region, cluster, service, files }) => {
-      console.log(`New deploy request (remote): ${JSON.stringify({ project: currentProject, region, cluster, service, files })}`);
+    async ({ target, region, cluster, service, namespace, files, rolloutTimeoutSeconds, async: runAsync, plan, expose, domain, path, secrets, workloadIdentity, iamRoles, createClusterIfMissing, ...workload }, extra) => {
+      // Only log file names and secret targets: file contents may hold credentials
+      console.log(`New deploy request (remote): ${JSON.stringify({ project: currentProject, target, region, cluster, service, namespace, files: files.map(file => file.filename), secrets: Object.keys(secrets || {}) })}`);
 
       if (typeof files !== 'object' || !Array.isArray(files) || files.length === 0) {
-        throw new Error('Files must be specified');
+        return { content: [{ type: 'text', text: 'Error: Files must be specified' }], isError: true };
       }
 
       // Validate that each file has content
       for (const file of files) {
         if (!file.content) {
-          throw new Error(`File ${file.filename} must have content`);
+          return { content: [{ type: 'text', text: `Error: File ${file.filename} must have content` }], isError: true };
         }
       }
 
-      // Deploy to GKE
-      try {
-        const response = await deploy({
-          projectId: currentProject,
-          serviceName: service,
-          region: region,
-          clusterId: cluster,
-          files: files,
-        });
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `GKE service ${service} deployed in project ${currentProject}\nCloud Console: https://console.cloud.google.com/kubernetes/workload/overview?project=${currentProject}\nService URL: ${response.url}`,
-            }
-          ],
-        };
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error deploying to GKE: ${error.message || error}`,
-            }
-          ],
-        };
+      return await deployAndRespond(target, {
+        projectId: currentProject,
+        serviceName: service,
+        region: region,
+        clusterId: cluster,
+        createClusterIfMissing,
+        namespace: namespace,
+        files: files,
+        workload: workload,
+        exposure: { mode: expose, domain, path },
+        secrets,
+        workloadIdentity: workloadIdentity || iamRoles ? { roles: iamRoles || [] } : undefined,
+        rolloutTimeoutSeconds: rolloutTimeoutSeconds,
+      }, { server, extra, runAsync, plan });
+  });
+
+  // Deploy file contents to Cloud Run (Remote)
+  server.tool(
+    'deploy_to_cloud_run',
+    `Deploy files to Cloud Run in the GCP project ${currentProject} by providing their contents directly.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region to deploy the service to'),
+      service: z.string().optional().default('app').describe('Name of the Cloud Run service to deploy'),
+      fileContents: fileContentsParam.describe('Array of file objects containing filename and content'),
+      async: asyncParam,
+      plan: planParam,
+    },
+    async ({ region, service, fileContents, async: runAsync, plan }, extra) => {
+      if (!Array.isArray(fileContents) || fileContents.length === 0) {
+        return { content: [{ type: 'text', text: 'Error: File contents must be specified' }], isError: true };
       }
+
+      return await deployAndRespond('cloud-run', {
+        projectId: currentProject,
+        serviceName: service,
+        region: region,
+        files: fileContents,
+      }, { server, extra, runAsync, plan });
   });
-};
\ No newline at end of file
+
+  // Listing Cloud Run services (Remote)
+  server.registerTool(
+    'list_cloud_run_services',
+    {
+      description: `Lists Cloud Run services in GCP project ${currentProject}. Lists all regions if no region is given. Results are paginated.`,
+      inputSchema: {
+        region: z.string().optional().describe('Region to list services from. Omit to list services from all regions.'),
+        ...paginationParams,
+      },
+      outputSchema: serviceListOutput,
+    },
+    async ({ region, pageSize, pageToken }) => {
+      return await listCloudRunServicesResponse(currentProject, region, { pageSize, pageToken });
+    }
+  );
+
+  // Getting a specific Cloud Run service (Remote)
+  server.tool(
+    'get_cloud_run_service',
+    `Gets details for a specific Cloud Run service in GCP project ${currentProject}.`,
+    {
+      region: z.string().describe('Region where the service is located').default(currentRegion),
+      service: z.string().describe('Name of the Cloud Run service'),
+    },
+    async ({ region, service }) => {
+      return await getCloudRunServiceResponse(currentProject, region, service);
+    }
+  );
+
+  // Deployment job status (Remote)
+  server.tool(
+    'get_deployment_status',
+    'Gets the status of a deployment job: its current stage, recent log messages and, once finished, its result or error.',
+    {
+      jobId: jobIdParam,
+      logLines: logLinesParam,
+    },
+    async ({ jobId, logLines }) => {
+      return await getDeploymentStatusResponse(jobId, logLines);
+    }
+  );
+
+  // Cancelling a deployment job (Remote)
+  server.tool(
+    'cancel_deployment',
+    'Cancels a running deployment job, including its Cloud Build.',
+    {
+      jobId: jobIdParam,
+    },
+    async ({ jobId }) => {
+      return await cancelDeploymentResponse(jobId);
+    }
+  );
+
+  // Listing deployment revisions (Remote)
+  server.tool(
+    'list_deployment_revisions',
+    `Lists the revisions of a service deployed to GKE in GCP project ${currentProject}: image digest, source hash, parameters, time and deploying client of each deployment.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+    },
+    async ({ region, cluster, service, namespace }) => {
+      return await listDeploymentRevisionsResponse({ projectId: currentProject, region, clusterId: cluster, serviceName: service, namespace });
+    }
+  );
+
+  // Rolling back a deployment (Remote)
+  server.tool(
+    'rollback_deployment',
+    `Rolls a GKE service in GCP project ${currentProject} back to a previous revision by re-applying its recorded manifests, and waits for the rollout.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+      revision: revisionParam,
+      rolloutTimeoutSeconds: z.number().int().positive().optional().describe('Maximum time in seconds to wait for the rollout. Defaults to 600.'),
+    },
+    async ({ region, cluster, service, namespace, revision, rolloutTimeoutSeconds }, extra) => {
+      return await rollbackResponse({ projectId: currentProject, region, clusterId: cluster, serviceName: service, namespace, revision, rolloutTimeoutSeconds }, { server, extra });
+    }
+  );
+
+  // Deleting a service (Remote)
+  server.tool(
+    'delete_service',
+    `Deletes a service deployed by this server in GCP project ${currentProject} and the resources created for it (Kubernetes objects, or the Cloud Run service), optionally with its images and source archives. The first call lists what will be deleted; deletion requires a second call with confirm set to the service name.`,
+    {
+      target: targetParam,
+      region: z.string().optional().default(currentRegion).describe('Region of the service'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().describe('Name of the service to delete'),
+      namespace: namespaceParam,
+      ...deletionParams,
+    },
+    async ({ target, region, cluster, service, namespace, purgeImages, purgeSource, confirm }, extra) => {
+      return await deleteServiceResponse(target, { projectId: currentProject, region, clusterId: cluster, serviceName: service, namespace }, { confirm, purgeImages, purgeSource }, { server, extra });
+    }
+  );
+
+  // Getting service logs (Remote)
+  server.tool(
+    'get_service_logs',
+    `Gets the recent container logs of a service deployed to GKE in GCP project ${currentProject}, for each of its pods, including the logs of crashed containers.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+      ...logParams,
+    },
+    async ({ region, cluster, service, namespace, tailLines, sinceSeconds, includePrevious }) => {
+      return await getServiceLogsResponse({ projectId: currentProject, region, clusterId: cluster, serviceName: service, namespace, tailLines, sinceSeconds, includePrevious });
+    }
+  );
+
+  // Getting service status (Remote)
+  server.tool(
+    'get_service_status',
+    `Gets the current state of a service deployed in GCP project ${currentProject}: its URL, image and, on GKE, its current, ready and desired replicas and its autoscaler.`,
+    {
+      target: targetParam,
+      region: z.string().optional().default(currentRegion).describe('Region of the service'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+    },
+    async ({ target, region, cluster, service, namespace }) => {
+      return await getServiceStatusResponse(target, { projectId: currentProject, region, clusterId: cluster, serviceName: service, namespace });
+    }
+  );
+
+  // Scaling a service (Remote)
+  server.tool(
+    'scale_service',
+    `Scales a service deployed to GKE in GCP project ${currentProject}: sets its number of replicas, or the minimum and maximum replicas of its autoscaler if it was deployed with maxReplicas. After setting replicas, waits for the pods to become ready.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+      ...scaleParams,
+    },
+    async ({ region, cluster, service, namespace, deployment, replicas, minReplicas, maxReplicas, rolloutTimeoutSeconds }, extra) => {
+      return await scaleServiceResponse({ projectId: currentProject, region, clusterId: cluster, serviceName: service, namespace, deploymentName: deployment, replicas, minReplicas, maxReplicas, rolloutTimeoutSeconds }, { server, extra });
+    }
+  );
+
+  // Diagnosing a service (Remote)
+  server.tool(
+    'diagnose_service',
+    `Explains why a service deployed to GKE in GCP project ${currentProject} is unhealthy: inspects its pods, events, endpoints and logs, and returns likely causes, most likely first, with suggested changes to the deploy parameters.`,
+    {
+      region: z.string().optional().default(currentRegion).describe('Region of the GKE cluster'),
+      cluster: z.string().optional().default('default-cluster').describe('Name of the GKE cluster'),
+      service: z.string().optional().default('app').describe('Name of the service'),
+      namespace: namespaceParam,
+    },
+    async ({ region, cluster, service, namespace }) => {
+      return await diagnoseServiceResponse({ projectId: currentProject, region, clusterId: cluster, serviceName: service, namespace });
+    }
+  );
+};